@@ -6,6 +6,14 @@
  *
  * confidence is 0.0–1.0. reasons is a human-readable array explaining the match.
  * A function can match multiple archetypes — the classifier returns all that match.
+ *
+ * graph.fanIn/fanOut count every edge kind by default, so a function only
+ * ever handed over as a callback still has dependents. Pass a kinds list
+ * (e.g. ['call']) to count a subset.
+ *
+ * With a test layer, graph.isUntested() says no test file reaches a function;
+ * the archetypes where that matters most say so in their reasons. With CPU
+ * profiles, graph.isHot() marks where the time goes (see The Hot Seat).
  */
 
 // --- THE BOSS ---
@@ -32,6 +40,11 @@ export const BOSS = {
       `${fi} functions depend on this (top ${topPct(fi, stats.fanIn)}%)`,
     ]
     if (dominance > 0.7) reasons.push('far more callers than callees — high single-point-of-failure risk')
+    const refs = graph.fanIn(node.id, ['reference'])
+    if (refs > 0) reasons.push(`${refs} of them take it as a callback or value`)
+    const news = graph.fanIn(node.id, ['instantiate'])
+    if (news > 0) reasons.push(`${news} of them construct it with \`new\``)
+    if (graph.isUntested(node.id)) reasons.push(UNTESTED)
 
     return { confidence, reasons }
   },
@@ -40,6 +53,8 @@ export const BOSS = {
 // --- THE WORKHORSE ---
 // High complexity, high fan-out, lots of lines. Doing too much.
 // The function that carries the codebase on its back.
+// Complexity is elevated on either measure: cognitive complexity catches
+// deeply nested logic that a plain decision count undersells.
 
 export const WORKHORSE = {
   label: 'The Workhorse',
@@ -48,11 +63,14 @@ export const WORKHORSE = {
 
   detect(node, graph, stats) {
     const complexity = node.complexity
+    const cognitive = node.cognitiveComplexity
     const fanOut = graph.fanOut(node.id)
     const loc = node.linesOfCode
 
     // Need at least two of three metrics to be elevated (top 15%, not top 25%)
-    const complexityHigh = complexity >= stats.complexity.p85
+    const cyclomaticHigh = complexity >= stats.complexity.p85
+    const cognitiveHigh  = cognitive  >= Math.max(stats.cognitiveComplexity.p85, 1)
+    const complexityHigh = cyclomaticHigh || cognitiveHigh
     const fanOutHigh     = fanOut     >= stats.fanOut.p85
     const locHigh        = loc        >= stats.linesOfCode.p85
 
@@ -60,15 +78,21 @@ export const WORKHORSE = {
     if (score < 2) return null
 
     const confidence = clamp(
-      0.4 * normalize(complexity, stats.complexity.p85, stats.complexity.max) +
+      0.4 * Math.max(
+        normalize(complexity, stats.complexity.p85, stats.complexity.max),
+        normalize(cognitive, stats.cognitiveComplexity.p85, stats.cognitiveComplexity.max)
+      ) +
       0.3 * normalize(fanOut, stats.fanOut.p85, stats.fanOut.max) +
       0.3 * normalize(loc, stats.linesOfCode.p85, stats.linesOfCode.max)
     )
 
     const reasons = []
-    if (complexityHigh) reasons.push(`complexity ${complexity} (top ${topPct(complexity, stats.complexity)}%)`)
+    if (cyclomaticHigh) reasons.push(`complexity ${complexity} (top ${topPct(complexity, stats.complexity)}%)`)
+    if (cognitiveHigh)  reasons.push(`cognitive complexity ${cognitive} (top ${topPct(cognitive, stats.cognitiveComplexity)}%)`)
+    if (deeplyNested(node, stats)) reasons.push(`nested ${node.maxNesting} levels deep`)
     if (fanOutHigh)     reasons.push(`calls ${fanOut} functions (top ${topPct(fanOut, stats.fanOut)}%)`)
     if (locHigh)        reasons.push(`${loc} lines (top ${topPct(loc, stats.linesOfCode)}%)`)
+    if (graph.isUntested(node.id)) reasons.push(UNTESTED)
 
     return { confidence, reasons }
   },
@@ -103,6 +127,16 @@ export const GOSSIP = {
     ]
     if (ratioHigh) reasons.push(`${Math.round(ratio * 100)}% of its calls cross module boundaries`)
 
+    // Events fan out to every listener, wherever it lives
+    const broadcasts = graph.callees(node.id, ['event']).filter(e => e.crossModule)
+    if (broadcasts.length > 0) {
+      reasons.push(`its events reach ${broadcasts.length} handler${broadcasts.length === 1 ? '' : 's'} in other modules (${eventNames(broadcasts)})`)
+    }
+
+    // Workspace mode: package boundaries are the ones that cost a release to cross
+    const cpfo = graph.crossPackageFanOut(node.id)
+    if (cpfo > 0) reasons.push(`${cpfo} of its calls reach into other workspace packages`)
+
     return { confidence, reasons }
   },
 }
@@ -131,6 +165,8 @@ export const HERMIT = {
     const reasons = ['no callers found in this codebase']
     if (likelyEntryPoint) reasons.push('name suggests entry point — may be called externally')
     if (fo === 0)         reasons.push('also calls nothing — likely truly isolated')
+    const tested = graph.testReach.get(node.id)?.direct.length ?? 0
+    if (tested > 0)       reasons.push(`only called from tests (${tested} file${tested === 1 ? '' : 's'})`)
 
     return { confidence, reasons }
   },
@@ -183,10 +219,12 @@ export const OVERLOADED = {
   detect(node, graph, stats) {
     const params = node.params
     const complexity = node.complexity
+    const cognitive = node.cognitiveComplexity
     const fo = graph.fanOut(node.id)
 
     const paramsHigh     = params     >= Math.max(stats.params.p90, 4)
-    const complexityHigh = complexity >= stats.complexity.p75
+    const cognitiveHigh  = cognitive  >= Math.max(stats.cognitiveComplexity.p75, 1)
+    const complexityHigh = complexity >= stats.complexity.p75 || cognitiveHigh
     const fanOutHigh     = fo         >= stats.fanOut.p75
 
     // Needs high params PLUS at least one other signal
@@ -195,13 +233,18 @@ export const OVERLOADED = {
 
     const confidence = clamp(
       0.5 * normalize(params, stats.params.p75, stats.params.max) +
-      0.3 * normalize(complexity, stats.complexity.p50, stats.complexity.max) +
+      0.3 * Math.max(
+        normalize(complexity, stats.complexity.p50, stats.complexity.max),
+        normalize(cognitive, stats.cognitiveComplexity.p50, stats.cognitiveComplexity.max)
+      ) +
       0.2 * normalize(fo, stats.fanOut.p50, stats.fanOut.max)
     )
 
     const reasons = [`${params} parameters (top ${topPct(params, stats.params)}%)`]
-    if (complexityHigh) reasons.push(`complexity ${complexity}`)
+    if (complexityHigh) reasons.push(`complexity ${complexity}, cognitive ${cognitive}`)
+    if (deeplyNested(node, stats)) reasons.push(`nested ${node.maxNesting} levels deep`)
     if (fanOutHigh)     reasons.push(`calls ${fo} other functions`)
+    if (graph.isUntested(node.id)) reasons.push(UNTESTED)
 
     return { confidence, reasons }
   },
@@ -209,6 +252,8 @@ export const OVERLOADED = {
 
 // --- THE GHOST ---
 // Has some callers but barely. Non-trivial code that's been mostly forgotten.
+// With a runtime trace or coverage, "barely" is how often it actually ran,
+// not how many places call it.
 
 export const GHOST = {
   label: 'The Ghost',
@@ -218,9 +263,10 @@ export const GHOST = {
   detect(node, graph, stats) {
     const fi = graph.fanIn(node.id)
     const complexity = node.complexity
+    const runs = graph.runCount(node.id)
 
-    // Has some callers (not a hermit) but very few
-    if (fi === 0 || fi > 2) return null
+    // Has some callers (not a hermit) but very few — or, with run counts, barely ran
+    if (fi === 0 || (runs ?? fi) > 2) return null
 
     // Non-trivial function that's barely used
     const nonTrivial = complexity >= stats.complexity.p50 || node.linesOfCode >= stats.linesOfCode.p50
@@ -228,10 +274,13 @@ export const GHOST = {
 
     const confidence = 0.4 + 0.3 * normalize(complexity, stats.complexity.p50, stats.complexity.max)
 
-    const reasons = [
-      `only ${fi} caller${fi === 1 ? '' : 's'}`,
-      `complexity ${complexity} suggests it's not trivial`,
-    ]
+    const reasons = runs === null
+      ? [`only ${fi} caller${fi === 1 ? '' : 's'}`]
+      : [`${runs === 0 ? 'never ran' : `ran only ${runs} time${runs === 1 ? '' : 's'}`} ${RUN_SOURCE[graph.callCountsFrom]}`,
+         `despite ${fi} caller${fi === 1 ? '' : 's'}`]
+    reasons.push(`complexity ${complexity} suggests it's not trivial`)
+    // A callback can run far more often than its one registration suggests
+    if (runs === null && graph.fanIn(node.id, ['reference']) > 0) reasons.push('passed around as a value — actual call frequency unknown')
 
     return { confidence, reasons }
   },
@@ -258,6 +307,7 @@ export const CRISIS_POINT = {
       `${m.fixCommits} of ${m.commits} commits were bug fixes (${Math.round(fixRatio * 100)}%)`,
     ]
     if (m.authors.size > 2) reasons.push(`touched by ${m.authors.size} different authors — high turbulence`)
+    if (graph.isUntested(node.id)) reasons.push(UNTESTED)
 
     return { confidence, reasons }
   },
@@ -321,12 +371,101 @@ export const BRIDGE = {
       return `${pct}% of connections between ${p.from} and ${p.to} (${p.total} total)`
     })
 
+    const heard = graph.callers(node.id, ['event']).filter(e => e.crossModule)
+    const told  = graph.callees(node.id, ['event']).filter(e => e.crossModule)
+    if (heard.length > 0) reasons.push(`reached from other modules via events (${eventNames(heard)})`)
+    if (told.length > 0)  reasons.push(`passes work on via events (${eventNames(told)})`)
+
+    return { confidence, reasons }
+  },
+}
+
+// --- THE HOT SEAT ---
+// Performance-hot and socially central at once: a big slice of CPU time,
+// and a crowd of callers. Optimising it means changing what everyone leans on.
+
+export const HOT_SEAT = {
+  label: 'The Hot Seat',
+  emoji: '♨️',
+  description: 'Where the CPU time goes, and what everything depends on — performance work here touches everyone.',
+
+  detect(node, graph, stats) {
+    if (!graph.isHot(node.id)) return null
+
+    const fi = graph.fanIn(node.id)
+    const threshold = Math.max(stats.fanIn.p90, 3)
+    if (fi < threshold) return null
+
+    const { self, total } = graph.timeShare(node.id)
+    const confidence = clamp(
+      0.4 +
+      0.3 * normalize(fi, threshold, stats.fanIn.max) +
+      0.3 * clamp(Math.max(self * 4, total))
+    )
+
+    const reasons = [
+      `${percent(self)} of CPU time in its own code, ${percent(total)} under it`,
+      `${fi} functions depend on this (top ${topPct(fi, stats.fanIn)}%)`,
+    ]
+    if (graph.isUntested(node.id)) reasons.push(UNTESTED)
+
+    return { confidence, reasons }
+  },
+}
+
+// --- THE ENTANGLED ---
+// Caught in a call cycle that runs through more than one module: its module
+// calls into another that, somewhere down the line, calls back. None of
+// them can be changed, tested or extracted on its own.
+
+export const ENTANGLED = {
+  label: 'The Entangled',
+  emoji: '🪢',
+  description: 'Part of a call cycle across modules — none of them can change alone.',
+
+  detect(node, graph, stats, ctx) {
+    const cycle = ctx?.cycles?.byNode.get(node.id)
+    if (!cycle?.crossModule) return null
+
+    const size = cycle.nodeIds.length
+    const confidence = clamp(0.5 + 0.1 * (cycle.modules.length - 1) + 0.05 * (size - 2))
+
+    // Its own steps around the loop
+    const members = new Set(cycle.nodeIds)
+    const next = graph.callees(node.id).filter(e => e.resolved && members.has(e.to) && e.to !== node.id)
+    const names = [...new Set(next.map(e => graph.getNode(e.to)?.name))].slice(0, 3)
+
+    const reasons = [
+      `in a cycle of ${size} functions across ${cycle.modules.join(', ')}`,
+    ]
+    if (names.length > 0) reasons.push(`calls back around through ${names.join(', ')}`)
+    const moduleCycle = ctx.cycles.modules.find(c => c.modules.includes(node.module))
+    if (moduleCycle) reasons.push(`its module is in a dependency cycle: ${moduleCycle.modules.join(' ⇄ ')}`)
+
     return { confidence, reasons }
   },
 }
 
 // --- Helpers ---
 
+const UNTESTED = 'no test reaches it'
+
+// Where graph.callCounts came from, as the end of a sentence
+const RUN_SOURCE = { trace: 'in the trace', coverage: 'under coverage' }
+
+function deeplyNested(node, stats) {
+  return node.maxNesting >= Math.max(stats.maxNesting.p90, 4)
+}
+
+function eventNames(edges) {
+  const names = [...new Set(edges.map(e => e.event))]
+  return names.length > 3 ? `${names.slice(0, 3).join(', ')}, …` : names.join(', ')
+}
+
+function percent(share) {
+  return `${(share * 100).toFixed(share < 0.1 ? 1 : 0)}%`
+}
+
 function clamp(v) { return Math.min(1, Math.max(0, v)) }
 
 function normalize(value, min, max) {
@@ -340,4 +479,4 @@ function topPct(value, stat) {
   return Math.max(1, 100 - stat.rank(value))
 }
 
-export const ALL_ARCHETYPES = [BOSS, WORKHORSE, GOSSIP, HERMIT, STRANGER, OVERLOADED, GHOST, CRISIS_POINT, CODEPENDENT, BRIDGE]
+export const ALL_ARCHETYPES = [BOSS, WORKHORSE, GOSSIP, HERMIT, STRANGER, OVERLOADED, GHOST, CRISIS_POINT, CODEPENDENT, BRIDGE, HOT_SEAT, ENTANGLED]
@@ -14,6 +14,7 @@ import { computeStats } from './stats.js'
 import { ALL_ARCHETYPES } from './archetypes.js'
 import { strongestPartner } from '../git/git-analyzer.js'
 import { computeBridgeScores } from '../graph/bridge-detector.js'
+import { detectCycles } from '../graph/cycle-detector.js'
 
 /**
  * Classify all functions in the graph.
@@ -25,17 +26,25 @@ import { computeBridgeScores } from '../graph/bridge-detector.js'
 export function classify(graph, context = {}) {
   const stats = computeStats(graph)
   const bridgeScores = computeBridgeScores(graph)
+  const cycles = detectCycles(graph)
   const results = new Map()
 
   const ctx = {
     ...context,
     strongestPartner,
     bridgeScores,
+    cycles,
   }
 
   for (const node of graph.getAllNodes()) {
     const matches = []
 
+    // A file's top-level code is an entry point, not a character
+    if (node.kind === 'module') {
+      results.set(node.id, matches)
+      continue
+    }
+
     for (const archetype of ALL_ARCHETYPES) {
       const result = archetype.detect(node, graph, stats, ctx)
       if (result) {
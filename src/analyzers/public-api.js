@@ -0,0 +1,76 @@
+/**
+ * Public API — what each module offers the rest of the codebase, and what
+ * the rest of the codebase actually uses.
+ *
+ * A module's API is its exported functions (see ast-walker.js). Each is
+ * listed with its callers from other modules. An unexported function with
+ * callers from other modules is a leak: something outside reached it by name
+ * (a global-name match, an import of a name the walker never saw exported)
+ * rather than through anything the module offers.
+ *
+ * Class members never leak — an instance of an unexported class can still be
+ * handed out by an exported factory. Event edges don't count either: the
+ * emitter doesn't know its handlers.
+ */
+
+const API_EDGE_KINDS = ['call', 'reference', 'render', 'instantiate', 'dynamic']
+
+/**
+ * @typedef {Object} ApiEntry
+ * @property {string}   id
+ * @property {string[]} callers  - Functions in other modules reaching it (IDs, deduplicated)
+ */
+
+/**
+ * @typedef {Object} ModuleApi
+ * @property {string}     module
+ * @property {ApiEntry[]} exported - Exported functions, most used from outside first
+ * @property {ApiEntry[]} leaks    - Unexported functions called from other modules
+ * @property {number}     usedExports - Exported functions with at least one outside caller
+ */
+
+/**
+ * @param {import('../graph/call-graph.js').CallGraph} graph
+ * @returns {ModuleApi[]}  modules with leaks first, then by outside use
+ */
+export function computePublicApi(graph) {
+  const modules = new Map()
+
+  for (const node of graph.getFunctionNodes()) {
+    if (!modules.has(node.module)) {
+      modules.set(node.module, { module: node.module, exported: [], leaks: [], usedExports: 0 })
+    }
+    const api = modules.get(node.module)
+    const callers = outsideCallers(graph, node)
+
+    if (node.exported) {
+      api.exported.push({ id: node.id, callers })
+      if (callers.length > 0) api.usedExports++
+    } else if (callers.length > 0 && !node.className) {
+      api.leaks.push({ id: node.id, callers })
+    }
+  }
+
+  const byUse = (a, b) => b.callers.length - a.callers.length || a.id.localeCompare(b.id)
+  for (const api of modules.values()) {
+    api.exported.sort(byUse)
+    api.leaks.sort(byUse)
+  }
+
+  return [...modules.values()]
+    .filter(api => api.exported.length > 0 || api.leaks.length > 0)
+    .sort((a, b) =>
+      b.leaks.length - a.leaks.length ||
+      b.usedExports - a.usedExports ||
+      a.module.localeCompare(b.module)
+    )
+}
+
+function outsideCallers(graph, node) {
+  const ids = new Set()
+  for (const edge of graph.callers(node.id, API_EDGE_KINDS)) {
+    const caller = graph.getNode(edge.from)
+    if (caller && caller.module !== node.module) ids.add(caller.id)
+  }
+  return [...ids]
+}
@@ -12,13 +12,18 @@
  * @param {import('../graph/call-graph.js').CallGraph} graph
  */
 export function computeStats(graph) {
-  const nodes = graph.getAllNodes()
+  const nodes = graph.getFunctionNodes()
   if (nodes.length === 0) return {}
 
   const metrics = {
     fanIn:            nodes.map(n => graph.fanIn(n.id)),
     fanOut:           nodes.map(n => graph.fanOut(n.id)),
     complexity:       nodes.map(n => n.complexity),
+    cognitiveComplexity: nodes.map(n => n.cognitiveComplexity),
+    maxNesting:       nodes.map(n => n.maxNesting),
+    halsteadVolume:   nodes.map(n => n.halsteadVolume),
+    halsteadEffort:   nodes.map(n => n.halsteadEffort),
+    maintainability:  nodes.map(n => n.maintainability),
     linesOfCode:      nodes.map(n => n.linesOfCode),
     params:           nodes.map(n => n.params),
     crossModuleFanOut: nodes.map(n => graph.crossModuleFanOut(n.id)),
@@ -35,6 +40,29 @@ export function computeStats(graph) {
   return result
 }
 
+/**
+ * Mean of a per-node metric within each module.
+ *
+ * @param {import('../graph/call-graph.js').CallGraph} graph
+ * @param {string} key  FunctionNode field, e.g. 'maintainability'
+ * @returns {Map<string, { mean: number, functions: number }>}
+ */
+export function averageByModule(graph, key) {
+  const sums = new Map()
+  for (const node of graph.getFunctionNodes()) {
+    const entry = sums.get(node.module) ?? { total: 0, functions: 0 }
+    entry.total += node[key] ?? 0
+    entry.functions++
+    sums.set(node.module, entry)
+  }
+
+  const result = new Map()
+  for (const [module, { total, functions }] of sums) {
+    result.set(module, { mean: total / functions, functions })
+  }
+  return result
+}
+
 function summarize(values) {
   const sorted = [...values].sort((a, b) => a - b)
   const n = sorted.length
@@ -12,6 +12,7 @@
  *   INPUT_WORKING_DIRECTORY  - path to analyze     (default: .)
  *   INPUT_CONFIG_PATH        - path to .sociograph.yml
  *   INPUT_FAIL_ON_VIOLATIONS - "true"|"false"      (default: true)
+ *   INPUT_WORKSPACES         - "true"|"false"      (default: false)
  *
  * Standard GitHub Actions env vars (supplied automatically by the runner):
  *   GITHUB_REPOSITORY   - "owner/repo"
@@ -30,6 +31,7 @@ const headRef        = process.env.INPUT_HEAD_REF        || 'HEAD'
 const workingDir     = process.env.INPUT_WORKING_DIRECTORY || '.'
 const configPath     = process.env.INPUT_CONFIG_PATH     || '.sociograph.yml'
 const failOnViolate  = process.env.INPUT_FAIL_ON_VIOLATIONS !== 'false'
+const workspaces     = process.env.INPUT_WORKSPACES === 'true'
 
 if (!token)   die('INPUT_TOKEN or GITHUB_TOKEN is required')
 if (!baseRef) die('INPUT_BASE_REF is required')
@@ -59,8 +61,8 @@ const rootDir = resolve(workingDir)
 
 process.stderr.write(`\n🔬 Sociograph — analyzing ${range} in ${rootDir}\n\n`)
 
-const diffResult = await runDiff(rootDir, range, { verbose: true })
 const config     = loadConfig(resolve(configPath))
+const diffResult = await runDiff(rootDir, range, { verbose: true, workspaces, events: config.events, modules: config.modules })
 const evaluation = evaluate(diffResult, config)
 const body       = formatComment(diffResult, evaluation)
 
@@ -14,7 +14,7 @@ export const SENTINEL = '<!-- sociograph-report -->'
  */
 export function formatComment(diffResult, evaluation) {
   const { beforeRef, afterRef, diffs, summary } = diffResult
-  const { passed, violations, newBridges, watchedGains } = evaluation
+  const { passed, violations, newBridges, watchedGains, newCycles = [] } = evaluation
 
   const lines = []
   const emit  = (...parts) => lines.push(parts.join(''))
@@ -34,6 +34,7 @@ export function formatComment(diffResult, evaluation) {
   if (summary.added     > 0) summaryParts.push(`🆕 ${summary.added} new`)
   if (summary.removed   > 0) summaryParts.push(`🗑️ ${summary.removed} removed`)
   if (summary.unchanged > 0) summaryParts.push(`${summary.unchanged} unchanged`)
+  if (summary.newCycles > 0) summaryParts.push(`🔁 **${summary.newCycles} new ${summary.newCycles === 1 ? 'cycle' : 'cycles'}**`)
 
   if (passed && summary.stressed === 0) {
     emit('✅ **No architectural regressions.** ', summaryParts.slice(1).join(' &nbsp;·&nbsp; '))
@@ -85,6 +86,25 @@ export function formatComment(diffResult, evaluation) {
     }
   }
 
+  // ── New cycles ────────────────────────────────────────────────────────────
+
+  if (newCycles.length > 0) {
+    emit()
+    emit(`### 🔁 New Cycles (${newCycles.length})`)
+    emit()
+    emit('> Functions or modules that now reach each other in a loop — none of them can change alone.')
+    emit()
+    emit('| Cycle | Modules |')
+    emit('|---|---|')
+    for (const cycle of newCycles.slice(0, 8)) {
+      const members = cycle.kind === 'module'
+        ? cycle.modules.join(' ⇄ ')
+        : cycle.names.slice(0, 5).map(n => `\`${n}\``).join(' · ') + (cycle.names.length > 5 ? ` … +${cycle.names.length - 5}` : '')
+      emit(`| ${members} | ${cycle.modules.join(', ')} |`)
+    }
+    if (newCycles.length > 8) emit(`\n*…and ${newCycles.length - 8} more*`)
+  }
+
   // ── Watched archetype gains (excluding bridges, already shown above) ───────
 
   const otherWatched = watchedGains.filter(d => !d.archetypesGained.includes('The Bridge'))
@@ -5,20 +5,33 @@
  *   thresholds:
  *     max_stressed:        5     # fail if N+ newly stressed functions
  *     fail_on_new_bridge:  false # fail if any function gains The Bridge
+ *     fail_on_new_cycle:   false # fail if a new call or module cycle appears
  *   watch_archetypes:            # always highlighted in comments
  *     - The Bridge
  *     - The Boss
  *     - The Crisis Point
  *     - The Workhorse
+ *   events:                      # methods paired into event edges (each list replaces the default)
+ *     emitters:    [emit, publish, dispatch, trigger, broadcast]
+ *     subscribers: [on, once, addListener, prependListener, subscribe, addEventListener]
+ *   modules:                     # module boundaries (see parsers/module-resolver.js)
+ *     map:                       # glob -> module, first match wins; * captures as $1, $2…
+ *       'src/features/*': 'features/$1'
+ *     depth: 1                   # directories kept after a leading src/lib/app/source
+ *     from: codeowners           # or: package (nearest package.json)
+ *
+ * Also read by `sociograph analyze` and `sociograph diff` from the analyzed root.
  */
 
 import { readFileSync, existsSync } from 'fs'
 import { load } from 'js-yaml'
+import { DEFAULT_EVENT_METHODS } from '../graph/event-linker.js'
 
 const DEFAULTS = {
   thresholds: {
     max_stressed:       5,
     fail_on_new_bridge: false,
+    fail_on_new_cycle:  false,
   },
   watch_archetypes: [
     'The Bridge',
@@ -26,6 +39,12 @@ const DEFAULTS = {
     'The Crisis Point',
     'The Workhorse',
   ],
+  events: DEFAULT_EVENT_METHODS,
+  modules: {
+    map:   {},
+    depth: 1,
+    from:  null,
+  },
 }
 
 /**
@@ -45,6 +64,14 @@ export function loadConfig(configPath) {
         ...(yaml.thresholds ?? {}),
       },
       watch_archetypes: yaml.watch_archetypes ?? DEFAULTS.watch_archetypes,
+      events: {
+        ...DEFAULTS.events,
+        ...(yaml.events ?? {}),
+      },
+      modules: {
+        ...DEFAULTS.modules,
+        ...(yaml.modules ?? {}),
+      },
     }
   } catch {
     return DEFAULTS
@@ -7,6 +7,7 @@
  * @property {string[]} violations   — threshold failures (cause exit 1)
  * @property {import('../diff/diff-classifier.js').FunctionDiff[]} newBridges
  * @property {import('../diff/diff-classifier.js').FunctionDiff[]} watchedGains
+ * @property {import('../diff/diff-classifier.js').NewCycle[]}     newCycles  module cycles first
  */
 
 /**
@@ -37,6 +38,16 @@ export function evaluate(diffResult, config) {
     )
   }
 
+  // New call or module cycles
+  const newCycles = diffResult.newCycles
+    ? [...diffResult.newCycles.modules, ...diffResult.newCycles.functions]
+    : []
+  if (thresholds.fail_on_new_cycle && newCycles.length > 0) {
+    violations.push(
+      `${newCycles.length} new ${newCycles.length > 1 ? 'cycles' : 'cycle'} between functions or modules`
+    )
+  }
+
   // Watched archetypes gained (informational, not a violation)
   const watchSet = new Set(watch_archetypes)
   const watchedGains = diffs.filter(d =>
@@ -48,5 +59,6 @@ export function evaluate(diffResult, config) {
     violations,
     newBridges,
     watchedGains,
+    newCycles,
   }
 }
@@ -7,6 +7,12 @@
 /**
  * @typedef {Object} MetricDelta
  * @property {number} complexity
+ * @property {number} cognitiveComplexity
+ * @property {number} maxNesting
+ * @property {number} halsteadVolume
+ * @property {number} halsteadDifficulty
+ * @property {number} halsteadEffort
+ * @property {number} maintainability
  * @property {number} fanIn
  * @property {number} fanOut
  * @property {number} crossModuleFanOut
@@ -31,24 +37,39 @@
  * @property {string[]} signals   human-readable delta descriptions
  */
 
+/**
+ * @typedef {Object} NewCycle
+ * @property {'function'|'module'} kind
+ * @property {string[]} members      function IDs, or module names for a module cycle
+ * @property {string[]} names        function names (module names for a module cycle)
+ * @property {string[]} modules
+ * @property {boolean}  crossModule
+ */
+
 /**
  * @typedef {Object} DiffResult
  * @property {string}         beforeRef
  * @property {string}         afterRef
  * @property {FunctionDiff[]} diffs
- * @property {{ added: number, removed: number, stressed: number, improved: number, unchanged: number }} summary
+ * @property {{ functions: NewCycle[], modules: NewCycle[] }} newCycles
+ *   cycles at the after ref that weren't there before (empty without cycle snapshots)
+ * @property {{ added: number, removed: number, stressed: number, improved: number, unchanged: number, newCycles: number }} summary
+ * @property {{ before: import('../parsers/ast-walker.js').ParseDiagnostic[], after: import('../parsers/ast-walker.js').ParseDiagnostic[] }} [diagnostics]
+ *   files each side failed or only partially parsed (set by the diff runner)
  */
 
 // Thresholds for what's notable. A delta must cross at least one to be surfaced.
+// Maintainability is the one metric where a drop is the stress, so its signs flip.
 export const THRESHOLDS = {
-  stress: { complexity: 3, fanOut: 2, fanIn: 5, crossModuleFanOut: 2 },
-  improve: { complexity: -3, fanOut: -2, fanIn: -5, crossModuleFanOut: -2 },
+  stress: { complexity: 3, cognitiveComplexity: 5, maxNesting: 2, maintainability: -10, fanOut: 2, fanIn: 5, crossModuleFanOut: 2 },
+  improve: { complexity: -3, cognitiveComplexity: -5, maxNesting: -2, maintainability: 10, fanOut: -2, fanIn: -5, crossModuleFanOut: -2 },
 }
 
 // Archetypes that are "concerning" — gaining one is notable, losing one is good.
 const CONCERNING = new Set([
   'The Boss', 'The Workhorse', 'The Gossip', 'The Overloaded',
   'The Crisis Point', 'The Codependent', 'The Stranger', 'The Bridge',
+  'The Entangled',
 ])
 
 /**
@@ -58,9 +79,10 @@ const CONCERNING = new Set([
  * @param {Map<string, import('./snapshot.js').NodeSnapshot>} afterMap
  * @param {string} beforeRef
  * @param {string} afterRef
+ * @param {{ before: import('./snapshot.js').CycleSnapshot, after: import('./snapshot.js').CycleSnapshot }|null} [cycles]
  * @returns {DiffResult}
  */
-export function computeDiff(beforeMap, afterMap, beforeRef, afterRef) {
+export function computeDiff(beforeMap, afterMap, beforeRef, afterRef, cycles = null) {
   const diffs = []
   let unchanged = 0
 
@@ -94,15 +116,18 @@ export function computeDiff(beforeMap, afterMap, beforeRef, afterRef) {
   // Sort: stressed first (by severity), then new+notable, then improved, then removed, then new+plain
   diffs.sort(sortDiffs)
 
+  const newCycles = cycles ? findNewCycles(cycles.before, cycles.after, afterMap) : { functions: [], modules: [] }
+
   const summary = {
     added:     diffs.filter(d => d.kind === 'added').length,
     removed:   diffs.filter(d => d.kind === 'removed').length,
     stressed:  diffs.filter(d => d.verdict === 'stressed').length,
     improved:  diffs.filter(d => d.verdict === 'improved').length,
     unchanged,
+    newCycles: newCycles.functions.length + newCycles.modules.length,
   }
 
-  return { beforeRef, afterRef, diffs, summary }
+  return { beforeRef, afterRef, diffs, newCycles, summary }
 }
 
 // --- Builders ---
@@ -180,6 +205,12 @@ function makeChanged(key, before, after) {
 function computeDelta(before, after) {
   return {
     complexity:        after.complexity        - before.complexity,
+    cognitiveComplexity: after.cognitiveComplexity - before.cognitiveComplexity,
+    maxNesting:        after.maxNesting        - before.maxNesting,
+    halsteadVolume:    round(after.halsteadVolume     - before.halsteadVolume),
+    halsteadDifficulty: round(after.halsteadDifficulty - before.halsteadDifficulty),
+    halsteadEffort:    round(after.halsteadEffort     - before.halsteadEffort),
+    maintainability:   round(after.maintainability    - before.maintainability),
     fanIn:             after.fanIn             - before.fanIn,
     fanOut:            after.fanOut            - before.fanOut,
     crossModuleFanOut: after.crossModuleFanOut - before.crossModuleFanOut,
@@ -195,6 +226,9 @@ function classify(delta, before, after, archetypesGained, archetypesLost) {
   // Metric signals
   const checks = [
     ['complexity',        'complexity',         delta.complexity],
+    ['cognitive',         'cognitiveComplexity', delta.cognitiveComplexity],
+    ['nesting',           'maxNesting',         delta.maxNesting],
+    ['maintainability',   'maintainability',    delta.maintainability],
     ['fan-out',           'fanOut',             delta.fanOut],
     ['cross-module calls','crossModuleFanOut',  delta.crossModuleFanOut],
     ['fan-in',            'fanIn',              delta.fanIn],
@@ -206,8 +240,8 @@ function classify(delta, before, after, archetypesGained, archetypesLost) {
     const stressThresh  = THRESHOLDS.stress[key]
     const improveThresh = THRESHOLDS.improve[key]
     const sign = value > 0 ? '+' : ''
-    if (stressThresh  !== undefined && value >= stressThresh)  { stressed = true; signals.push(`${label} ${sign}${value}`) }
-    else if (improveThresh !== undefined && value <= improveThresh) { improved = true; signals.push(`${label} ${sign}${value}`) }
+    if (crosses(value, stressThresh))       { stressed = true; signals.push(`${label} ${sign}${value}`) }
+    else if (crosses(value, improveThresh)) { improved = true; signals.push(`${label} ${sign}${value}`) }
     else if (Math.abs(value) >= 1 && key === 'linesOfCode') {
       // LOC changes are informational — don't stress/improve but still surface if large
       if (Math.abs(value) >= 20) signals.push(`lines ${sign}${value}`)
@@ -228,11 +262,50 @@ function classify(delta, before, after, archetypesGained, archetypesLost) {
   return { verdict, signals }
 }
 
+// Thresholds point the way the metric has to move: +3 means "rose by 3 or more"
+function crosses(value, threshold) {
+  if (threshold === undefined) return false
+  return threshold > 0 ? value >= threshold : value <= threshold
+}
+
+function round(n) {
+  return Math.round(n * 10) / 10
+}
+
+// --- Cycles ---
+
+// A cycle is new when no cycle before shares two of its members: one that
+// only grew (or shrank) is the same knot. Cross-module cycles come first.
+function findNewCycles(before, after, afterMap) {
+  const isNew = (members, previous) => !previous.some(other => {
+    const set = new Set(other)
+    return members.filter(m => set.has(m)).length >= 2
+  })
+
+  const previousFunctions = before.functions.map(c => c.nodeIds)
+  const functions = after.functions
+    .filter(c => isNew(c.nodeIds, previousFunctions))
+    .map(c => ({
+      kind:        'function',
+      members:     c.nodeIds,
+      names:       c.nodeIds.map(id => afterMap.get(id)?.name ?? id),
+      modules:     c.modules,
+      crossModule: c.crossModule,
+    }))
+
+  const previousModules = before.modules.map(c => c.modules)
+  const modules = after.modules
+    .filter(c => isNew(c.modules, previousModules))
+    .map(c => ({ kind: 'module', members: c.modules, names: c.modules, modules: c.modules, crossModule: true }))
+
+  return { functions, modules }
+}
+
 // --- Sorting ---
 
 function severityScore(diff) {
   const d = diff.delta
-  return Math.abs(d.complexity) * 2 + Math.abs(d.fanOut) + Math.abs(d.crossModuleFanOut) + Math.abs(d.fanIn) * 0.5
+  return Math.abs(d.complexity) * 2 + Math.abs(d.cognitiveComplexity) + Math.abs(d.maintainability) * 0.5 + Math.abs(d.fanOut) + Math.abs(d.crossModuleFanOut) + Math.abs(d.fanIn) * 0.5
 }
 
 function sortDiffs(a, b) {
@@ -251,5 +324,9 @@ function sortDiffs(a, b) {
 }
 
 function zeroDelta() {
-  return { complexity: 0, fanIn: 0, fanOut: 0, crossModuleFanOut: 0, linesOfCode: 0 }
+  return {
+    complexity: 0, cognitiveComplexity: 0, maxNesting: 0,
+    halsteadVolume: 0, halsteadDifficulty: 0, halsteadEffort: 0, maintainability: 0,
+    fanIn: 0, fanOut: 0, crossModuleFanOut: 0, linesOfCode: 0,
+  }
 }
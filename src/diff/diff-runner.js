@@ -25,7 +25,8 @@ export function parseRefRange(range) {
  *
  * @param {string} rootDir
  * @param {string} range           "before..after"
- * @param {{ verbose?: boolean }} options
+ * @param {{ verbose?: boolean, workspaces?: boolean, events?: { emitters: string[], subscribers: string[] }, modules?: object, cacheDir?: string|null, typed?: boolean }} options
+ *   cacheDir — parse cache shared by both snapshots (paths in it are root-relative)
  * @returns {Promise<import('./diff-classifier.js').DiffResult>}
  */
 export async function runDiff(rootDir, range, options = {}) {
@@ -34,15 +35,17 @@ export async function runDiff(rootDir, range, options = {}) {
 
   if (verbose) process.stderr.write(`\nSnapshotting ${beforeRef} and ${afterRef} in parallel...\n`)
 
-  const [beforeMap, afterMap] = await Promise.all([
+  const [before, after] = await Promise.all([
     snapshotRef(rootDir, beforeRef, options),
     snapshotRef(rootDir, afterRef, options),
   ])
 
   if (verbose) {
-    process.stderr.write(`  Before: ${beforeMap.size} functions\n`)
-    process.stderr.write(`  After:  ${afterMap.size} functions\n`)
+    process.stderr.write(`  Before: ${before.nodes.size} functions\n`)
+    process.stderr.write(`  After:  ${after.nodes.size} functions\n`)
   }
 
-  return computeDiff(beforeMap, afterMap, beforeRef, afterRef)
+  const result = computeDiff(before.nodes, after.nodes, beforeRef, afterRef, { before: before.cycles, after: after.cycles })
+  result.diagnostics = { before: before.diagnostics, after: after.diagnostics }
+  return result
 }
@@ -1,6 +1,7 @@
 /**
  * Snapshot — check out a git ref via worktree, build its call graph,
- * classify it, and return a flat Map of NodeSnapshot objects.
+ * classify it, and return a flat Map of NodeSnapshot objects (plus the
+ * parse diagnostics and call cycles for that ref).
  *
  * Uses `git worktree add --detach` so the user's working tree is untouched.
  */
@@ -12,6 +13,7 @@ import { join } from 'path'
 import { promisify } from 'util'
 import { buildGraph } from '../graph/graph-builder.js'
 import { classify } from '../analyzers/classifier.js'
+import { detectCycles } from '../graph/cycle-detector.js'
 
 const execFileAsync = promisify(execFile)
 
@@ -19,10 +21,17 @@ const execFileAsync = promisify(execFile)
  * @typedef {Object} NodeSnapshot
  * @property {string}   id
  * @property {string}   name
+ * @property {string}   scopePath          enclosing scopes, e.g. "outer>inner#2"
  * @property {string}   relPath
  * @property {number}   line
  * @property {string}   module
  * @property {number}   complexity
+ * @property {number}   cognitiveComplexity
+ * @property {number}   maxNesting
+ * @property {number}   halsteadVolume
+ * @property {number}   halsteadDifficulty
+ * @property {number}   halsteadEffort
+ * @property {number}   maintainability    0–100, higher is better
  * @property {number}   linesOfCode
  * @property {number}   params
  * @property {number}   fanIn
@@ -31,27 +40,37 @@ const execFileAsync = promisify(execFile)
  * @property {string[]} archetypes         label strings of matched archetypes
  */
 
+/**
+ * @typedef {Object} CycleSnapshot
+ * @property {import('../graph/cycle-detector.js').FunctionCycle[]} functions
+ * @property {import('../graph/cycle-detector.js').ModuleCycle[]}   modules
+ */
+
 /**
  * Snapshot all functions at a given git ref.
  *
  * @param {string} rootDir
  * @param {string} ref
- * @param {{ verbose?: boolean }} options
- * @returns {Promise<Map<string, NodeSnapshot>>}  keyed by node.id
+ * @param {{ verbose?: boolean, workspaces?: boolean, events?: { emitters: string[], subscribers: string[] }, modules?: object, cacheDir?: string|null, typed?: boolean }} options
+ * @returns {Promise<{ nodes: Map<string, NodeSnapshot>, diagnostics: import('../parsers/ast-walker.js').ParseDiagnostic[], cycles: CycleSnapshot }>}
+ *   nodes are keyed by node.id — scope-path IDs only shift when a same-named
+ *   sibling is added before a function, so most functions keep their key
+ *   across refs
  */
 export async function snapshotRef(rootDir, ref, options = {}) {
-  const { verbose = false } = options
+  const { verbose = false, workspaces = false, events, modules, cacheDir, typed } = options
   const worktreePath = await createWorktree(rootDir, ref, verbose)
 
   try {
-    const graph = await buildGraph(worktreePath, { verbose })
+    const graph = await buildGraph(worktreePath, { verbose, workspaces, events, modules, cacheDir, typed })
     const classifications = classify(graph)
 
-    const snapshot = new Map()
-    for (const node of graph.getAllNodes()) {
-      snapshot.set(node.id, toSnapshot(node, graph, classifications))
+    const nodes = new Map()
+    for (const node of graph.getFunctionNodes()) {
+      nodes.set(node.id, toSnapshot(node, graph, classifications))
     }
-    return snapshot
+    const { functions, modules: moduleCycles } = detectCycles(graph)
+    return { nodes, diagnostics: graph.diagnostics, cycles: { functions, modules: moduleCycles } }
   } finally {
     await removeWorktree(rootDir, worktreePath, verbose)
   }
@@ -87,10 +106,17 @@ function toSnapshot(node, graph, classifications) {
   return {
     id:               node.id,
     name:             node.name,
+    scopePath:        node.scopePath,
     relPath:          node.relPath,
     line:             node.line,
     module:           node.module,
     complexity:       node.complexity,
+    cognitiveComplexity: node.cognitiveComplexity,
+    maxNesting:       node.maxNesting,
+    halsteadVolume:   node.halsteadVolume,
+    halsteadDifficulty: node.halsteadDifficulty,
+    halsteadEffort:   node.halsteadEffort,
+    maintainability:  node.maintainability,
     linesOfCode:      node.linesOfCode,
     params:           node.params,
     fanIn:            graph.fanIn(node.id),
@@ -16,7 +16,7 @@ import { join } from 'path'
 import { promisify } from 'util'
 
 const execFileAsync = promisify(execFile)
-const CACHE_VERSION = 1
+const CACHE_VERSION = 2  // 2: component files (.vue, .svelte, .astro) included
 const CACHE_FILE    = '.sociograph/commits-cache.json'
 
 /**
@@ -26,7 +26,8 @@ const FIX_PATTERNS = [
   /\bbroken?\b/i,
 ]
 
-const JS_EXTENSIONS = '*.js *.ts *.jsx *.tsx *.mjs *.cjs'.split(' ')
+// Pathspecs for files the graph builder parses, single-file components included
+const SOURCE_EXTENSIONS = '*.js *.ts *.jsx *.tsx *.mjs *.cjs *.vue *.svelte *.astro'.split(' ')
 
 /**
  * Find the git root for a given directory.
@@ -76,7 +77,7 @@ export async function fetchCommits(rootDir, options = {}) {
     '--no-color',
     `--max-count=${limit}`,
     '--',
-    ...JS_EXTENSIONS,
+    ...SOURCE_EXTENSIONS,
   ]
 
   let stdout
@@ -8,7 +8,7 @@
  * exact path resolution fails.
  */
 
-import { relative, resolve, join } from 'path'
+import { relative, resolve, join, isAbsolute } from 'path'
 
 /**
  * Build an index of functions keyed by every plausible path form.
@@ -22,7 +22,8 @@ import { relative, resolve, join } from 'path'
 export function buildFileIndex(graph, gitRoot, rootDir) {
   const index = new Map()
 
-  for (const node of graph.getAllNodes()) {
+  // '<module>' nodes span the whole file — every change would touch them
+  for (const node of graph.getFunctionNodes()) {
     // node.file is absolute; store under multiple path forms so we can
     // match whatever git gives us (relative to gitRoot, or relative to rootDir)
     const keys = [
@@ -55,13 +56,7 @@ export function buildFileIndex(graph, gitRoot, rootDir) {
 export function mapToFunctions(diffFile, ranges, fileIndex, gitRoot, rootDir) {
   const touched = new Set()
 
-  // Try progressively looser path matches
-  const candidates =
-    fileIndex.get(diffFile) ??
-    fileIndex.get(resolve(gitRoot, diffFile)) ??
-    fileIndex.get(relative(rootDir, resolve(gitRoot, diffFile))) ??
-    suffixMatch(diffFile, fileIndex)
-
+  const candidates = functionsInFile(diffFile, fileIndex, gitRoot, rootDir)
   if (!candidates) return touched
 
   for (const fn of candidates) {
@@ -77,6 +72,51 @@ export function mapToFunctions(diffFile, ranges, fileIndex, gitRoot, rootDir) {
   return touched
 }
 
+/**
+ * The functions in a file, however its path is written: absolute, relative
+ * to gitRoot or rootDir, or — as a last resort — by suffix.
+ *
+ * @param {string} file  Path relative to gitRoot, or absolute
+ * @returns {FunctionNode[]|null}
+ */
+export function functionsInFile(file, fileIndex, gitRoot, rootDir) {
+  // Try progressively looser path matches
+  return (
+    fileIndex.get(file) ??
+    fileIndex.get(resolve(gitRoot, file)) ??
+    fileIndex.get(relative(rootDir, resolve(gitRoot, file))) ??
+    suffixMatch(file, fileIndex)
+  )
+}
+
+/**
+ * The function a runtime location (coverage entry, profile frame) belongs
+ * to: the one starting on `line`, else the innermost one around it.
+ *
+ * Runtime data covers dependencies and test files too, so node_modules
+ * paths never match, and a path under rootDir has to match exactly rather
+ * than by suffix.
+ *
+ * @param {string} file  Absolute, or as the tool that recorded it wrote it
+ * @param {number} line
+ * @returns {FunctionNode|null}
+ */
+export function functionAtLine(file, line, fileIndex, rootDir) {
+  if (file.split(/[\\/]/).includes('node_modules')) return null
+  const rel = relative(rootDir, file)
+  const candidates = isAbsolute(file) && !rel.startsWith('..') && !isAbsolute(rel)
+    ? fileIndex.get(file)
+    : functionsInFile(file, fileIndex, rootDir, rootDir)
+  if (!candidates) return null
+
+  let best = null
+  for (const fn of candidates) {
+    if (fn.line === line) return fn
+    if (fn.line <= line && fn.endLine >= line && (!best || fn.line > best.line)) best = fn
+  }
+  return best
+}
+
 /**
  * Last-resort: find functions whose file path ends with diffFile.
  * Handles cases like gitRoot="/" and rootDir="/project/src" where
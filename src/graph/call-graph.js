@@ -1,8 +1,18 @@
 /**
  * CallGraph — the social network of a codebase.
  *
- * Nodes are functions. Edges are calls between them.
+ * Nodes are functions, plus a '<module>' node per file that runs code at the
+ * top level (an entry point: it owns those calls but isn't a function and
+ * gets no archetypes). Edges are calls between them, plus references —
+ * a function passed as a callback, stored on a property or returned — and
+ * events, linking an emitter to each handler of the event it emits,
+ * renders, from a component to the JSX components it renders, and
+ * instantiations, from `new Foo()` to Foo's constructor. A runtime trace adds
+ * dynamic edges for the calls it saw that static analysis missed.
  * Provides the raw metrics that archetypes are built from.
+ *
+ * Edge accessors take an optional list of edge kinds; without one every
+ * kind counts.
  */
 
 export class CallGraph {
@@ -12,11 +22,69 @@ export class CallGraph {
   /** @type {CallEdge[]} */
   edges = []
 
+  /**
+   * Functions whose ID was already taken when they were added. The later one
+   * replaces the earlier in `nodes`, so these are blind spots worth reporting.
+   * @type {{ id: string, kept: FunctionNode, dropped: FunctionNode }[]}
+   */
+  duplicates = []
+
+  /**
+   * Files that failed to parse, or parsed only partially — the graph says
+   * nothing (or less than it should) about them.
+   * @type {import('../parsers/ast-walker.js').ParseDiagnostic[]}
+   */
+  diagnostics = []
+
+  /**
+   * The test layer, when built with `tests`: functions in test files and the
+   * edges out of them. Kept apart so tests never count as callers here.
+   * @type {CallGraph|null}
+   */
+  tests = null
+
+  /**
+   * Function ID -> test files reaching it directly and transitively (see
+   * test-reach.js). Empty without a test layer.
+   * @type {Map<string, { direct: string[], transitive: string[] }>}
+   */
+  testReach = new Map()
+
+  /**
+   * Function ID -> times it ran, when built with a runtime trace (see
+   * trace-linker.js) or coverage data (see coverage-reader.js); null
+   * otherwise. A function that's absent never ran.
+   * @type {Map<string, number>|null}
+   */
+  callCounts = null
+
+  /**
+   * Where callCounts came from.
+   * @type {'trace'|'coverage'|null}
+   */
+  callCountsFrom = null
+
+  /**
+   * CPU time, when built with .cpuprofile files (see profile-reader.js):
+   * profiled milliseconds, and function ID -> self / total milliseconds
+   * for the functions that showed up. Null otherwise.
+   * @type {{ duration: number, times: Map<string, { self: number, total: number }> }|null}
+   */
+  profile = null
+
+  /**
+   * Workspace packages, when the graph was built in workspace mode.
+   * @type {{ name: string, relDir: string }[]}
+   */
+  packages = []
+
   // Cached derived structures, invalidated on mutation
   #callerIndex = null
   #calleeIndex = null
 
   addFunction(node) {
+    const existing = this.nodes.get(node.id)
+    if (existing) this.duplicates.push({ id: node.id, kept: node, dropped: existing })
     this.nodes.set(node.id, node)
     this.#callerIndex = null
     this.#calleeIndex = null
@@ -38,24 +106,29 @@ export class CallGraph {
     return [...this.nodes.values()]
   }
 
+  // Functions proper — without the '<module>' entry points
+  getFunctionNodes() {
+    return this.getAllNodes().filter(n => n.kind !== 'module')
+  }
+
   // Who calls this function? (fan-in)
-  callers(nodeId) {
+  callers(nodeId, kinds) {
     this.#buildIndices()
-    return this.#callerIndex.get(nodeId) ?? []
+    return ofKinds(this.#callerIndex.get(nodeId) ?? [], kinds)
   }
 
   // Who does this function call? (fan-out)
-  callees(nodeId) {
+  callees(nodeId, kinds) {
     this.#buildIndices()
-    return this.#calleeIndex.get(nodeId) ?? []
+    return ofKinds(this.#calleeIndex.get(nodeId) ?? [], kinds)
   }
 
-  fanIn(nodeId) {
-    return this.callers(nodeId).length
+  fanIn(nodeId, kinds) {
+    return this.callers(nodeId, kinds).length
   }
 
-  fanOut(nodeId) {
-    return this.callees(nodeId).length
+  fanOut(nodeId, kinds) {
+    return this.callees(nodeId, kinds).length
   }
 
   // How many of this function's calls cross module boundaries?
@@ -68,6 +141,41 @@ export class CallGraph {
     }).length
   }
 
+  // How many of this function's calls land in another workspace package?
+  crossPackageFanOut(nodeId) {
+    return this.callees(nodeId).filter(edge => edge.crossPackage).length
+  }
+
+  // Built with a test layer, and no test file reaches this function
+  isUntested(nodeId) {
+    return this.tests !== null && !this.testReach.has(nodeId)
+  }
+
+  // Times it ran in the trace or coverage run; null without either
+  runCount(nodeId) {
+    return this.callCounts ? (this.callCounts.get(nodeId) ?? 0) : null
+  }
+
+  // Built with a trace or coverage, and this function never ran
+  isUnexecuted(nodeId) {
+    return this.runCount(nodeId) === 0
+  }
+
+  // Share of the profiled CPU time spent in this function (self) and under
+  // it (total), 0–1; null without a profile
+  timeShare(nodeId) {
+    if (!this.profile) return null
+    const { self = 0, total = 0 } = this.profile.times.get(nodeId) ?? {}
+    const duration = this.profile.duration || 1
+    return { self: self / duration, total: total / duration }
+  }
+
+  // Performance-hot: a big slice of CPU time is its own work, or passes through it
+  isHot(nodeId) {
+    const share = this.timeShare(nodeId)
+    return share !== null && (share.self >= HOT_SELF_SHARE || share.total >= HOT_TOTAL_SHARE)
+  }
+
   // All edges involving this node
   edgesFor(nodeId) {
     return this.edges.filter(e => e.from === nodeId || e.to === nodeId)
@@ -76,10 +184,18 @@ export class CallGraph {
   // Stats summary
   summary() {
     return {
-      functions: this.nodes.size,
-      calls: this.edges.length,
+      functions: this.getFunctionNodes().length,
+      entryPoints: this.nodes.size - this.getFunctionNodes().length,
+      edges: this.edges.length,
+      calls: this.edges.filter(e => e.kind === 'call').length,
+      references: this.edges.filter(e => e.kind === 'reference').length,
+      events: this.edges.filter(e => e.kind === 'event').length,
+      renders: this.edges.filter(e => e.kind === 'render').length,
+      instantiations: this.edges.filter(e => e.kind === 'instantiate').length,
+      dynamic: this.edges.filter(e => e.kind === 'dynamic').length,
       resolved: this.edges.filter(e => e.resolved).length,
       crossModule: this.edges.filter(e => e.crossModule).length,
+      crossPackage: this.edges.filter(e => e.crossPackage).length,
       external: this.edges.filter(e => !e.resolved).length,
     }
   }
@@ -100,28 +216,57 @@ export class CallGraph {
   }
 }
 
+// isHot thresholds, as shares of the profiled time
+const HOT_SELF_SHARE = 0.05
+const HOT_TOTAL_SHARE = 0.2
+
+function ofKinds(edges, kinds) {
+  return kinds ? edges.filter(e => kinds.includes(e.kind)) : edges
+}
+
 /**
  * @typedef {Object} FunctionNode
- * @property {string} id          - Unique: "path/to/file.ts::functionName"
+ * @property {string} id          - Unique: "path/to/file.ts::scopePath" (see node-id.js)
  * @property {string} name        - Function name (or "<anonymous>")
+ * @property {string} scopePath   - Enclosing scopes + own segment, e.g. "outer>Class.method#2"
  * @property {string} file        - Absolute file path
- * @property {string} module      - Module name (top-level dir or file stem)
+ * @property {string} module      - Module name (top-level dir or file stem; package name in workspace mode)
+ * @property {string|null} packageName - Owning workspace package, in workspace mode
  * @property {number} line        - Start line
  * @property {number} endLine     - End line
  * @property {number} params      - Parameter count
  * @property {number} complexity  - Cyclomatic complexity
+ * @property {number} cognitiveComplexity - Cognitive complexity (nesting-weighted, see complexity.js)
+ * @property {number} maxNesting  - Deepest nesting of control structures
+ * @property {number} halsteadVolume
+ * @property {number} halsteadDifficulty
+ * @property {number} halsteadEffort
+ * @property {number} maintainability - Maintainability index, 0–100 (higher is better)
  * @property {number} linesOfCode - Logical LOC (end - start)
- * @property {string} kind        - "function" | "method" | "arrow" | "anonymous"
+ * @property {string} kind        - "function" | "method" | "arrow" | "anonymous" | "component" (a .vue/.svelte/.astro file)
+ *   | "module" (a file's top-level code, named "<module>")
  * @property {string|null} className - If a class method, the class name
+ * @property {boolean} exported   - Exported by its file, directly or as a public member of an exported class
+ * @property {string[]} exportNames - Names its file exports it under ("default" included)
+ * @property {import('../parsers/doc-comments.js').DocComment|null} doc - The comment above it, if any
+ * @property {boolean} [implicit] - A class's default constructor, present only because a `new` reached it
  */
 
 /**
  * @typedef {Object} CallEdge
  * @property {string} from       - Caller function ID
  * @property {string} to         - Callee function ID (if resolved)
- * @property {string} calleeName - Raw name as written in source
+ * @property {string} kind       - "call" | "reference" (function named without being called) | "event" | "render"
+ *   | "instantiate" (`new`, to the class's constructor) | "dynamic" (seen in a runtime trace only)
+ * @property {string} calleeName - Raw name as written in source (the event name for event edges)
+ * @property {string} [event]    - Event name, on event edges
  * @property {boolean} resolved  - Whether 'to' was successfully resolved
+ * @property {string|null} strategy - Rule that resolved it: "this" | "import" | "namespace" | "class-render" | "constructor"
+ *   | "same-file" | "global-name" | "event" | "typed" | "typed-dispatch" | "trace" (null if unresolved by name;
+ *   "typed" on an unresolved edge means the checker placed the callee outside the project)
  * @property {boolean} crossModule
+ * @property {boolean} crossPackage - Caller and callee live in different workspace packages
  * @property {string} file       - File where the call occurs
  * @property {number} line       - Line of the call
+ * @property {number} [weight]   - Times the trace saw the caller call the callee (per pair, not per call site)
  */
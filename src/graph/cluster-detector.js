@@ -1,6 +1,7 @@
 /**
  * Cluster Detector — finds communities of tightly coupled functions
- * using label propagation on the undirected resolved call graph.
+ * using label propagation on the undirected resolved call graph, or takes
+ * them from Louvain (see community-detector.js) when given.
  *
  * Label propagation: each node iteratively adopts the most common label
  * among its neighbors. Converges in ~5–10 passes. Ties broken
@@ -12,6 +13,7 @@
 
 /**
  * @typedef {Object} Cluster
+ * @property {number|null} community   — Louvain community id (null under label propagation)
  * @property {number}   size
  * @property {string[]} nodeIds
  * @property {string[]} modules        — distinct modules spanned
@@ -22,10 +24,11 @@
 
 /**
  * @param {import('./call-graph.js').CallGraph} graph
- * @param {{ minSize?: number }} options
+ * @param {{ minSize?: number, communities?: Map<string, number>|null }} options
+ *   communities — function ID -> community id, used instead of label propagation
  * @returns {Cluster[]}
  */
-export function detectClusters(graph, { minSize = 3 } = {}) {
+export function detectClusters(graph, { minSize = 3, communities = null } = {}) {
   // Build undirected adjacency from resolved edges
   const neighbors = new Map()
   for (const node of graph.getAllNodes()) neighbors.set(node.id, new Set())
@@ -36,7 +39,7 @@ export function detectClusters(graph, { minSize = 3 } = {}) {
     neighbors.get(edge.to)?.add(edge.from)
   }
 
-  const labels = labelPropagate([...neighbors.keys()], neighbors)
+  const labels = communities ?? labelPropagate([...neighbors.keys()], neighbors)
 
   // Group nodes by label
   const groups = new Map()
@@ -47,7 +50,7 @@ export function detectClusters(graph, { minSize = 3 } = {}) {
 
   const clusters = []
 
-  for (const nodeIds of groups.values()) {
+  for (const [label, nodeIds] of groups) {
     if (nodeIds.length < minSize) continue
 
     const nodeSet = new Set(nodeIds)
@@ -76,7 +79,7 @@ export function detectClusters(graph, { minSize = 3 } = {}) {
       .slice(0, 3)
       .map(([id]) => id)
 
-    clusters.push({ size: nodeIds.length, nodeIds, modules, isMultiModule: modules.length > 1, density, hubs })
+    clusters.push({ community: communities ? label : null, size: nodeIds.length, nodeIds, modules, isMultiModule: modules.length > 1, density, hubs })
   }
 
   return clusters.sort((a, b) => {
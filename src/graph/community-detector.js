@@ -0,0 +1,164 @@
+/**
+ * Community Detector — Louvain clustering of the call graph, with the
+ * modularity of the result.
+ *
+ * The graph is taken as undirected and weighted: a pair of functions weighs
+ * as much as the resolved edges between them (every call site, reference,
+ * render… counts once), plus — with `coChange` and git metrics — half a
+ * point per commit that changed both. The random order Louvain visits nodes
+ * in is seeded, so a codebase always splits the same way.
+ *
+ * Community ids are renumbered by size, largest first: 0, 1, 2…, so the
+ * terminal report and the web view (which share one CommunityResult) agree
+ * on them.
+ */
+
+import Graph from 'graphology'
+import louvain from 'graphology-communities-louvain'
+
+// A commit touching both functions, against one call between them
+const CO_CHANGE_WEIGHT = 0.5
+// Pairs changed together fewer times than this are coincidence
+const MIN_CO_COMMITS = 2
+
+/**
+ * @typedef {Object} CommunityResult
+ * @property {Map<string, number>} communities - Function ID -> community id
+ * @property {number} count       - Communities found (isolated functions are one each)
+ * @property {number} modularity  - -0.5–1; above ~0.3 the communities are real structure
+ */
+
+/**
+ * @param {import('./call-graph.js').CallGraph} graph
+ * @param {{ gitMetrics?: Map<string, import('../git/git-analyzer.js').GitMetrics>|null, coChange?: boolean }} options
+ * @returns {CommunityResult}
+ */
+export function detectCommunities(graph, { gitMetrics = null, coChange = false } = {}) {
+  const g = new Graph({ type: 'undirected' })
+  for (const node of graph.getAllNodes()) g.addNode(node.id)
+
+  const addWeight = (a, b, weight) => {
+    if (a === b || !g.hasNode(a) || !g.hasNode(b)) return
+    g.updateEdge(a, b, attrs => ({ weight: (attrs.weight ?? 0) + weight }))
+  }
+
+  for (const edge of graph.edges) {
+    if (edge.resolved && edge.to) addWeight(edge.from, edge.to, 1)
+  }
+
+  if (coChange && gitMetrics) {
+    for (const [id, metrics] of gitMetrics) {
+      for (const [other, count] of metrics.coCommits) {
+        // Each pair is listed from both ends — take it once
+        if (id < other && count >= MIN_CO_COMMITS) addWeight(id, other, count * CO_CHANGE_WEIGHT)
+      }
+    }
+  }
+
+  const empty = { communities: new Map(), count: 0, modularity: 0 }
+  if (g.order === 0) return empty
+  if (g.size === 0) {
+    // Nothing connects: every function on its own
+    return { ...empty, communities: new Map(g.nodes().map((id, i) => [id, i])), count: g.order }
+  }
+
+  const result = louvain.detailed(g, { getEdgeWeight: 'weight', rng: seededRandom(1) })
+
+  // Renumber by size, largest first; ties by smallest member ID
+  const members = new Map()
+  for (const [id, community] of Object.entries(result.communities)) {
+    if (!members.has(community)) members.set(community, [])
+    members.get(community).push(id)
+  }
+  const ordered = [...members.values()]
+    .map(ids => ids.sort())
+    .sort((a, b) => b.length - a.length || (a[0] < b[0] ? -1 : 1))
+
+  const communities = new Map()
+  ordered.forEach((ids, index) => {
+    for (const id of ids) communities.set(id, index)
+  })
+  return { communities, count: ordered.length, modularity: result.modularity }
+}
+
+/**
+ * Functions that cluster away from their own module: the module mostly
+ * lives in one community, this function in another — one led by some
+ * other module.
+ *
+ * @param {import('./call-graph.js').CallGraph} graph
+ * @param {CommunityResult} result
+ * @returns {{ id: string, module: string, community: number, communityModule: string }[]}
+ *   communityModule — the module most of the function's community lives in;
+ *   sorted by module, then file position
+ */
+export function findMismatches(graph, { communities }) {
+  const nodes = graph.getFunctionNodes().filter(node => communities.has(node.id))
+
+  // module -> community -> functions, and community -> module -> functions
+  const byModule = new Map()
+  const byCommunity = new Map()
+  for (const node of nodes) {
+    const community = communities.get(node.id)
+    tally(byModule, node.module, community)
+    tally(byCommunity, community, node.module)
+  }
+
+  const mismatches = []
+  for (const node of nodes) {
+    const community = communities.get(node.id)
+    // Alone in its community: nothing to be pulled towards
+    if (sum(byCommunity.get(community)) < 2) continue
+
+    const communityModule = dominant(byCommunity.get(community))
+    if (communityModule === node.module) continue
+    if (dominant(byModule.get(node.module)) === community) continue
+
+    mismatches.push({ id: node.id, module: node.module, community, communityModule })
+  }
+
+  return mismatches.sort((a, b) => {
+    const na = graph.getNode(a.id)
+    const nb = graph.getNode(b.id)
+    return a.module.localeCompare(b.module) || na.relPath.localeCompare(nb.relPath) || na.line - nb.line
+  })
+}
+
+// --- Helpers ---
+
+function tally(index, key, value) {
+  if (!index.has(key)) index.set(key, new Map())
+  const counts = index.get(key)
+  counts.set(value, (counts.get(value) ?? 0) + 1)
+}
+
+function sum(counts) {
+  let total = 0
+  for (const count of counts.values()) total += count
+  return total
+}
+
+// Most frequent key; the first seen wins ties
+function dominant(counts) {
+  let best = null
+  let bestCount = 0
+  for (const [key, count] of counts) {
+    if (count > bestCount) {
+      best = key
+      bestCount = count
+    }
+  }
+  return best
+}
+
+// mulberry32 — small, fast and plenty for shuffling node order
+function seededRandom(seed) {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
@@ -0,0 +1,138 @@
+/**
+ * Coverage reader — how many times each function ran, from a coverage run
+ * instead of a trace.
+ *
+ * Reads either format:
+ *   Istanbul — coverage-final.json (nyc, c8 --reporter=json, Jest, Vitest):
+ *     per file, `fnMap` locations and `f` execution counts
+ *   V8 — the raw JSON Node writes to NODE_V8_COVERAGE (a directory of
+ *     them, or one file): per script, functions with character-offset
+ *     ranges; the first range's count is how often the function ran.
+ *     Offsets become lines by reading the script from disk.
+ *
+ * Counts land on FunctionNodes by file and line, through the same path
+ * matching line-mapper.js uses for git hunks (see functionAtLine). Several
+ * processes, or several entries for one function, add up.
+ */
+
+import { readFileSync, readdirSync, statSync } from 'fs'
+import { join } from 'path'
+import { fileURLToPath } from 'url'
+import { buildFileIndex, functionAtLine } from '../git/line-mapper.js'
+
+/**
+ * @typedef {Object} CoveredFunction
+ * @property {string} file   - Path as the coverage data has it (absolute for V8)
+ * @property {number} line   - Start line
+ * @property {number} count  - Times it ran
+ */
+
+/**
+ * @param {string} path  coverage-final.json, a V8 coverage file, or a NODE_V8_COVERAGE directory
+ * @returns {{ format: 'istanbul'|'v8', functions: CoveredFunction[] }}
+ */
+export function readCoverage(path) {
+  const files = statSync(path).isDirectory()
+    ? readdirSync(path).filter(name => name.endsWith('.json')).map(name => join(path, name))
+    : [path]
+
+  const functions = []
+  let format = 'v8'
+  const sources = new Map()
+
+  for (const file of files) {
+    const data = JSON.parse(readFileSync(file, 'utf8'))
+    if (Array.isArray(data.result)) {
+      functions.push(...v8Functions(data.result, sources))
+    } else {
+      format = 'istanbul'
+      functions.push(...istanbulFunctions(data))
+    }
+  }
+  return { format, functions }
+}
+
+/**
+ * Sum coverage counts onto the graph's functions.
+ *
+ * @param {import('../graph/call-graph.js').CallGraph} graph
+ * @param {CoveredFunction[]} functions
+ * @param {string} rootDir
+ * @returns {{ counts: Map<string, number>, unmatched: number }}
+ *   counts — function ID -> times it ran (0 included, for functions the
+ *   coverage saw but never ran); unmatched — coverage functions no node fits
+ */
+export function mapCoverage(graph, functions, rootDir) {
+  const fileIndex = buildFileIndex(graph, rootDir, rootDir)
+  const counts = new Map()
+  let unmatched = 0
+
+  for (const { file, line, count } of functions) {
+    const node = functionAtLine(file, line, fileIndex, rootDir)
+    if (!node) {
+      unmatched++
+      continue
+    }
+    counts.set(node.id, (counts.get(node.id) ?? 0) + count)
+  }
+  return { counts, unmatched }
+}
+
+// --- Internals ---
+
+function istanbulFunctions(data) {
+  const functions = []
+  for (const [key, fileCoverage] of Object.entries(data)) {
+    const { fnMap = {}, f = {} } = fileCoverage ?? {}
+    const file = fileCoverage?.path ?? key
+    for (const [fnId, fn] of Object.entries(fnMap)) {
+      const line = fn.loc?.start.line ?? fn.decl?.start.line
+      if (line) functions.push({ file, line, count: f[fnId] ?? 0 })
+    }
+  }
+  return functions
+}
+
+function v8Functions(scripts, sources) {
+  const functions = []
+  for (const { url, functions: fns } of scripts) {
+    if (!url.startsWith('file:')) continue // node: internals, eval'd code
+    const file = fileURLToPath(url)
+    const lineStarts = lineStartsOf(file, sources)
+    if (!lineStarts) continue
+
+    for (const { functionName, ranges } of fns) {
+      const [{ startOffset, count }] = ranges
+      // The script's own top level, not a function
+      if (startOffset === 0 && functionName === '') continue
+      functions.push({ file, line: lineAt(lineStarts, startOffset), count })
+    }
+  }
+  return functions
+}
+
+// Offset of each line's first character, per file (null if it can't be read)
+function lineStartsOf(file, sources) {
+  if (!sources.has(file)) {
+    let starts = null
+    try {
+      const code = readFileSync(file, 'utf8')
+      starts = [0]
+      for (let i = 0; i < code.length; i++) if (code[i] === '\n') starts.push(i + 1)
+    } catch { /* deleted since the run */ }
+    sources.set(file, starts)
+  }
+  return sources.get(file)
+}
+
+// 1-based line containing `offset` (binary search)
+function lineAt(lineStarts, offset) {
+  let lo = 0
+  let hi = lineStarts.length - 1
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1
+    if (lineStarts[mid] <= offset) lo = mid
+    else hi = mid - 1
+  }
+  return lo + 1
+}
@@ -0,0 +1,145 @@
+/**
+ * Cycle Detector — strongly connected components of the call graph, at the
+ * function level and at the module level.
+ *
+ * A function cycle is a group of two or more functions that all reach each
+ * other through resolved edges: mutual recursion, directly or around a
+ * longer loop. A module cycle is the same one level up, over the modules
+ * that call into each other. Plain self-recursion isn't reported.
+ *
+ * Event edges don't count: emitting to whoever listens is how code breaks a
+ * dependency on purpose, not how it creates one.
+ *
+ * Tarjan's algorithm, iterative so deep call chains can't overflow the stack.
+ */
+
+const CYCLE_EDGE_KINDS = ['call', 'reference', 'render', 'instantiate', 'dynamic']
+
+/**
+ * @typedef {Object} FunctionCycle
+ * @property {string[]} nodeIds      — sorted
+ * @property {string[]} modules      — distinct modules the cycle runs through, sorted
+ * @property {boolean}  crossModule
+ */
+
+/**
+ * @typedef {Object} ModuleCycle
+ * @property {string[]} modules      — sorted
+ * @property {number}   edges        — cross-module edges between them
+ */
+
+/**
+ * @param {import('./call-graph.js').CallGraph} graph
+ * @returns {{ functions: FunctionCycle[], modules: ModuleCycle[], byNode: Map<string, FunctionCycle> }}
+ *   cross-module and larger cycles first; byNode — function ID -> its cycle
+ */
+export function detectCycles(graph) {
+  // Function level
+  const successors = new Map()
+  for (const node of graph.getAllNodes()) successors.set(node.id, new Set())
+  for (const edge of graph.edges) {
+    if (!edge.resolved || !edge.to || edge.from === edge.to) continue
+    if (!CYCLE_EDGE_KINDS.includes(edge.kind)) continue
+    successors.get(edge.from)?.add(edge.to)
+  }
+
+  const functions = stronglyConnected(successors)
+    .map(nodeIds => {
+      const modules = [...new Set(nodeIds.map(id => graph.getNode(id)?.module).filter(Boolean))].sort()
+      return { nodeIds: nodeIds.sort(), modules, crossModule: modules.length > 1 }
+    })
+    .sort((a, b) => (b.crossModule - a.crossModule) || b.nodeIds.length - a.nodeIds.length || (a.nodeIds[0] < b.nodeIds[0] ? -1 : 1))
+
+  const byNode = new Map()
+  for (const cycle of functions) {
+    for (const id of cycle.nodeIds) byNode.set(id, cycle)
+  }
+
+  // Module level
+  const moduleSuccessors = new Map()
+  const edgeCounts = new Map()
+  for (const [from, targets] of successors) {
+    const fromModule = graph.getNode(from).module
+    if (!moduleSuccessors.has(fromModule)) moduleSuccessors.set(fromModule, new Set())
+    for (const to of targets) {
+      const toModule = graph.getNode(to)?.module
+      if (!toModule || toModule === fromModule) continue
+      moduleSuccessors.get(fromModule).add(toModule)
+      const key = `${fromModule}\0${toModule}`
+      edgeCounts.set(key, (edgeCounts.get(key) ?? 0) + 1)
+    }
+  }
+
+  const modules = stronglyConnected(moduleSuccessors)
+    .map(names => {
+      const members = new Set(names)
+      let edges = 0
+      for (const [key, count] of edgeCounts) {
+        const [from, to] = key.split('\0')
+        if (members.has(from) && members.has(to)) edges += count
+      }
+      return { modules: names.sort(), edges }
+    })
+    .sort((a, b) => b.modules.length - a.modules.length || b.edges - a.edges)
+
+  return { functions, modules, byNode }
+}
+
+// --- Internals ---
+
+// Components of two or more vertices (Tarjan)
+function stronglyConnected(successors) {
+  const index = new Map()
+  const lowlink = new Map()
+  const onStack = new Set()
+  const stack = []
+  const components = []
+  let counter = 0
+
+  for (const start of successors.keys()) {
+    if (index.has(start)) continue
+
+    // Each frame: a vertex and an iterator over its successors
+    const work = [{ v: start, next: visit(start) }]
+    while (work.length > 0) {
+      const frame = work[work.length - 1]
+      const step = frame.next.next()
+
+      if (!step.done) {
+        const w = step.value
+        if (!index.has(w)) {
+          work.push({ v: w, next: visit(w) })
+        } else if (onStack.has(w)) {
+          lowlink.set(frame.v, Math.min(lowlink.get(frame.v), index.get(w)))
+        }
+        continue
+      }
+
+      work.pop()
+      if (work.length > 0) {
+        const parent = work[work.length - 1].v
+        lowlink.set(parent, Math.min(lowlink.get(parent), lowlink.get(frame.v)))
+      }
+      if (lowlink.get(frame.v) === index.get(frame.v)) {
+        const component = []
+        let w
+        do {
+          w = stack.pop()
+          onStack.delete(w)
+          component.push(w)
+        } while (w !== frame.v)
+        if (component.length > 1) components.push(component)
+      }
+    }
+  }
+  return components
+
+  function visit(v) {
+    index.set(v, counter)
+    lowlink.set(v, counter)
+    counter++
+    stack.push(v)
+    onStack.add(v)
+    return (successors.get(v) ?? new Set()).values()
+  }
+}
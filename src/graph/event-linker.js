@@ -0,0 +1,74 @@
+/**
+ * Event Linker — connects emitters to the handlers listening for them.
+ *
+ * `bus.emit('user:created')` and `bus.on('user:created', sendWelcome)` never
+ * call each other directly, so without this pass an event-driven codebase
+ * looks like a crowd of Hermits. Emit and subscribe sites are paired purely by
+ * their string-literal event name, project-wide.
+ *
+ * Method names are configurable via `.sociograph.yml`:
+ *
+ *   events:
+ *     emitters:    [emit, publish, dispatch]
+ *     subscribers: [on, once, subscribe]
+ */
+
+export const DEFAULT_EVENT_METHODS = {
+  emitters:    ['emit', 'publish', 'dispatch', 'trigger', 'broadcast'],
+  subscribers: ['on', 'once', 'addListener', 'prependListener', 'subscribe', 'addEventListener'],
+}
+
+/**
+ * @typedef {Object} RawEmit
+ * @property {string} from       - Emitting function ID
+ * @property {string} eventName
+ * @property {string} file
+ * @property {number} line
+ */
+
+/**
+ * @typedef {Object} RawHandler
+ * @property {string}      eventName
+ * @property {string|null} handlerId    - Set when the handler is an inline function
+ * @property {string|null} calleeName   - Otherwise, the handler as written (resolved later)
+ * @property {string|null} calleeObject
+ * @property {string|null} thisClass
+ * @property {string} file
+ * @property {number} line
+ */
+
+/**
+ * Build one `event` edge per (emit site, handler) pair sharing an event name.
+ *
+ * @param {RawEmit[]} emits
+ * @param {{ eventName: string, handlerId: string }[]} handlers  resolved handlers only
+ * @param {import('./call-graph.js').CallGraph} graph
+ * @returns {import('./call-graph.js').CallEdge[]}
+ */
+export function linkEvents(emits, handlers, graph) {
+  const byEvent = new Map()
+  for (const { eventName, handlerId } of handlers) {
+    if (!byEvent.has(eventName)) byEvent.set(eventName, new Set())
+    byEvent.get(eventName).add(handlerId)
+  }
+
+  const edges = []
+  for (const { from, eventName, file, line } of emits) {
+    const fromModule = graph.getNode(from)?.module
+    for (const to of byEvent.get(eventName) ?? []) {
+      edges.push({
+        from,
+        to,
+        kind: 'event',
+        calleeName: eventName,
+        event: eventName,
+        resolved: true,
+        strategy: 'event',
+        crossModule: fromModule !== graph.getNode(to)?.module,
+        file,
+        line,
+      })
+    }
+  }
+  return edges
+}
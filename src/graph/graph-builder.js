@@ -1,10 +1,18 @@
 /**
  * Graph Builder — orchestrates file parsing and call resolution.
  *
- * 1. Discovers all JS/TS files in the target directory
- * 2. Parses each file (functions + raw calls + import maps)
- * 3. Resolves raw call names to function IDs
- * 4. Populates and returns a CallGraph
+ * 1. Discovers all JS/TS files (and Vue/Svelte/Astro components) in the target directory
+ * 2. Parses each file (functions + raw calls + import maps), or reuses its
+ *    cached parse when unchanged, collecting
+ *    diagnostics for files that fail or only partially parse
+ * 3. Resolves raw call names (and function references) to function IDs
+ * 4. Pairs event emitters with their subscribers
+ * 5. Optionally parses test files into a test layer and works out which
+ *    functions each test file reaches
+ * 6. Optionally merges a runtime trace (call counts, and dynamic edges) or
+ *    just the call counts from coverage data
+ * 7. Optionally attributes CPU profile time to functions
+ * 8. Populates and returns a CallGraph
  */
 
 import { glob } from 'glob'
@@ -12,9 +20,21 @@ import { Worker } from 'worker_threads'
 import { cpus } from 'os'
 import { relative } from 'path'
 import { CallGraph } from './call-graph.js'
-import { walkFile } from '../parsers/ast-walker.js'
-
-const FILE_PATTERN = '**/*.{js,jsx,ts,tsx,mjs,cjs}'
+import { walkFile, formatDiagnostic } from '../parsers/ast-walker.js'
+import { cacheKey, readParseCache, writeParseCache } from '../parsers/parse-cache.js'
+import { loadPathAliases } from '../parsers/path-aliases.js'
+import { detectWorkspaces, workspaceAliasRules } from '../parsers/workspaces.js'
+import { loadModuleRules } from '../parsers/module-resolver.js'
+import { makeNodeId, scopeSegment, SCOPE_SEPARATOR, DUPLICATE_MARKER } from './node-id.js'
+import { linkEvents, DEFAULT_EVENT_METHODS } from './event-linker.js'
+import { createTypeResolver } from './type-resolver.js'
+import { computeTestReach } from './test-reach.js'
+import { linkTrace } from './trace-linker.js'
+import { readTrace } from '../trace/trace-runner.js'
+import { readCoverage, mapCoverage } from './coverage-reader.js'
+import { readProfiles, mapProfiles } from './profile-reader.js'
+
+const FILE_PATTERN = '**/*.{js,jsx,ts,tsx,mjs,cjs,vue,svelte,astro}'
 
 // Names that shadow native JS/DOM/Node methods — never resolve via global-name
 // fallback because calls are virtually always to the built-in, not a user function.
@@ -56,14 +76,15 @@ const NATIVE_METHOD_NAMES = new Set([
   'next', 'done', 'return', 'throw',
   'test', 'exec', 'compile',
 ])
+const TEST_PATTERNS = ['**/*.test.*', '**/*.spec.*']
+const TEST_FILE_PATTERN = '**/*.{test,spec}.{js,jsx,ts,tsx,mjs,cjs}'
 const IGNORE_PATTERNS = [
   '**/node_modules/**',
   '**/dist/**',
   '**/build/**',
   '**/.next/**',
   '**/coverage/**',
-  '**/*.test.*',
-  '**/*.spec.*',
+  ...TEST_PATTERNS,
   '**/*.d.ts',
 ]
 
@@ -71,11 +92,25 @@ const IGNORE_PATTERNS = [
  * Build a CallGraph from a project directory.
  *
  * @param {string} rootDir  Absolute path to project root
- * @param {{ verbose?: boolean }} options
+ * @param {{ verbose?: boolean, workspaces?: boolean, events?: { emitters: string[], subscribers: string[] }, cacheDir?: string|null, typed?: boolean, modules?: object, tests?: boolean, trace?: string|null, coverage?: string|null, profiles?: string[] }} options
+ *   workspaces — treat npm/yarn/pnpm workspace packages as modules and
+ *   resolve imports between them
+ *   events — method names that emit / subscribe to events (see event-linker.js)
+ *   modules — the `modules` section of .sociograph.yml (see module-resolver.js)
+ *   cacheDir — reuse parse results for unchanged files (see parse-cache.js)
+ *   typed — resolve member calls with the TypeScript checker first (see type-resolver.js)
+ *   tests — parse *.test.* / *.spec.* files into graph.tests and fill graph.testReach
+ *   (see test-reach.js); they never become callers in the graph itself
+ *   trace — path to a trace file from `sociograph trace`: fills graph.callCounts,
+ *   weighs the edges it saw and adds the ones it alone saw (see trace-linker.js)
+ *   coverage — path to Istanbul or V8 coverage: fills graph.callCounts when there's
+ *   no trace (see coverage-reader.js)
+ *   profiles — .cpuprofile files or directories of them: fills graph.profile
+ *   (see profile-reader.js)
  * @returns {Promise<CallGraph>}
  */
 export async function buildGraph(rootDir, options = {}) {
-  const { verbose = false } = options
+  const { verbose = false, workspaces = false, events = DEFAULT_EVENT_METHODS, cacheDir = null, typed = false, modules = {}, tests = false, trace = null, coverage = null, profiles = [] } = options
 
   // 1. Discover files
   const files = await glob(FILE_PATTERN, {
@@ -92,99 +127,544 @@ export async function buildGraph(rootDir, options = {}) {
   const fileData = new Map()
 
   // 2. Parse all files (parallel when large enough to justify worker overhead)
-  const parsed = await parseFiles(files, rootDir, verbose)
+  const aliases = loadPathAliases(rootDir)
+  if (verbose && (aliases.paths.length || aliases.baseUrl || aliases.imports.length)) {
+    console.error(`  Path aliases: ${aliases.paths.length} paths, ${aliases.imports.length} imports${aliases.baseUrl ? ', baseUrl' : ''}`)
+  }
+
+  if (workspaces) {
+    const packages = await detectWorkspaces(rootDir)
+    aliases.packages = workspaceAliasRules(packages)
+    graph.packages = packages.map(({ name, relDir }) => ({ name, relDir }))
+    if (verbose) {
+      console.error(packages.length > 0
+        ? `  Workspace: ${packages.length} packages`
+        : `  Workspace mode requested but no workspaces found — using directory modules`)
+    }
+  }
 
-  for (const [file, { functions, calls, importMap }] of parsed) {
-    for (const fn of functions) {
+  const moduleRules = await loadModuleRules(rootDir, modules)
+  if (verbose && (moduleRules.map.length || moduleRules.owners.length || moduleRules.manifests.length)) {
+    console.error(`  Modules: ${moduleRules.map.length} mapped globs, ${moduleRules.owners.length} CODEOWNERS rules, ${moduleRules.manifests.length} packages`)
+  }
+
+  const walkOptions = { aliases, packages: graph.packages, modules: moduleRules, events }
+  const parsed = cacheDir
+    ? await parseFilesCached(files, rootDir, walkOptions, cacheDir, verbose)
+    : await parseFiles(files, rootDir, walkOptions, verbose)
+
+  for (const [file, data] of parsed) {
+    for (const fn of data.functions) {
       graph.addFunction(fn)
     }
-    fileData.set(file, { functions, calls, importMap })
+    graph.diagnostics.push(...data.diagnostics)
+    fileData.set(file, data)
   }
+  graph.diagnostics.sort((a, b) => a.file.localeCompare(b.file))
 
-  if (verbose) console.error(`  Parsed ${graph.nodes.size} functions`)
+  if (verbose) {
+    const { functions, entryPoints } = graph.summary()
+    console.error(`  Parsed ${functions} functions${entryPoints > 0 ? ` and ${entryPoints} entry points` : ''}`)
+    reportDuplicates(graph)
+    reportDiagnostics(graph)
+  }
 
   // 3. Build resolution indices
-  // name -> [functionId] (may be multiple if same name in different files)
-  const nameIndex = buildNameIndex(graph)
-  // "resolvedFile::exportedName" -> functionId
-  const exportIndex = buildExportIndex(graph)
+  const indices = {
+    // name -> [functionId] (may be multiple if same name in different files)
+    nameIndex: buildNameIndex(graph),
+    // "resolvedFile::exportedName" -> functionId
+    exportIndex: buildExportIndex(graph),
+    // "relPath::Class.method" -> functionId (wherever the class is nested)
+    methodIndex: buildMethodIndex(graph),
+    // "relPath::Class" -> ClassInfo, plus the import maps needed to follow `extends`
+    classIndex: buildClassIndex(fileData),
+    importMaps: new Map([...fileData].map(([file, data]) => [file, data.importMap])),
+    // absolute file -> ReexportMap, for following barrel files
+    reexports: new Map([...fileData].map(([file, data]) => [file, data.reexports])),
+  }
 
   // 4. Resolve calls and add edges
   let resolved = 0
   let unresolved = 0
+  const typeResolver = typed ? await createTypeResolver(rootDir, files, graph, verbose) : null
 
   for (const [file, { calls, importMap }] of fileData) {
     for (const rawCall of calls) {
-      const edge = resolveCall(rawCall, importMap, nameIndex, exportIndex, graph, rootDir)
-      graph.addEdge(edge)
-      if (edge.resolved) resolved++
-      else unresolved++
+      const edges = resolveTyped(rawCall, typeResolver, graph) ??
+        [resolveCall(rawCall, importMap, indices, graph, rootDir)]
+      for (const edge of edges) {
+        // An unresolved reference is just a value being passed around, not a dependency
+        if (edge.kind === 'reference' && !edge.resolved) continue
+        edge.crossPackage = isCrossPackage(edge, graph)
+        graph.addEdge(edge)
+        if (edge.resolved) resolved++
+        else unresolved++
+      }
     }
   }
 
   if (verbose) {
     console.error(`  Resolved ${resolved} calls, ${unresolved} external/unresolved`)
+    reportStrategies(graph)
+  }
+
+  // 5. Pair event emitters with their handlers
+  const emits = []
+  const handlers = []
+  for (const { events: fileEvents, importMap } of fileData.values()) {
+    emits.push(...fileEvents.emits)
+    for (const handler of fileEvents.handlers) {
+      // Named handlers resolve the same way a reference to them would
+      const handlerId = handler.handlerId ??
+        resolveCall({ ...handler, from: null, kind: 'reference' }, importMap, indices, graph, rootDir).to
+      if (handlerId) handlers.push({ eventName: handler.eventName, handlerId })
+    }
+  }
+
+  const eventEdges = linkEvents(emits, handlers, graph)
+  for (const edge of eventEdges) {
+    edge.crossPackage = isCrossPackage(edge, graph)
+    graph.addEdge(edge)
+  }
+
+  if (verbose && eventEdges.length > 0) {
+    console.error(`  Linked ${eventEdges.length} event edges (${emits.length} emits, ${handlers.length} handlers)`)
+  }
+
+  // 6. Test layer — resolved against the graph, without adding to it
+  if (tests) {
+    const testFiles = await glob(TEST_FILE_PATTERN, {
+      cwd: rootDir,
+      absolute: true,
+      ignore: IGNORE_PATTERNS.filter(pattern => !TEST_PATTERNS.includes(pattern)),
+    })
+    const testParsed = cacheDir
+      ? await parseFilesCached(testFiles, rootDir, walkOptions, cacheDir, verbose)
+      : await parseFiles(testFiles, rootDir, walkOptions, verbose)
+
+    graph.tests = buildTestLayer(graph, testParsed, indices, rootDir)
+    graph.testReach = computeTestReach(graph)
+    graph.diagnostics.sort((a, b) => a.file.localeCompare(b.file))
+
+    if (verbose) {
+      const functions = graph.getFunctionNodes().length
+      console.error(`  Tests: ${testFiles.length} files reach ${graph.testReach.size} of ${functions} functions`)
+    }
+  }
+
+  // 7. Runtime trace or coverage — what actually ran, and how often
+  if (trace) {
+    const { callCounts, edges, weighted } = linkTrace(graph, readTrace(trace), rootDir)
+    graph.callCounts = callCounts
+    graph.callCountsFrom = 'trace'
+    for (const edge of edges) {
+      edge.crossPackage = isCrossPackage(edge, graph)
+      graph.addEdge(edge)
+    }
+
+    if (verbose) {
+      console.error(`  Trace: ${callCounts.size} functions ran, ${weighted} edges weighted, ${edges.length} dynamic edges added`)
+    }
+  } else if (coverage) {
+    const { format, functions } = readCoverage(coverage)
+    const { counts, unmatched } = mapCoverage(graph, functions, rootDir)
+    graph.callCounts = counts
+    graph.callCountsFrom = 'coverage'
+
+    if (verbose) {
+      const ran = [...counts.values()].filter(count => count > 0).length
+      console.error(`  Coverage (${format}): ${ran} functions ran, ${counts.size - ran} never did${unmatched > 0 ? `, ${unmatched} entries unmatched` : ''}`)
+    }
+  }
+
+  // 8. CPU profiles — where the time goes
+  if (profiles.length > 0) {
+    const loaded = readProfiles(profiles)
+    const { duration, times, unmatched } = mapProfiles(graph, loaded, rootDir)
+    graph.profile = { duration, times }
+
+    if (verbose) {
+      console.error(`  Profiles: ${loaded.length} covering ${Math.round(duration)} ms, ${times.size} functions timed${unmatched > 0 ? `, ${unmatched} frames unmatched` : ''}`)
+    }
   }
 
   return graph
 }
 
+/**
+ * Parsed test files as a graph of their own. Their calls resolve against the
+ * production indices extended with the test files' own functions and
+ * classes, so tests reach production code and their own helpers alike.
+ */
+function buildTestLayer(graph, parsed, indices, rootDir) {
+  const tests = new CallGraph()
+  for (const data of parsed.values()) {
+    for (const fn of data.functions) tests.addFunction(fn)
+    graph.diagnostics.push(...data.diagnostics)
+  }
+
+  const nameIndex = new Map([...indices.nameIndex].map(([name, ids]) => [name, [...ids]]))
+  for (const [name, ids] of buildNameIndex(tests)) nameIndex.set(name, [...(nameIndex.get(name) ?? []), ...ids])
+
+  const combined = {
+    nameIndex,
+    exportIndex: new Map([...indices.exportIndex, ...buildExportIndex(tests)]),
+    methodIndex: new Map([...indices.methodIndex, ...buildMethodIndex(tests)]),
+    classIndex: new Map([...indices.classIndex, ...buildClassIndex(parsed)]),
+    importMaps: new Map([...indices.importMaps, ...[...parsed].map(([file, data]) => [file, data.importMap])]),
+    reexports: new Map([...indices.reexports, ...[...parsed].map(([file, data]) => [file, data.reexports])]),
+  }
+  // Node lookups span both layers; implicit constructors only tests reach stay in theirs
+  const both = { getNode: id => tests.getNode(id) ?? graph.getNode(id), addFunction: fn => tests.addFunction(fn) }
+
+  for (const { calls, importMap } of parsed.values()) {
+    for (const rawCall of calls) {
+      const edge = resolveCall(rawCall, importMap, combined, both, rootDir)
+      if (edge.kind === 'reference' && !edge.resolved) continue
+      edge.crossPackage = isCrossPackage(edge, both)
+      tests.addEdge(edge)
+    }
+  }
+  return tests
+}
+
 // --- Resolution ---
 
-function resolveCall(rawCall, importMap, nameIndex, exportIndex, graph, rootDir) {
-  const { from, calleeName, calleeObject, file, line } = rawCall
+/**
+ * Edges the type checker vouches for (one per implementation on interface
+ * dispatch), or null to fall back to resolveCall.
+ */
+function resolveTyped(rawCall, typeResolver, graph) {
+  const typed = typeResolver?.resolve(rawCall)
+  if (!typed) return null
+  if (typed.targets.length === 0) return [makeEdge(rawCall, null, false, false, typed.strategy)]
+
+  const callerModule = graph.getNode(rawCall.from)?.module ?? null
+  return typed.targets.map(to =>
+    makeEdge(rawCall, to, true, callerModule !== graph.getNode(to)?.module, typed.strategy)
+  )
+}
 
-  const callerNode = graph.getNode(from)
-  const callerModule = callerNode?.module ?? null
+/**
+ * Name-based resolution. The edge's `strategy` records which rule below
+ * produced it.
+ */
+function resolveCall(rawCall, importMap, indices, graph, rootDir) {
+  const { from, kind, calleeName, calleeObject, thisClass } = rawCall
+  const { nameIndex } = indices
+  const findFunction = (relPath, name) => indices.exportIndex.get(makeNodeId(relPath, name))
+
+  const callerModule = graph.getNode(from)?.module ?? null
+  const callerFile = relative(rootDir, rawCall.file)
+
+  // Strategy 0: this.foo() / super.foo() inside a class — walk the class
+  // hierarchy. Name-based fallbacks would pick an arbitrary same-named method
+  // on an unrelated class, so a miss here stays unresolved.
+  if ((calleeObject === 'this' || calleeObject === 'super') && thisClass) {
+    const start = { relPath: callerFile, name: thisClass }
+    const owner = calleeObject === 'super' ? superclassOf(start, indices, rootDir) : start
+    const targetId = owner && findMethod(owner, calleeName, indices, rootDir)
+    if (targetId) {
+      const targetNode = graph.getNode(targetId)
+      return makeEdge(rawCall, targetId, true, callerModule !== targetNode?.module, 'this')
+    }
+    return makeEdge(rawCall, null, false, false, null)
+  }
 
-  // Strategy 1: calleeName is a locally-imported name
+  // Strategy 1: calleeName is a locally-imported name (followed through barrels).
+  // A reference like `opts.save` only shares a name with an import — skip those.
+  // A namespace called directly is a CommonJS require of `module.exports = fn`.
   const importEntry = importMap.get(calleeName)
-  if (importEntry && !importEntry.isNamespace) {
-    const key = `${relative(rootDir, importEntry.resolvedFile)}::${importEntry.exportedName}`
-    const targetId = exportIndex.get(key)
+  const callsNamespace = importEntry?.isNamespace && !calleeObject
+  if (importEntry && (!importEntry.isNamespace || callsNamespace) && !(kind === 'reference' && calleeObject)) {
+    const exportedName = callsNamespace ? 'default' : importEntry.exportedName
+    const targetId = followExport(importEntry.resolvedFile, exportedName, findFunction, indices, rootDir)?.value
     if (targetId) {
       const targetNode = graph.getNode(targetId)
-      return makeEdge(from, targetId, calleeName, true, callerModule !== targetNode?.module, file, line)
+      return makeEdge(rawCall, targetId, true, callerModule !== targetNode?.module, 'import')
     }
   }
 
-  // Strategy 2: namespace import — foo.bar() where foo is a namespace import
+  // Strategy 2: namespace import — foo.bar() where foo is a namespace import,
+  // either directly or via a barrel's `export * as foo`
   if (calleeObject) {
-    const nsEntry = importMap.get(calleeObject)
-    if (nsEntry?.isNamespace) {
-      const key = `${relative(rootDir, nsEntry.resolvedFile)}::${calleeName}`
-      const targetId = exportIndex.get(key)
+    const nsFile = namespaceFileOf(importMap.get(calleeObject), indices, rootDir)
+    if (nsFile) {
+      const targetId = followExport(nsFile, calleeName, findFunction, indices, rootDir)?.value
       if (targetId) {
         const targetNode = graph.getNode(targetId)
-        return makeEdge(from, targetId, calleeName, true, callerModule !== targetNode?.module, file, line)
+        return makeEdge(rawCall, targetId, true, callerModule !== targetNode?.module, 'namespace')
       }
     }
   }
 
-  // Strategy 3: name match within same file (local function call)
-  const callerFile = graph.getNode(from)?.relPath
+  // Class components render through their render() method
+  if (kind === 'render') {
+    const qualified = calleeObject ? `${calleeObject}.${calleeName}` : calleeName
+    const cls = resolveClassRef(qualified, callerFile, importMap, indices, rootDir)
+    const targetId = cls && findMethod(cls, 'render', indices, rootDir)
+    if (targetId) {
+      const targetNode = graph.getNode(targetId)
+      return makeEdge(rawCall, targetId, true, callerModule !== targetNode?.module, 'class-render')
+    }
+  }
+
+  // `new Foo()` runs Foo's constructor, or the nearest one it inherits. A
+  // known class without one lands on its implicit constructor, added to the
+  // graph on first use; anything else may be an old-style constructor
+  // function, resolved by name below.
+  if (kind === 'instantiate') {
+    const qualified = calleeObject ? `${calleeObject}.${calleeName}` : calleeName
+    const cls = resolveClassRef(qualified, callerFile, importMap, indices, rootDir)
+    if (cls) {
+      const targetId = findMethod(cls, 'constructor', indices, rootDir) ?? implicitConstructorOf(cls, graph)
+      if (!targetId) return makeEdge(rawCall, null, false, false, null)
+      const targetNode = graph.getNode(targetId)
+      return makeEdge(rawCall, targetId, true, callerModule !== targetNode?.module, 'constructor')
+    }
+  }
+
+  // References stop here when qualified: `req.body` or `config.format` naming
+  // some function elsewhere is coincidence far more often than not
+  if (kind === 'reference' && calleeObject) return makeEdge(rawCall, null, false, false, null)
+
+  // Strategy 3: name match within same file (local function call) — the
+  // function the caller's own scope chain sees first, else the file's only one
   const sameFileCandidates = (nameIndex.get(calleeName) ?? []).filter(id => {
     return graph.getNode(id)?.relPath === callerFile
   })
+  const inScope = nearestInScope(sameFileCandidates, calleeName, graph.getNode(from), graph)
+  if (inScope) {
+    return makeEdge(rawCall, inScope, true, false, 'same-file')
+  }
   if (sameFileCandidates.length === 1) {
-    return makeEdge(from, sameFileCandidates[0], calleeName, true, false, file, line)
+    return makeEdge(rawCall, sameFileCandidates[0], true, false, 'same-file')
   }
 
   // Strategy 4: unique name match across the whole project
   // Skip names that shadow native JS methods — calls to e.g. `.map()` are
   // overwhelmingly array/string built-ins, not a user-defined `map` function.
   const allCandidates = nameIndex.get(calleeName) ?? []
-  if (allCandidates.length === 1 && !NATIVE_METHOD_NAMES.has(calleeName)) {
+  // References skip this too: a bare identifier that merely shares a name
+  // with a function in another file is usually a local variable.
+  if (kind !== 'reference' && allCandidates.length === 1 && !NATIVE_METHOD_NAMES.has(calleeName)) {
     const targetNode = graph.getNode(allCandidates[0])
-    return makeEdge(from, allCandidates[0], calleeName, true, callerModule !== targetNode?.module, file, line)
+    return makeEdge(rawCall, allCandidates[0], true, callerModule !== targetNode?.module, 'global-name')
   }
 
   // Unresolved — probably an external library call or a built-in
-  return makeEdge(from, null, calleeName, false, false, file, line)
+  return makeEdge(rawCall, null, false, false, null)
 }
 
-function makeEdge(from, to, calleeName, resolved, crossModule, file, line) {
-  return { from, to, calleeName, resolved, crossModule, file, line }
+/**
+ * Of same-file functions named `name`, the one declared in the innermost scope
+ * enclosing the caller: its own body, then each enclosing function's, then the
+ * file's top level. Null when that scope declares two (or the chain none).
+ *
+ * @returns {string|null} function ID
+ */
+function nearestInScope(candidateIds, name, caller, graph) {
+  if (!caller || candidateIds.length === 0) return null
+
+  // Parent scope path -> candidates declared directly inside it ('' for the top level)
+  const byParent = new Map()
+  for (const id of candidateIds) {
+    const { scopePath } = graph.getNode(id)
+    const base = scopePath.replace(new RegExp(`${DUPLICATE_MARKER}\\d+$`), '')
+    const suffix = `${SCOPE_SEPARATOR}${name}`
+    // Class members aren't lexically in scope
+    const parent = base === name ? '' : base.endsWith(suffix) ? base.slice(0, -suffix.length) : null
+    if (parent === null) continue
+    byParent.set(parent, [...(byParent.get(parent) ?? []), id])
+  }
+
+  for (const scope of [...enclosingScopes(caller, graph), '']) {
+    const declared = byParent.get(scope)
+    if (declared) return declared.length === 1 ? declared[0] : null
+  }
+  return null
+}
+
+/**
+ * Scope paths of the caller and every function enclosing it, innermost
+ * first. File nodes ('<module>', components) sit at the top level.
+ */
+function enclosingScopes(caller, graph) {
+  if (caller.kind === 'module' || caller.kind === 'component') return []
+  const { scopePath } = caller
+  const scopes = [scopePath]
+  // A '>' inside '<anonymous>' isn't a separator, so keep only real functions
+  for (let i = scopePath.lastIndexOf(SCOPE_SEPARATOR); i > 0; i = scopePath.lastIndexOf(SCOPE_SEPARATOR, i - 1)) {
+    const prefix = scopePath.slice(0, i)
+    if (graph.getNode(makeNodeId(caller.relPath, prefix))) scopes.push(prefix)
+  }
+  return scopes
+}
+
+// --- Re-exports ---
+
+/**
+ * Follow re-export chains from `file` until `name` is found by `lookup`.
+ *
+ * Barrels are walked through `export { a as b } from`, `export * as ns from`
+ * and `export * from` (which never forwards `default`). Returns
+ * { value } when the name is defined somewhere along the chain, or
+ * { namespaceFile } when it is a namespace re-export, or null.
+ *
+ * @param {string} file                       Absolute path of the module imported from
+ * @param {string} name                       Name as exported by that module
+ * @param {(relPath: string, name: string) => any} lookup
+ */
+function followExport(file, name, lookup, indices, rootDir, seen = new Set()) {
+  // (file, name) pairs already visited — barrels that re-export each other would loop
+  const visitKey = `${file}::${name}`
+  if (seen.has(visitKey)) return null
+  seen.add(visitKey)
+
+  const value = lookup(relative(rootDir, file), name)
+  if (value) return { value }
+
+  const reexports = indices.reexports.get(file)
+  if (!reexports) return null
+
+  const entry = reexports.named.get(name)
+  if (entry) {
+    if (entry.importedName === '*') return { namespaceFile: entry.resolvedFile }
+    return followExport(entry.resolvedFile, entry.importedName, lookup, indices, rootDir, seen)
+  }
+
+  if (name === 'default') return null
+  for (const starFile of reexports.star) {
+    const hit = followExport(starFile, name, lookup, indices, rootDir, seen)
+    if (hit) return hit
+  }
+  return null
+}
+
+/**
+ * The file whose exports a local name stands for, if that name is a namespace
+ * (`import * as ns`, `const ns = require()`, or an import of a barrel's
+ * `export * as ns`).
+ */
+function namespaceFileOf(entry, indices, rootDir) {
+  if (!entry) return null
+  if (entry.isNamespace) return entry.resolvedFile
+  return followExport(entry.resolvedFile, entry.exportedName, () => null, indices, rootDir)?.namespaceFile ?? null
+}
+
+function isCrossPackage(edge, graph) {
+  if (!edge.resolved) return false
+  const from = graph.getNode(edge.from)?.packageName
+  const to = graph.getNode(edge.to)?.packageName
+  return Boolean(from && to && from !== to)
+}
+
+function reportDuplicates(graph) {
+  if (graph.duplicates.length === 0) return
+  console.error(`  ${graph.duplicates.length} duplicate function ID(s) — earlier definitions were replaced:`)
+  for (const { id, kept, dropped } of graph.duplicates) {
+    console.error(`    ${id}  (line ${dropped.line} replaced by line ${kept.line})`)
+  }
+}
+
+function reportStrategies(graph) {
+  const counts = new Map()
+  for (const edge of graph.edges) {
+    if (edge.resolved) counts.set(edge.strategy, (counts.get(edge.strategy) ?? 0) + 1)
+  }
+  const parts = [...counts].sort((a, b) => b[1] - a[1]).map(([strategy, n]) => `${strategy} ${n}`)
+  if (parts.length > 0) console.error(`  By strategy: ${parts.join(', ')}`)
+}
+
+function reportDiagnostics(graph) {
+  if (graph.diagnostics.length === 0) return
+  console.error(`  ${graph.diagnostics.length} file(s) failed or only partially parsed:`)
+  for (const d of graph.diagnostics) console.error(`    ${formatDiagnostic(d)}`)
+}
+
+function makeEdge(rawCall, to, resolved, crossModule, strategy) {
+  const { from, kind, calleeName, file, line } = rawCall
+  return { from, to, kind, calleeName, resolved, crossModule, strategy, file, line }
+}
+
+// --- Class hierarchy ---
+
+const MAX_INHERITANCE_DEPTH = 20
+
+/**
+ * Find `methodName` on a class or the nearest ancestor that defines it.
+ *
+ * @param {{ relPath: string, name: string }} cls
+ * @returns {string|null} function ID
+ */
+function findMethod(cls, methodName, indices, rootDir) {
+  let current = cls
+  for (let depth = 0; current && depth < MAX_INHERITANCE_DEPTH; depth++) {
+    const id = indices.methodIndex.get(makeNodeId(current.relPath, scopeSegment(methodName, current.name)))
+    if (id) return id
+    current = superclassOf(current, indices, rootDir)
+  }
+  return null
+}
+
+/**
+ * The class's implicit constructor node, added to `graph` the first time a
+ * `new` reaches it.
+ *
+ * @returns {string|null} function ID
+ */
+function implicitConstructorOf(cls, graph) {
+  const ctor = cls.implicitConstructor
+  if (!ctor) return null
+  if (!graph.getNode(ctor.id)) graph.addFunction(ctor)
+  return ctor.id
+}
+
+/**
+ * Resolve the class named after `extends` to the file and name that define it.
+ *
+ * @returns {{ relPath: string, name: string } | null}
+ */
+function superclassOf(cls, indices, rootDir) {
+  const info = indices.classIndex.get(`${cls.relPath}::${cls.name}`)
+  if (!info?.superName) return null
+  return resolveClassRef(info.superName, cls.relPath, indices.importMaps.get(info.file), indices, rootDir)
+}
+
+/**
+ * Resolve a class name as written in `relPath` ("Base" or "ns.Base").
+ * Imported classes are followed through that file's import map; otherwise
+ * a same-file class, then a project-unique class name, is used.
+ *
+ * @returns {import('../parsers/ast-walker.js').ClassInfo|null}
+ */
+function resolveClassRef(qualifiedName, relPath, importMap, indices, rootDir) {
+  const [object, member] = qualifiedName.includes('.')
+    ? qualifiedName.split('.')
+    : [qualifiedName, null]
+  const entry = importMap?.get(object)
+
+  if (entry) {
+    const findClass = (relPath, name) => {
+      if (name !== 'default') return indices.classIndex.get(`${relPath}::${name}`)
+      const inFile = [...indices.classIndex.values()].filter(c => c.relPath === relPath)
+      // Failing an explicit default export, only unambiguous when the file defines exactly one class
+      return inFile.find(c => c.exportNames?.includes('default')) ?? (inFile.length === 1 ? inFile[0] : null)
+    }
+    if (member) {
+      const nsFile = namespaceFileOf(entry, indices, rootDir)
+      return nsFile ? followExport(nsFile, member, findClass, indices, rootDir)?.value ?? null : null
+    }
+    return followExport(entry.resolvedFile, entry.exportedName, findClass, indices, rootDir)?.value ?? null
+  }
+
+  if (member) return null
+  const local = indices.classIndex.get(`${relPath}::${object}`)
+  if (local) return local
+
+  const global = [...indices.classIndex.values()].filter(c => c.name === object)
+  return global.length === 1 ? global[0] : null
 }
 
 // --- Index builders ---
@@ -198,6 +678,22 @@ function buildNameIndex(graph) {
   return index
 }
 
+function buildMethodIndex(graph) {
+  const index = new Map()
+  for (const node of graph.getAllNodes()) {
+    if (node.className) index.set(makeNodeId(node.relPath, scopeSegment(node.name, node.className)), node.id)
+  }
+  return index
+}
+
+function buildClassIndex(fileData) {
+  const index = new Map()
+  for (const { classes = [] } of fileData.values()) {
+    for (const cls of classes) index.set(`${cls.relPath}::${cls.name}`, cls)
+  }
+  return index
+}
+
 // --- File parsing (serial or parallel) ---
 
 const WORKER_URL        = new URL('../parsers/ast-worker.js', import.meta.url)
@@ -209,12 +705,12 @@ const MAX_WORKERS        = Math.min(cpus().length, 8)
  * Parse all files, using a worker-thread pool when there are enough files
  * to justify the overhead of spawning workers.
  *
- * @returns {Map<string, { functions, calls, importMap }>}
+ * @returns {Map<string, { functions, calls, classes, importMap, reexports, events, diagnostics }>}
  */
-async function parseFiles(files, rootDir, verbose) {
+async function parseFiles(files, rootDir, walkOptions, verbose) {
   if (files.length < PARALLEL_THRESHOLD) {
     const result = new Map()
-    for (const file of files) result.set(file, walkFile(file, rootDir))
+    for (const file of files) result.set(file, walkFile(file, rootDir, walkOptions))
     return result
   }
 
@@ -232,7 +728,7 @@ async function parseFiles(files, rootDir, verbose) {
     }
 
     const spawnWorker = () => {
-      const w = new Worker(WORKER_URL, { workerData: { rootDir } })
+      const w = new Worker(WORKER_URL, { workerData: { rootDir, walkOptions } })
       active++
 
       const next = () => {
@@ -246,8 +742,8 @@ async function parseFiles(files, rootDir, verbose) {
         }
       }
 
-      w.on('message', ({ filePath, functions, calls, importMap }) => {
-        result.set(filePath, { functions, calls, importMap })
+      w.on('message', ({ filePath, ...data }) => {
+        result.set(filePath, data)
         next()
       })
 
@@ -263,15 +759,46 @@ async function parseFiles(files, rootDir, verbose) {
   })
 }
 
+/**
+ * parseFiles, but only for files the parse cache has no valid entry for.
+ * Results come back in `files` order either way.
+ */
+async function parseFilesCached(files, rootDir, walkOptions, cacheDir, verbose) {
+  const cached = new Map()
+  const keys = new Map()  // file to parse -> its cache key
+
+  for (const file of files) {
+    const key = cacheKey(file, rootDir, walkOptions)
+    const hit = key && readParseCache(cacheDir, key, file, rootDir, walkOptions.aliases)
+    if (hit) cached.set(file, hit)
+    else keys.set(file, key)
+  }
+
+  if (verbose) console.error(`  Parse cache: ${cached.size} unchanged, ${keys.size} to parse`)
+
+  const parsed = await parseFiles([...keys.keys()], rootDir, walkOptions, verbose)
+  for (const [file, data] of parsed) {
+    const key = keys.get(file)
+    if (key) writeParseCache(cacheDir, key, rootDir, data)
+  }
+
+  return new Map(files.map(file => [file, cached.get(file) ?? parsed.get(file)]))
+}
+
 function buildExportIndex(graph) {
-  // Maps "relPath::name" -> nodeId
-  // This is a simplification — we treat all named functions as "exported"
-  // for resolution purposes (it's the responsibility graph, not the public API)
+  // Maps "relPath::exportedName" -> nodeId
   const index = new Map()
-  for (const node of graph.getAllNodes()) {
-    index.set(`${node.relPath}::${node.name}`, node.id)
-    // Also index by default export heuristic (one function per file named same as file)
-    index.set(`${node.relPath}::default`, node.id)
+  // Functions the walker didn't see exported (assigned dynamically, built by a
+  // factory) still resolve by name — such edges show up as leaks in the public
+  // API report. Real exports take precedence.
+  for (const node of graph.getFunctionNodes()) {
+    // Only top-level functions can be exported; class members are reached
+    // through their class, and nested ones not at all
+    if (node.className || node.scopePath !== node.name) continue
+    index.set(makeNodeId(node.relPath, node.name), node.id)
+  }
+  for (const node of graph.getFunctionNodes()) {
+    for (const name of node.exportNames ?? []) index.set(makeNodeId(node.relPath, name), node.id)
   }
   return index
 }
@@ -0,0 +1,59 @@
+/**
+ * Node IDs — the one place that knows how function IDs are spelled.
+ *
+ *   "api/users.ts::createUser"                 top-level function
+ *   "api/users.ts::UserService.save"           class member
+ *   "api/users.ts::createUser>validate"        nested function
+ *   "api/users.ts::createUser><anonymous>#2"   second anonymous sibling
+ *
+ * The scope path lists every enclosing function, so two inner `handler`s in
+ * different parents never collide. Same-named siblings get a "#N" suffix
+ * counted within their parent only — adding a function elsewhere in the file
+ * doesn't shift anyone else's ID, which keeps `computeDiff` matching
+ * functions across refs.
+ */
+
+export const FILE_SEPARATOR = '::'
+export const SCOPE_SEPARATOR = '>'
+export const DUPLICATE_MARKER = '#'
+
+/**
+ * @param {string} relPath
+ * @param {string} scopePath
+ * @returns {string}
+ */
+export function makeNodeId(relPath, scopePath) {
+  return `${relPath}${FILE_SEPARATOR}${scopePath}`
+}
+
+/**
+ * The segment a function contributes to its scope path.
+ *
+ * @param {string} name
+ * @param {string|null} className
+ * @param {number} occurrence  1-based count of this segment among its siblings
+ * @returns {string}
+ */
+export function scopeSegment(name, className, occurrence = 1) {
+  const base = className ? `${className}.${name}` : name
+  return occurrence > 1 ? `${base}${DUPLICATE_MARKER}${occurrence}` : base
+}
+
+/**
+ * @param {string|null} parentScopePath
+ * @param {string} segment
+ * @returns {string}
+ */
+export function childScopePath(parentScopePath, segment) {
+  return parentScopePath ? `${parentScopePath}${SCOPE_SEPARATOR}${segment}` : segment
+}
+
+/**
+ * @param {string} id
+ * @returns {{ relPath: string, scopePath: string }}
+ */
+export function splitNodeId(id) {
+  const idx = id.indexOf(FILE_SEPARATOR)
+  if (idx === -1) return { relPath: '', scopePath: id }
+  return { relPath: id.slice(0, idx), scopePath: id.slice(idx + FILE_SEPARATOR.length) }
+}
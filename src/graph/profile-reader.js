@@ -0,0 +1,140 @@
+/**
+ * Profile reader — CPU time per function, from `.cpuprofile` files
+ * (`node --cpu-prof`, or Chrome DevTools).
+ *
+ * A profile is a tree of call frames with the samples that landed in each.
+ * A frame's samples are its function's self time; a function's total time
+ * is every sample with it anywhere on the stack, counted once even when it
+ * recurses. Frames land on FunctionNodes by URL and line, the same way
+ * coverage does (see line-mapper.js's functionAtLine). Idle time doesn't
+ * count towards the profile's duration; several profiles add up.
+ */
+
+import { readFileSync, readdirSync, statSync } from 'fs'
+import { join, isAbsolute } from 'path'
+import { fileURLToPath } from 'url'
+import { buildFileIndex, functionAtLine } from '../git/line-mapper.js'
+
+/**
+ * @typedef {Object} CpuProfile
+ * @property {{ id: number, callFrame: { functionName: string, url: string, lineNumber: number, columnNumber: number }, children?: number[] }[]} nodes
+ * @property {number[]} samples     - Frame id per sample
+ * @property {number[]} timeDeltas  - Microseconds since the previous sample
+ */
+
+/**
+ * @param {string[]} paths  .cpuprofile files, or directories of them (--cpu-prof-dir)
+ * @returns {CpuProfile[]}
+ */
+export function readProfiles(paths) {
+  const files = paths.flatMap(path => statSync(path).isDirectory()
+    ? readdirSync(path).filter(name => name.endsWith('.cpuprofile')).map(name => join(path, name))
+    : [path])
+  return files.map(file => JSON.parse(readFileSync(file, 'utf8')))
+}
+
+/**
+ * @param {import('./call-graph.js').CallGraph} graph
+ * @param {CpuProfile[]} profiles
+ * @param {string} rootDir
+ * @returns {{ duration: number, times: Map<string, { self: number, total: number }>, unmatched: number }}
+ *   duration — profiled time in ms; times — function ID -> ms; unmatched —
+ *   project frames (not node internals or dependencies) no node fits
+ */
+export function mapProfiles(graph, profiles, rootDir) {
+  const fileIndex = buildFileIndex(graph, rootDir, rootDir)
+  const times = new Map()
+  const timesFor = (id) => {
+    if (!times.has(id)) times.set(id, { self: 0, total: 0 })
+    return times.get(id)
+  }
+  let duration = 0
+  let unmatched = 0
+
+  for (const profile of profiles) {
+    const frames = new Map(profile.nodes.map(frame => [frame.id, frame]))
+
+    // Frame id -> function ID (or null)
+    const functionOf = new Map()
+    for (const frame of profile.nodes) {
+      const file = scriptPath(frame.callFrame)
+      const node = file ? functionAtLine(file, frame.callFrame.lineNumber + 1, fileIndex, rootDir) : null
+      if (file && !node && !file.includes('node_modules')) unmatched++
+      functionOf.set(frame.id, node?.id ?? null)
+    }
+
+    // Self time per frame, in ms
+    const selfTime = new Map()
+    const { samples = [], timeDeltas = [] } = profile
+    for (let i = 0; i < samples.length; i++) {
+      // A sample lasts until the next one
+      const ms = (timeDeltas[i + 1] ?? 0) / 1000
+      selfTime.set(samples[i], (selfTime.get(samples[i]) ?? 0) + ms)
+    }
+
+    for (const [frameId, ms] of selfTime) {
+      if (frames.get(frameId)?.callFrame.functionName === '(idle)') continue
+      duration += ms
+      const id = functionOf.get(frameId)
+      if (id) timesFor(id).self += ms
+    }
+
+    // Total time: a function's outermost frame on each stack takes its whole subtree
+    const root = profile.nodes[0]
+    const subtree = subtreeTimes(root, frames, selfTime)
+    const active = new Map()
+    const stack = [{ frame: root, entered: false }]
+    while (stack.length > 0) {
+      const item = stack[stack.length - 1]
+      const id = functionOf.get(item.frame.id)
+      if (item.entered) {
+        stack.pop()
+        if (id) active.set(id, active.get(id) - 1)
+        continue
+      }
+      item.entered = true
+      if (id) {
+        if (!active.get(id)) timesFor(id).total += subtree.get(item.frame.id)
+        active.set(id, (active.get(id) ?? 0) + 1)
+      }
+      for (const child of item.frame.children ?? []) {
+        if (frames.has(child)) stack.push({ frame: frames.get(child), entered: false })
+      }
+    }
+  }
+
+  return { duration, times, unmatched }
+}
+
+// --- Internals ---
+
+// The file a frame's function lives in, or null (node internals, eval,
+// native, a script's own top level)
+function scriptPath({ url, functionName, lineNumber, columnNumber }) {
+  if (functionName === '' && lineNumber === 0 && columnNumber === 0) return null
+  if (url.startsWith('file:')) return fileURLToPath(url)
+  // CommonJS frames carry a bare path
+  return isAbsolute(url) ? url : null
+}
+
+// Frame id -> self time of the frame and everything under it
+function subtreeTimes(root, frames, selfTime) {
+  const totals = new Map()
+  const order = []
+  const stack = [root]
+  while (stack.length > 0) {
+    const frame = stack.pop()
+    order.push(frame)
+    for (const child of frame.children ?? []) {
+      if (frames.has(child)) stack.push(frames.get(child))
+    }
+  }
+  // Children come after their parent in `order`, so walk it backwards
+  for (let i = order.length - 1; i >= 0; i--) {
+    const frame = order[i]
+    let total = selfTime.get(frame.id) ?? 0
+    for (const child of frame.children ?? []) total += totals.get(child) ?? 0
+    totals.set(frame.id, total)
+  }
+  return totals
+}
@@ -0,0 +1,57 @@
+/**
+ * Test reach — which test files exercise each production function.
+ *
+ * Works on the test layer (graph.tests): the functions in test files and the
+ * edges out of them. A test file reaches a function directly when one of its
+ * functions calls it, and transitively through any chain of resolved edges
+ * from there — test helpers, then production calls, renders and events.
+ *
+ * One breadth-first walk per test file, seeded with all of its functions.
+ */
+
+/**
+ * @param {import('./call-graph.js').CallGraph} graph  with `tests` set
+ * @returns {Map<string, { direct: string[], transitive: string[] }>}
+ *   production function ID -> test files (relPaths, sorted) reaching it;
+ *   `transitive` includes `direct`
+ */
+export function computeTestReach(graph) {
+  const reach = new Map()
+  if (!graph.tests) return reach
+
+  const entryFor = (id) => {
+    if (!reach.has(id)) reach.set(id, { direct: new Set(), transitive: new Set() })
+    return reach.get(id)
+  }
+
+  // Test file -> its function IDs
+  const byFile = new Map()
+  for (const node of graph.tests.nodes.values()) {
+    if (!byFile.has(node.relPath)) byFile.set(node.relPath, [])
+    byFile.get(node.relPath).push(node.id)
+  }
+
+  for (const [file, seeds] of byFile) {
+    for (const id of seeds) {
+      for (const edge of graph.tests.callees(id)) {
+        if (edge.resolved && graph.nodes.has(edge.to)) entryFor(edge.to).direct.add(file)
+      }
+    }
+
+    const visited = new Set(seeds)
+    const queue = [...seeds]
+    for (let i = 0; i < queue.length; i++) {
+      const id = queue[i]
+      const edges = graph.tests.nodes.has(id) ? graph.tests.callees(id) : graph.callees(id)
+      for (const edge of edges) {
+        if (!edge.resolved || visited.has(edge.to)) continue
+        visited.add(edge.to)
+        if (graph.nodes.has(edge.to)) entryFor(edge.to).transitive.add(file)
+        queue.push(edge.to)
+      }
+    }
+  }
+
+  const sorted = set => [...set].sort()
+  return new Map([...reach].map(([id, { direct, transitive }]) => [id, { direct: sorted(direct), transitive: sorted(transitive) }]))
+}
@@ -0,0 +1,88 @@
+/**
+ * Trace linker — merges a runtime trace (see trace/trace-runner.js) into the
+ * static graph.
+ *
+ * Trace ids are "relPath:line", matched to the first function starting on
+ * that line. A caller/callee pair the static graph already has gets the
+ * observed count as `weight` on its edges (per pair, so several call sites
+ * share one count); a pair it missed — a callback, a dynamic dispatch, an
+ * import it couldn't follow — becomes a `dynamic` edge. Calls from test
+ * files and other untraced code don't map to a function and are left out
+ * of the edges, but still count towards how often the callee ran.
+ */
+
+import { join, relative, sep } from 'path'
+
+/**
+ * @param {import('./call-graph.js').CallGraph} graph
+ * @param {ReturnType<import('../trace/trace-runner.js').readTrace>} trace
+ * @param {string} rootDir  The graph's root; the trace may have been taken from another
+ * @returns {{ callCounts: Map<string, number>, edges: import('./call-graph.js').CallEdge[], weighted: number }}
+ *   callCounts — function ID -> times it ran; edges — the new dynamic edges;
+ *   weighted — static edges that got a weight
+ */
+export function linkTrace(graph, trace, rootDir) {
+  const byLine = new Map()
+  for (const node of graph.getFunctionNodes()) {
+    const key = `${node.relPath.split(sep).join('/')}:${node.line}`
+    if (!byLine.has(key)) byLine.set(key, node.id)
+  }
+
+  const idFor = (traceId) => {
+    const colon = traceId.lastIndexOf(':')
+    const relPath = relative(rootDir, join(trace.rootDir, traceId.slice(0, colon))).split(sep).join('/')
+    return byLine.get(`${relPath}:${traceId.slice(colon + 1)}`) ?? null
+  }
+
+  const callCounts = new Map()
+  for (const [traceId, count] of Object.entries(trace.calls)) {
+    const id = idFor(traceId)
+    if (id) callCounts.set(id, (callCounts.get(id) ?? 0) + count)
+  }
+
+  // Two functions on one line share a trace id, so pairs are summed after mapping
+  const observed = new Map()
+  for (const [fromId, toId, count] of trace.edges) {
+    const from = idFor(fromId)
+    const to = idFor(toId)
+    if (!from || !to) continue
+    const key = `${from}\0${to}`
+    observed.set(key, (observed.get(key) ?? 0) + count)
+  }
+
+  const staticEdges = new Map()
+  for (const edge of graph.edges) {
+    if (!edge.resolved) continue
+    const key = `${edge.from}\0${edge.to}`
+    if (!staticEdges.has(key)) staticEdges.set(key, [])
+    staticEdges.get(key).push(edge)
+  }
+
+  const edges = []
+  let weighted = 0
+  for (const [key, count] of observed) {
+    const known = staticEdges.get(key)
+    if (known) {
+      for (const edge of known) edge.weight = count
+      weighted += known.length
+      continue
+    }
+
+    const [from, to] = key.split('\0')
+    const caller = graph.getNode(from)
+    const callee = graph.getNode(to)
+    edges.push({
+      from,
+      to,
+      kind: 'dynamic',
+      calleeName: callee.name,
+      resolved: true,
+      strategy: 'trace',
+      crossModule: caller.module !== callee.module,
+      file: caller.file,
+      line: caller.line,
+      weight: count,
+    })
+  }
+  return { callCounts, edges, weighted }
+}
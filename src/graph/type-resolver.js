@@ -0,0 +1,198 @@
+/**
+ * Type Resolver — opt-in (`--typed`) resolution of member calls through the
+ * TypeScript checker.
+ *
+ * Name-based resolution can't tell which `save` `userRepo.save()` means. The
+ * checker can: it knows `userRepo` is a `UserRepository`, whether that was
+ * declared here or imported as a type, and where its `save` is declared.
+ *
+ *   - A declaration with a body resolves to that function    (strategy 'typed')
+ *   - An interface or abstract member resolves to every project class that
+ *     implements it, one edge each                          (strategy 'typed-dispatch')
+ *     — classes declaring it (implements / extends, transitively) when there
+ *     are any, otherwise every structurally assignable class
+ *   - A declaration outside the project (lib.d.ts, node_modules) stays
+ *     unresolved, rather than falling through to a same-named project function
+ *
+ * Anything the checker can't pin down (untyped receivers, `any`, unions)
+ * falls back to name-based resolution.
+ *
+ * The program comes from the nearest tsconfig.json; without one, the
+ * discovered files are checked as a loose allowJs program.
+ */
+
+import { dirname, relative } from 'path'
+
+const TS_FILE = /\.(?:[cm]?[jt]s|[jt]sx)$/
+
+/**
+ * @param {string} rootDir
+ * @param {string[]} files      Absolute paths of the discovered files
+ * @param {import('./call-graph.js').CallGraph} graph  with every function added
+ * @param {boolean} verbose
+ * @returns {Promise<{ resolve(rawCall: object): { targets: string[], strategy: string } | null }>}
+ */
+export async function createTypeResolver(rootDir, files, graph, verbose) {
+  const { default: ts } = await import('typescript')
+
+  const program = createProgram(ts, rootDir, files, verbose)
+  const checker = program.getTypeChecker()
+
+  // "relPath:line" -> function IDs starting on that line
+  const byLine = new Map()
+  for (const node of graph.nodes.values()) {
+    const key = `${node.relPath}:${node.line}`
+    if (!byLine.has(key)) byLine.set(key, [])
+    byLine.get(key).push(node.id)
+  }
+
+  // Project class declarations, collected on first interface dispatch
+  let classes = null
+  const projectClasses = () => classes ??= collectClasses(ts, program, rootDir)
+
+  const functionIdOf = (decl) => {
+    const fn = functionLike(ts, decl)
+    if (!fn?.body) return null
+    const sourceFile = fn.getSourceFile()
+    // From the name, not the declaration — decorators can sit on the lines above
+    const start = (decl.name ?? fn).getStart(sourceFile)
+    const line = sourceFile.getLineAndCharacterOfPosition(start).line + 1
+    return byLine.get(`${relative(rootDir, sourceFile.fileName)}:${line}`)?.[0] ?? null
+  }
+
+  return {
+    resolve(rawCall) {
+      if (rawCall.kind !== 'call' || !rawCall.calleeObject) return null
+      const sourceFile = program.getSourceFile(rawCall.file)
+      if (!sourceFile) return null
+
+      const call = findMemberCall(ts, sourceFile, rawCall)
+      if (!call) return null
+
+      let symbol = checker.getSymbolAtLocation(call.expression.name)
+      if (symbol && symbol.flags & ts.SymbolFlags.Alias) symbol = checker.getAliasedSymbol(symbol)
+      const declarations = symbol?.declarations ?? []
+      if (declarations.length === 0) return null
+
+      if (declarations.every(decl => !isProjectFile(decl.getSourceFile(), program, rootDir))) {
+        return { targets: [], strategy: 'typed' }
+      }
+
+      // Some declarations may be missing from the graph (an ignored test file)
+      const implemented = declarations.filter(decl => functionLike(ts, decl)?.body)
+      if (implemented.length > 0) {
+        const direct = unique(implemented.map(functionIdOf))
+        return direct.length > 0 ? { targets: direct, strategy: 'typed' } : null
+      }
+
+      // Interface or abstract member — dispatch to the classes implementing it
+      const owner = declarations.map(decl => decl.parent).find(parent =>
+        ts.isInterfaceDeclaration(parent) || ts.isClassLike(parent)
+      )
+      if (!owner) return null
+      const ownerType = checker.getTypeAtLocation(owner)
+      const others = projectClasses().filter(cls => cls !== owner)
+      const declared = others.filter(cls => inherits(ts, checker, cls, ownerType.symbol))
+      const implementers = declared.length > 0
+        ? declared
+        : others.filter(cls => checker.isTypeAssignableTo(checker.getTypeAtLocation(cls), ownerType))
+
+      const name = call.expression.name.text
+      const implementations = unique(implementers.flatMap(cls => {
+        const member = checker.getPropertyOfType(checker.getTypeAtLocation(cls), name)
+        return (member?.declarations ?? []).map(functionIdOf)
+      }))
+      return implementations.length > 0 ? { targets: implementations, strategy: 'typed-dispatch' } : null
+    },
+  }
+}
+
+// --- Internals ---
+
+function createProgram(ts, rootDir, files, verbose) {
+  const configPath = ts.findConfigFile(rootDir, ts.sys.fileExists)
+  if (configPath) {
+    const { config } = ts.readConfigFile(configPath, ts.sys.readFile)
+    const parsed = ts.parseJsonConfigFileContent(config ?? {}, ts.sys, dirname(configPath))
+    if (verbose) console.error(`  Typed: ${parsed.fileNames.length} files from ${relative(rootDir, configPath) || configPath}`)
+    return ts.createProgram({ rootNames: parsed.fileNames, options: { ...parsed.options, noEmit: true } })
+  }
+
+  const rootNames = files.filter(file => TS_FILE.test(file))
+  if (verbose) console.error(`  Typed: no tsconfig.json — checking ${rootNames.length} files with allowJs`)
+  return ts.createProgram({
+    rootNames,
+    options: { allowJs: true, checkJs: false, noEmit: true, jsx: ts.JsxEmit.Preserve, skipLibCheck: true },
+  })
+}
+
+/**
+ * The member call the raw call was recorded for: starts where the raw call
+ * does and calls a property named calleeName.
+ */
+function findMemberCall(ts, sourceFile, { line, column, calleeName }) {
+  if (line < 1 || line > sourceFile.getLineStarts().length) return null
+  const pos = ts.getPositionOfLineAndCharacter(sourceFile, line - 1, column ?? 0)
+
+  let found = null
+  const visit = (node) => {
+    if (node.getStart(sourceFile) > pos || node.getEnd() <= pos) return
+    if (
+      ts.isCallExpression(node) &&
+      node.getStart(sourceFile) === pos &&
+      ts.isPropertyAccessExpression(node.expression) &&
+      node.expression.name.text === calleeName
+    ) {
+      found = node
+      return
+    }
+    ts.forEachChild(node, visit)
+  }
+  ts.forEachChild(sourceFile, visit)
+  return found
+}
+
+// The function a declaration stands for: itself, or the function it's initialized to
+function functionLike(ts, decl) {
+  if (ts.isFunctionLike(decl)) return decl
+  const init = decl.initializer
+  return init && (ts.isFunctionExpression(init) || ts.isArrowFunction(init)) ? init : null
+}
+
+function collectClasses(ts, program, rootDir) {
+  const classes = []
+  for (const sourceFile of program.getSourceFiles()) {
+    if (!isProjectFile(sourceFile, program, rootDir)) continue
+    const visit = (node) => {
+      if (ts.isClassLike(node)) classes.push(node)
+      ts.forEachChild(node, visit)
+    }
+    ts.forEachChild(sourceFile, visit)
+  }
+  return classes
+}
+
+// Does the class name `target` in its extends / implements clauses, directly or via its bases?
+function inherits(ts, checker, decl, target, seen = new Set()) {
+  if (!target || seen.has(decl)) return false
+  seen.add(decl)
+  for (const clause of decl.heritageClauses ?? []) {
+    for (const { expression } of clause.types) {
+      let symbol = checker.getSymbolAtLocation(expression)
+      if (symbol && symbol.flags & ts.SymbolFlags.Alias) symbol = checker.getAliasedSymbol(symbol)
+      if (!symbol) continue
+      if (symbol === target) return true
+      if ((symbol.declarations ?? []).some(base => inherits(ts, checker, base, target, seen))) return true
+    }
+  }
+  return false
+}
+
+function isProjectFile(sourceFile, program, rootDir) {
+  if (sourceFile.isDeclarationFile || program.isSourceFileFromExternalLibrary(sourceFile)) return false
+  return !relative(rootDir, sourceFile.fileName).startsWith('..')
+}
+
+function unique(ids) {
+  return [...new Set(ids.filter(Boolean))]
+}
@@ -1,12 +1,20 @@
 #!/usr/bin/env node
 
-import { resolve, relative } from 'path'
-import { writeFileSync } from 'fs'
+import { resolve, relative, join } from 'path'
+import { writeFileSync, existsSync } from 'fs'
 import { buildGraph } from './graph/graph-builder.js'
 import { classify } from './analyzers/classifier.js'
 import { analyzeGit } from './git/git-analyzer.js'
 import { report as terminalReport } from './reporters/terminal.js'
 import { report as webReport } from './reporters/web.js'
+import { loadConfig } from './ci/config.js'
+import { formatDiagnostic } from './parsers/ast-walker.js'
+import { detectCommunities } from './graph/community-detector.js'
+
+// Shared by analyze and both diff snapshots (entries are keyed by content)
+const PARSE_CACHE_DIR = '.sociograph/parse-cache'
+// Written by `sociograph trace`, read by `--trace`
+const TRACE_FILE = '.sociograph/trace.json'
 
 const args = process.argv.slice(2)
 const subcommand = args[0]
@@ -16,16 +24,22 @@ if (subcommand === 'diff') {
   const range   = args[1]
   const verbose = args.includes('--verbose') || args.includes('-v')
   const json    = args.includes('--json')
+  const strict  = args.includes('--strict')
+  const noCache = args.includes('--no-cache')
+  const typed   = args.includes('--typed')
+  const workspaces = args.includes('--workspaces')
   const target  = args.find((a, i) => i > 1 && !a.startsWith('-')) ?? '.'
   const rootDir = resolve(target)
 
   if (!range || !range.includes('..')) {
-    process.stderr.write('Usage: sociograph diff <before>..<after> [path] [--verbose] [--json]\n')
+    process.stderr.write('Usage: sociograph diff <before>..<after> [path] [--verbose] [--json] [--workspaces] [--strict] [--no-cache] [--typed]\n')
     process.exit(1)
   }
 
+  const { events, modules } = loadConfig(join(rootDir, '.sociograph.yml'))
   const { runDiff } = await import('./diff/diff-runner.js')
-  const result = await runDiff(rootDir, range, { verbose })
+  const cacheDir = noCache ? null : join(rootDir, PARSE_CACHE_DIR)
+  const result = await runDiff(rootDir, range, { verbose, workspaces, events, modules, cacheDir, typed })
 
   if (json) {
     const { report: jsonReport } = await import('./reporters/diff-json.js')
@@ -34,7 +48,30 @@ if (subcommand === 'diff') {
     const { report: diffReport } = await import('./reporters/diff-terminal.js')
     process.stdout.write(diffReport(result, { verbose }) + '\n')
   }
-  process.exit(0)
+  process.exit(strict ? exitForDiagnostics([...result.diagnostics.before, ...result.diagnostics.after]) : 0)
+}
+
+// ── trace subcommand ────────────────────────────────────────────────────────
+if (subcommand === 'trace') {
+  const separator = args.indexOf('--')
+  const own     = separator === -1 ? args.slice(1) : args.slice(1, separator)
+  const command = separator === -1 ? [] : args.slice(separator + 1)
+  const outArg  = own.find(a => a.startsWith('--out='))
+  const rootDir = resolve(own.find(a => !a.startsWith('-')) ?? '.')
+  const out     = outArg ? resolve(outArg.split('=').slice(1).join('=')) : join(rootDir, TRACE_FILE)
+
+  if (command.length === 0) {
+    process.stderr.write('Usage: sociograph trace [path] [--out=file] -- <command...>\n')
+    process.exit(1)
+  }
+
+  const { runTrace } = await import('./trace/trace-runner.js')
+  const result = runTrace(rootDir, command, { out })
+  process.stderr.write(
+    `\nTrace written to ${relative(process.cwd(), out) || out}: ${result.functions} functions and ` +
+    `${result.edges} caller/callee pairs across ${result.processes} process(es)\n`
+  )
+  process.exit(result.status)
 }
 
 // ── default: analyze subcommand ─────────────────────────────────────────────
@@ -42,9 +79,22 @@ const target   = args.find(a => !a.startsWith('-')) ?? '.'
 const verbose  = args.includes('--verbose') || args.includes('-v')
 const noGit    = args.includes('--no-git')
 const noCache  = args.includes('--no-cache')
+const workspaces = args.includes('--workspaces')
+const splitRenders = args.includes('--split-renders')
+const api      = args.includes('--api')
+const tests    = args.includes('--tests')
+const strict   = args.includes('--strict')
+const typed    = args.includes('--typed')
 const topArg   = args.find(a => a.startsWith('--top='))
 const limitArg = args.find(a => a.startsWith('--git-limit='))
 const webArg   = args.find(a => a === '--web' || a.startsWith('--web='))
+// --clusters=louvain (default: label propagation); --co-change also weighs Louvain by git co-commits
+const louvain  = args.includes('--clusters=louvain')
+const coChange = args.includes('--co-change')
+const traceArg = args.find(a => a === '--trace' || a.startsWith('--trace='))
+const coverageArg = args.find(a => a.startsWith('--coverage='))
+// --profile=file.cpuprofile, repeatable; a directory takes every .cpuprofile in it
+const profileFiles = args.filter(a => a.startsWith('--profile=')).map(a => resolve(a.split('=').slice(1).join('=')))
 const top      = topArg   ? parseInt(topArg.split('=')[1], 10)   : undefined
 const gitLimit = limitArg ? parseInt(limitArg.split('=')[1], 10) : 500
 
@@ -55,9 +105,32 @@ const webOut  = webArg?.includes('=') ? webArg.split('=').slice(1).join('=') : '
 const rootDir = resolve(target)
 const displayPath = relative(process.cwd(), rootDir) || '.'
 
+// --trace or --trace=file
+const traceFile = traceArg === undefined ? null
+  : traceArg.includes('=') ? resolve(traceArg.split('=').slice(1).join('=')) : join(rootDir, TRACE_FILE)
+if (traceFile && !existsSync(traceFile)) {
+  process.stderr.write(`No trace at ${traceFile} — record one with \`sociograph trace -- <command>\`\n`)
+  process.exit(1)
+}
+
+// --coverage=coverage/coverage-final.json, or a NODE_V8_COVERAGE directory
+const coverageFile = coverageArg ? resolve(coverageArg.split('=').slice(1).join('=')) : null
+if (coverageFile && !existsSync(coverageFile)) {
+  process.stderr.write(`No coverage data at ${coverageFile}\n`)
+  process.exit(1)
+}
+if (coverageFile && traceFile) process.stderr.write('Both --trace and --coverage given — using the trace\n')
+const missingProfile = profileFiles.find(file => !existsSync(file))
+if (missingProfile) {
+  process.stderr.write(`No CPU profile at ${missingProfile}\n`)
+  process.exit(1)
+}
+
 if (verbose) process.stderr.write(`\nAnalyzing ${rootDir}...\n`)
 
-const graph = await buildGraph(rootDir, { verbose })
+const config = loadConfig(join(rootDir, '.sociograph.yml'))
+const cacheDir = noCache ? null : join(rootDir, PARSE_CACHE_DIR)
+const graph = await buildGraph(rootDir, { verbose, workspaces, events: config.events, modules: config.modules, cacheDir, typed, tests, trace: traceFile, coverage: coverageFile, profiles: profileFiles })
 
 let gitMetrics = null
 if (!noGit) {
@@ -65,12 +138,23 @@ if (!noGit) {
 }
 
 const classifications = classify(graph, { gitMetrics })
+const communities = louvain ? detectCommunities(graph, { gitMetrics, coChange }) : null
 
 if (webMode) {
-  const html = await webReport(graph, classifications, { path: displayPath, gitMetrics })
+  const html = await webReport(graph, classifications, { path: displayPath, gitMetrics, splitRenders, communities })
   writeFileSync(webOut, html, 'utf8')
   process.stderr.write(`Web graph written to ${webOut}\n`)
 } else {
-  const output = terminalReport(graph, classifications, { path: displayPath, top })
+  const output = terminalReport(graph, classifications, { path: displayPath, top, splitRenders, api, communities })
   process.stdout.write(output + '\n')
 }
+
+if (strict) process.exit(exitForDiagnostics(graph.diagnostics))
+
+// --strict: any file that didn't fully parse fails the run
+function exitForDiagnostics(diagnostics) {
+  if (diagnostics.length === 0) return 0
+  process.stderr.write(`\n${diagnostics.length} file(s) not fully parsed (--strict):\n`)
+  for (const d of diagnostics) process.stderr.write(`  ${formatDiagnostic(d)}\n`)
+  return 1
+}
@@ -2,25 +2,57 @@
  * AST Walker — extracts functions and calls from a single JS/TS file.
  *
  * Returns:
- *   { functions: FunctionNode[], calls: RawCall[], importMap: Map }
+ *   { functions: FunctionNode[], calls: RawCall[], classes: ClassInfo[], importMap: Map, reexports: ReexportMap, events, resolutions, diagnostics }
  *
  * A RawCall has a calleeName but no resolved target yet — resolution
- * happens in the graph builder after all files are parsed.
+ * happens in the graph builder after all files are parsed. Its `kind` is
+ * 'call' for an invocation or 'reference' for a function named without
+ * being called (passed as an argument, stored on a property, returned —
+ * names the enclosing scopes bind to params or plain values aren't),
+ * 'render' for a JSX element naming a component (<UserCard />), or
+ * 'instantiate' for `new OrderService(db)`.
+ *
+ * `events` holds emit and subscribe sites keyed by string-literal event name,
+ * for the event linker to pair up.
+ *
+ * Single-file components (.vue, .svelte, .astro) are walked through their
+ * script blocks, and the file itself becomes a 'component' node that owns the
+ * script's top-level calls and renders the components used in its markup.
+ * Any other file with top-level calls (router setup, DI wiring, `main()`)
+ * gets a '<module>' node of kind 'module' that owns them — an entry point,
+ * not a function.
+ *
+ * Functions carry `exported` and the names the file exports them under
+ * (`exportNames`, 'default' for `export default` and `module.exports = fn`).
+ * Members of an exported class are exported, under no name of their own.
+ * `doc` holds the comment above the function (see doc-comments.js).
+ *
+ * `diagnostics` records why a file is missing from the graph (failed) or may
+ * be missing parts of itself (partial: the parser only got through by
+ * accepting an invalid construct).
  */
 
 import { parse } from '@typescript-eslint/typescript-estree'
 import { readFileSync } from 'fs'
 import { relative, basename, dirname } from 'path'
-import { computeComplexity } from './complexity.js'
-import { buildImportMap } from './import-resolver.js'
+import { computeComplexity, computeCognitiveComplexity } from './complexity.js'
+import { computeHalstead, maintainabilityIndex } from './halstead.js'
+import { buildImportMap, buildReexportMap } from './import-resolver.js'
+import { makeNodeId, scopeSegment, childScopePath } from '../graph/node-id.js'
+import { packageForPath } from './workspaces.js'
+import { moduleForPath } from './module-resolver.js'
+import { DEFAULT_EVENT_METHODS } from '../graph/event-linker.js'
+import { isComponentFile, extractComponentScripts } from './sfc.js'
+import { collectDocComments } from './doc-comments.js'
+
+export const MODULE_NODE_NAME = '<module>'
 
 const PARSE_OPTIONS = {
   jsx: true,
   loc: true,
   range: true,
-  comment: false,
+  comment: true,
   tokens: false,
-  errorRecovery: true,
 }
 
 /**
@@ -28,22 +60,36 @@ const PARSE_OPTIONS = {
  *
  * @param {string} filePath  Absolute path to the file
  * @param {string} rootDir   Project root (for relative IDs)
- * @returns {{ functions: FunctionNode[], calls: RawCall[], importMap: Map }}
+ * @param {{ aliases?: import('./path-aliases.js').PathAliases, packages?: { name: string, relDir: string }[], modules?: import('./module-resolver.js').ModuleRules, events?: { emitters: string[], subscribers: string[] } }} options
+ * @returns {{ functions: FunctionNode[], calls: RawCall[], classes: ClassInfo[], importMap: Map, reexports: ReexportMap, events: FileEvents, resolutions: Map<string, string|null>, diagnostics: ParseDiagnostic[] }}
  */
-export function walkFile(filePath, rootDir) {
-  const source = readFileSync(filePath, 'utf8')
-  let ast
+export function walkFile(filePath, rootDir, options = {}) {
+  const relPath = relative(rootDir, filePath)
+  const diagnostics = []
 
   try {
-    ast = parse(source, PARSE_OPTIONS)
-  } catch {
-    // Unparseable file — skip gracefully
-    return { functions: [], calls: [], importMap: new Map() }
+    return { ...walkSource(filePath, relPath, rootDir, options, diagnostics), diagnostics }
+  } catch (err) {
+    // Unreadable or unparseable file — leave it out, but say so
+    const failed = [diagnostic(relPath, 'failed', err)]
+    return { functions: [], calls: [], classes: [], importMap: new Map(), reexports: emptyReexports(), events: { emits: [], handlers: [] }, resolutions: new Map(), diagnostics: failed }
   }
+}
 
-  const importMap = buildImportMap(ast, filePath)
-  const relPath = relative(rootDir, filePath)
-  const module = inferModule(relPath)
+function walkSource(filePath, relPath, rootDir, options, diagnostics) {
+  const { aliases } = options
+  const source = readFileSync(filePath, 'utf8')
+  // Script blocks only, blanked around so line numbers still match the file
+  const sfc = isComponentFile(filePath) ? extractComponentScripts(source, filePath) : null
+  const code = sfc ? sfc.code : source
+  const ast = parseSource(code, relPath, diagnostics)
+
+  // specifier -> resolved file, so a cached parse can tell when the files around it change
+  const resolutions = new Map()
+  const importMap = buildImportMap(ast, filePath, aliases, resolutions)
+  const reexports = buildReexportMap(ast, filePath, importMap, aliases, resolutions)
+  const packageName = packageForPath(relPath, options.packages)
+  const module = moduleForPath(relPath, options.modules, packageName)
 
   // Pre-build name hints so anonymous functions get real names during the walk
   const nameHints = new Map()
@@ -51,22 +97,113 @@ export function walkFile(filePath, rootDir) {
 
   const functions = []
   const calls = []
+  const classes = []
+  const events = { emits: [], handlers: [] }
 
   // Stack of currently-open function IDs as we traverse nested scopes
   const scopeStack = []
-
-  walkNode(ast, {
+  // Parallel stack of { scopePath, siblings } — siblings counts segment names
+  // already used directly inside that scope, for "#N" disambiguation
+  const scopePaths = [{ scopePath: null, siblings: new Map() }]
+  // Parallel stack of what each open scope binds (see scopeBindings), the
+  // file's own top level first
+  const bindings = [scopeBindings(ast)]
+
+  const ctx = {
     filePath,
     relPath,
     module,
+    packageName,
     rootDir,
     scopeStack,
+    scopePaths,
+    bindings,
     functions,
     calls,
+    classes,
     nameHints,
-  })
+    // function node -> { name, className, exported } for class members
+    methods: new Map(),
+    // ClassExpression node -> binding name (const Foo = class {})
+    classNames: new Map(),
+    // Class whose instance `this` refers to at the current point of the walk
+    thisClass: null,
+    eventMethods: options.events ?? DEFAULT_EVENT_METHODS,
+    events,
+    // inline handler function node -> { eventName, line }
+    inlineHandlers: new Map(),
+    // ID of the '<module>' node while the walk is at the top level
+    moduleId: null,
+    // module.exports / export default objects, whose values aren't references
+    exportObjects: new Set(),
+    // function or class node -> names the file exports it under
+    exports: collectExports(ast),
+    // function node -> DocComment
+    docs: collectDocComments(ast, code),
+  }
+
+  if (sfc) {
+    const component = extractFileNode(ast, source, basename(relPath).replace(/\.[^.]+$/, ''), 'component', ctx)
+    // A single-file component is its file's default export
+    component.exported = true
+    component.exportNames = ['default']
+    functions.push(component)
+    scopeStack.push(component.id)
+    for (const tag of sfc.templateTags) {
+      pushCall('render', tag.name, tag.object, { loc: { start: { line: tag.line } } }, ctx)
+    }
+    walkNode(ast, ctx)
+  } else {
+    const moduleNode = extractFileNode(ast, source, MODULE_NODE_NAME, 'module', ctx)
+    ctx.moduleId = moduleNode.id
+    scopeStack.push(moduleNode.id)
+    walkNode(ast, ctx)
+    // Only files that actually do something at the top level get one
+    const owns = item => item.from === moduleNode.id
+    if (calls.some(owns) || events.emits.some(owns)) functions.unshift(moduleNode)
+  }
+
+  return { functions, calls, classes, importMap, reexports, events, resolutions }
+}
+
+/**
+ * One-line form of a diagnostic: "src/a.ts:12:5  failed — ';' expected."
+ *
+ * @param {ParseDiagnostic} d
+ * @returns {string}
+ */
+export function formatDiagnostic({ file, status, message, line, column }) {
+  return `${file}${line ? `:${line}:${column}` : ''}  ${status} — ${message}`
+}
+
+function emptyReexports() {
+  return { named: new Map(), star: [] }
+}
+
+/**
+ * Parse, falling back to an AST the parser considers invalid (a class
+ * without a name, `for (let a, b of c)`) rather than losing the whole file.
+ * Syntax errors still throw.
+ */
+function parseSource(code, relPath, diagnostics) {
+  try {
+    return parse(code, PARSE_OPTIONS)
+  } catch (err) {
+    const ast = parse(code, { ...PARSE_OPTIONS, allowInvalidAST: true })
+    diagnostics.push(diagnostic(relPath, 'partial', err))
+    return ast
+  }
+}
 
-  return { functions, calls, importMap }
+function diagnostic(file, status, err) {
+  const start = err?.location?.start
+  return {
+    file,
+    status,
+    message: err?.message ?? String(err),
+    line: start?.line ?? null,
+    column: start ? start.column + 1 : null,
+  }
 }
 
 // --- Node visitor ---
@@ -79,28 +216,73 @@ function walkNode(node, ctx) {
   if (isFuncNode) {
     const fn = extractFunction(node, ctx)
     ctx.functions.push(fn)
+
+    const subscription = ctx.inlineHandlers.get(node)
+    if (subscription) ctx.events.handlers.push({ ...subscription, handlerId: fn.id, file: ctx.filePath })
     ctx.scopeStack.push(fn.id)
+    ctx.scopePaths.push({ scopePath: fn.scopePath, siblings: new Map() })
+    ctx.bindings.push(scopeBindings(node))
+
+    // Methods bind `this` to their class; arrows inherit it; plain functions reset it
+    const outerThis = ctx.thisClass
+    if (fn.className) ctx.thisClass = fn.className
+    else if (node.type !== 'ArrowFunctionExpression') ctx.thisClass = null
+
+    // () => handler — an expression body is an implicit return
+    if (node.type === 'ArrowFunctionExpression' && node.expression) recordReference(node.body, ctx)
 
     // Walk children within this scope
     walkChildren(node, ctx)
 
+    ctx.thisClass = outerThis
+    ctx.bindings.pop()
+    ctx.scopePaths.pop()
     ctx.scopeStack.pop()
     return  // Children already walked above
   }
 
+  if (node.type === 'ClassDeclaration' || node.type === 'ClassExpression') {
+    const cls = extractClass(node, ctx)
+    ctx.classes.push(cls)
+    collectMembers(node, cls.name, ctx)
+  }
+
+  if (node.type === 'VariableDeclarator' && node.id?.type === 'Identifier' && node.init?.type === 'ClassExpression') {
+    ctx.classNames.set(node.init, node.id.name)
+  }
+
   if (node.type === 'CallExpression') {
-    const calleeName = extractCalleeName(node.callee)
-    if (calleeName && ctx.scopeStack.length > 0) {
-      ctx.calls.push({
-        from: ctx.scopeStack[ctx.scopeStack.length - 1],
-        calleeName,
-        calleeObject: extractCalleeObject(node.callee),
-        file: ctx.filePath,
-        line: node.loc?.start.line ?? 0,
-      })
+    recordCall('call', node.callee, node, ctx)
+    recordEventSite(node, ctx)
+  }
+
+  if (node.type === 'NewExpression') {
+    recordCall('instantiate', node.callee, node, ctx)
+  }
+
+  if (node.type === 'JSXOpeningElement') {
+    recordRender(node, ctx)
+  }
+
+  // Functions handed around rather than called: run(handler), { onSave: save }, return fn
+  if (!isExportListing(node, ctx)) {
+    for (const expr of referencedExpressions(node)) {
+      recordReference(expr, ctx)
     }
   }
 
+  // this.handler = () => {} inside a class — treat as a member of that class
+  if (
+    ctx.thisClass &&
+    node.type === 'AssignmentExpression' &&
+    node.left?.type === 'MemberExpression' &&
+    node.left.object?.type === 'ThisExpression' &&
+    isFunctionNode(node.right)
+  ) {
+    const name = extractCalleeName(node.left)
+    if (name) ctx.methods.set(node.right, { name, className: ctx.thisClass })
+  }
+
   walkChildren(node, ctx)
 }
 
@@ -132,35 +314,132 @@ function isFunctionNode(node) {
 
 function extractFunction(node, ctx) {
   const name = resolveFunctionName(node, ctx)
-  const className = resolveClassName(node)
-  const kind = resolveKind(node)
-  const id = `${ctx.relPath}::${name}`
+  const className = resolveClassName(node, ctx)
+  const kind = className ? 'method' : resolveKind(node)
+  const scopePath = resolveScopePath(name, className, ctx)
+  const linesOfCode = (node.loc?.end.line ?? 0) - (node.loc?.start.line ?? 0) + 1
+  const exportNames = ctx.exports.get(node) ?? []
 
   return {
-    id,
+    id: makeNodeId(ctx.relPath, scopePath),
     name,
+    scopePath,
     file: ctx.filePath,
     relPath: ctx.relPath,
     module: ctx.module,
+    packageName: ctx.packageName,
     line: node.loc?.start.line ?? 0,
     endLine: node.loc?.end.line ?? 0,
     params: node.params?.length ?? 0,
-    complexity: computeComplexity(node),
-    linesOfCode: (node.loc?.end.line ?? 0) - (node.loc?.start.line ?? 0) + 1,
+    ...measure(node, name, linesOfCode),
+    linesOfCode,
     kind,
     className,
+    exported: exportNames.length > 0 || (ctx.methods.get(node)?.exported ?? false),
+    exportNames,
+    doc: ctx.docs.get(node) ?? null,
+  }
+}
+
+/**
+ * A node standing for the file itself — a single-file 'component', or the
+ * '<module>' owning top-level code — spanning every line of it. Its metrics
+ * and linesOfCode cover its own top-level code only (see ownStatements).
+ */
+function extractFileNode(ast, source, name, kind, ctx) {
+  const scopePath = resolveScopePath(name, null, ctx)
+  const lineCount = source.split('\n').length
+  const topLevel = ownStatements(ast)
+  const body = { type: 'Program', params: [], body: { type: 'BlockStatement', body: topLevel } }
+  const linesOfCode = new Set(topLevel.flatMap(coveredLines)).size
+
+  return {
+    id: makeNodeId(ctx.relPath, scopePath),
+    name,
+    scopePath,
+    file: ctx.filePath,
+    relPath: ctx.relPath,
+    module: ctx.module,
+    packageName: ctx.packageName,
+    // The whole file, so markup-only changes still count as touching a component
+    line: 1,
+    endLine: lineCount,
+    params: 0,
+    ...measure(body, name, linesOfCode),
+    linesOfCode,
+    kind,
+    className: null,
+    exported: false,
+    exportNames: [],
+    doc: null,
+  }
+}
+
+/**
+ * Top-level statements minus the declarations that are nodes of their own —
+ * functions and classes, exported or not, and function-valued declarators
+ * (`const save = () => {}`), which leave the rest of their declaration behind.
+ */
+function ownStatements(ast) {
+  const statements = []
+  for (const statement of ast.body) {
+    const isExport = statement.type === 'ExportNamedDeclaration' || statement.type === 'ExportDefaultDeclaration'
+    const decl = isExport ? statement.declaration ?? statement : statement
+    if (isFunctionNode(decl) || decl.type === 'ClassDeclaration' || decl.type === 'ClassExpression') continue
+
+    if (decl.type === 'VariableDeclaration') {
+      const declarations = decl.declarations.filter(d => !(d.init && (isFunctionNode(d.init) || d.init.type === 'ClassExpression')))
+      if (declarations.length === 0) continue
+      const kept = declarations.length === decl.declarations.length ? decl : { ...decl, declarations }
+      statements.push(isExport ? { ...statement, declaration: kept } : kept)
+      continue
+    }
+    statements.push(statement)
+  }
+  return statements
+}
+
+// Lines a kept statement spans — a declaration's kept declarators only
+function coveredLines(statement) {
+  const decl = statement.declaration ?? statement
+  const parts = decl.type === 'VariableDeclaration' ? decl.declarations : [statement]
+  return parts.flatMap(({ loc }) => Array.from({ length: loc.end.line - loc.start.line + 1 }, (_, i) => loc.start.line + i))
+}
+
+function measure(node, name, linesOfCode) {
+  const complexity = computeComplexity(node)
+  const halstead = computeHalstead(node)
+  return {
+    complexity,
+    ...computeCognitiveComplexity(node, name),
+    ...halstead,
+    maintainability: maintainabilityIndex(halstead.halsteadVolume, complexity, linesOfCode),
   }
 }
 
 function resolveFunctionName(node, ctx) {
+  // Class members are named by their key, not by any inner function name
+  const method = ctx.methods.get(node)
+  if (method) return method.name
+
   // FunctionDeclaration: function foo() {}
   if (node.id?.name) return node.id.name
 
-  // Use the pre-built name hints (const foo = () => {}, class methods, etc.)
-  const line = node.loc?.start.line
-  if (line && ctx.nameHints?.has(line)) return ctx.nameHints.get(line)
+  // Use the pre-built name hints (const foo = () => {}, class methods, etc.).
+  // Keyed by node, not line, so a callback on the same line as its enclosing
+  // declaration doesn't inherit that declaration's name.
+  if (ctx.nameHints?.has(node)) return ctx.nameHints.get(node)
+
+  // Position among anonymous siblings is encoded in the scope path
+  return '<anonymous>'
+}
 
-  return `<anonymous#${ctx.functions.length}>`
+function resolveScopePath(name, className, ctx) {
+  const parent = ctx.scopePaths[ctx.scopePaths.length - 1]
+  const base = scopeSegment(name, className)
+  const occurrence = (parent.siblings.get(base) ?? 0) + 1
+  parent.siblings.set(base, occurrence)
+  return childScopePath(parent.scopePath, scopeSegment(name, className, occurrence))
 }
 
 /**
@@ -168,15 +447,16 @@ function resolveFunctionName(node, ctx) {
  * to anonymous functions from their assignment context.
  * This is called from the graph builder on the raw walkFile result.
  */
-export function refineAnonymousNames(functions, rawCalls, ast) {
+export function refineAnonymousNames(functions, ast) {
   // Build a map: loc.start.line -> inferred name from assignment
   const nameHints = new Map()
 
   walkForNameHints(ast, nameHints)
+  const byLine = new Map([...nameHints].map(([fnNode, name]) => [fnNode.loc?.start.line, name]))
 
   for (const fn of functions) {
     if (fn.name.startsWith('<anonymous')) {
-      const hint = nameHints.get(fn.line)
+      const hint = byLine.get(fn.line)
       if (hint) fn.name = hint
     }
   }
@@ -192,7 +472,7 @@ function walkForNameHints(node, hints) {
     node.init &&
     isFunctionNode(node.init)
   ) {
-    hints.set(node.init.loc?.start.line, node.id.name)
+    hints.set(node.init, node.id.name)
   }
 
   // foo: () => {} (object property)
@@ -201,7 +481,7 @@ function walkForNameHints(node, hints) {
     node.key?.type === 'Identifier' &&
     isFunctionNode(node.value)
   ) {
-    hints.set(node.value.loc?.start.line, node.key.name)
+    hints.set(node.value, node.key.name)
   }
 
   // class method: foo() {}
@@ -211,7 +491,7 @@ function walkForNameHints(node, hints) {
     node.value &&
     isFunctionNode(node.value)
   ) {
-    hints.set(node.value.loc?.start.line, node.key.name)
+    hints.set(node.value, node.key.name)
   }
 
   // foo.bar = () => {} (assignment)
@@ -221,7 +501,7 @@ function walkForNameHints(node, hints) {
     isFunctionNode(node.right)
   ) {
     const name = extractCalleeName(node.left)
-    if (name) hints.set(node.right.loc?.start.line, name)
+    if (name) hints.set(node.right, name)
   }
 
   for (const key of Object.keys(node)) {
@@ -237,8 +517,92 @@ function walkForNameHints(node, hints) {
   }
 }
 
-function resolveClassName(node) {
-  // This would need parent tracking — skip for now, left as extension point
+function resolveClassName(node, ctx) {
+  return ctx.methods.get(node)?.className ?? null
+}
+
+// --- Class extraction ---
+
+function extractClass(node, ctx) {
+  const name = node.id?.name ?? ctx.classNames.get(node) ?? `<class#${ctx.classes.length}>`
+  return {
+    name,
+    superName: extractSuperName(node.superClass),
+    exportNames: ctx.exports.get(node) ?? [],
+    file: ctx.filePath,
+    relPath: ctx.relPath,
+    line: node.loc?.start.line ?? 0,
+    implicitConstructor: hasConstructor(node) ? null : extractImplicitConstructor(node, name, ctx),
+  }
+}
+
+function hasConstructor(classNode) {
+  return (classNode.body?.body ?? []).some(member => member.type === 'MethodDefinition' && member.kind === 'constructor')
+}
+
+/**
+ * The empty constructor JavaScript supplies for a class without one, as a
+ * method on the class's first line. It only joins the graph once a `new`
+ * lands on it (see graph-builder.js), so unused classes add no nodes.
+ */
+function extractImplicitConstructor(classNode, className, ctx) {
+  const parent = ctx.scopePaths[ctx.scopePaths.length - 1]
+  const scopePath = childScopePath(parent.scopePath, scopeSegment('constructor', className))
+  const line = classNode.loc?.start.line ?? 0
+  const empty = { type: 'FunctionExpression', params: [], body: { type: 'BlockStatement', body: [] } }
+
+  return {
+    id: makeNodeId(ctx.relPath, scopePath),
+    name: 'constructor',
+    scopePath,
+    file: ctx.filePath,
+    relPath: ctx.relPath,
+    module: ctx.module,
+    packageName: ctx.packageName,
+    line,
+    endLine: line,
+    params: 0,
+    ...measure(empty, 'constructor', 1),
+    linesOfCode: 1,
+    kind: 'method',
+    className,
+    exported: ctx.exports.has(classNode),
+    exportNames: [],
+    doc: null,
+    implicit: true,
+  }
+}
+
+/**
+ * Register every function-valued member of a class body so extractFunction
+ * can name it "Class.member" when the walk reaches it. Public members of an
+ * exported class are exported along with it.
+ */
+function collectMembers(classNode, className, ctx) {
+  const classExported = ctx.exports.has(classNode)
+  for (const member of classNode.body?.body ?? []) {
+    if (member.type !== 'MethodDefinition' && member.type !== 'PropertyDefinition') continue
+    if (!isFunctionNode(member.value)) continue
+    const name = memberKeyName(member.key)
+    const exported = classExported && !name?.startsWith('#') && member.accessibility !== 'private'
+    if (name) ctx.methods.set(member.value, { name, className, exported })
+  }
+}
+
+function memberKeyName(key) {
+  if (key?.type === 'Identifier') return key.name
+  if (key?.type === 'PrivateIdentifier') return `#${key.name}`
+  if (key?.type === 'Literal' && typeof key.value === 'string') return key.value
+  return null
+}
+
+function extractSuperName(superClass) {
+  if (superClass?.type === 'Identifier') return superClass.name
+  // class Foo extends ns.Base — keep the qualified form for namespace imports
+  if (superClass?.type === 'MemberExpression' && superClass.property?.type === 'Identifier') {
+    const object = superClass.object?.type === 'Identifier' ? superClass.object.name : null
+    return object ? `${object}.${superClass.property.name}` : superClass.property.name
+  }
   return null
 }
 
@@ -257,6 +621,8 @@ function extractCalleeName(callee) {
   if (callee.type === 'MemberExpression') {
     // foo.bar() — return 'bar'
     if (callee.property?.type === 'Identifier') return callee.property.name
+    // this.#bar() — private members keep their '#'
+    if (callee.property?.type === 'PrivateIdentifier') return `#${callee.property.name}`
   }
   return null
 }
@@ -266,26 +632,365 @@ function extractCalleeObject(callee) {
   if (callee.type === 'MemberExpression') {
     if (callee.object?.type === 'Identifier') return callee.object.name
     if (callee.object?.type === 'ThisExpression') return 'this'
+    if (callee.object?.type === 'Super') return 'super'
   }
   return null
 }
 
-// --- Utilities ---
+function recordCall(kind, callee, node, ctx) {
+  pushCall(kind, extractCalleeName(callee), extractCalleeObject(callee), node, ctx)
+}
+
+function pushCall(kind, calleeName, calleeObject, node, ctx) {
+  if (!calleeName || ctx.scopeStack.length === 0) return
+  ctx.calls.push({
+    from: ctx.scopeStack[ctx.scopeStack.length - 1],
+    kind,
+    calleeName,
+    calleeObject,
+    thisClass: ctx.thisClass,
+    file: ctx.filePath,
+    line: node.loc?.start.line ?? 0,
+    column: node.loc?.start.column ?? 0,
+  })
+}
+
+// --- Render extraction ---
+
+/**
+ * <UserCard /> or <ui.Button /> — lowercase names are host elements (div,
+ * span) and never components, unless written as a member expression.
+ */
+function recordRender(node, ctx) {
+  const { name } = node
+  if (name?.type === 'JSXIdentifier' && /^[A-Z]/.test(name.name)) {
+    pushCall('render', name.name, null, node, ctx)
+  } else if (name?.type === 'JSXMemberExpression' && name.property?.type === 'JSXIdentifier') {
+    // Only the innermost object is kept, as for calls: <a.b.C /> has no object
+    const object = name.object?.type === 'JSXIdentifier' ? name.object.name : null
+    pushCall('render', name.property.name, object, node, ctx)
+  }
+}
+
+// --- Reference extraction ---
+
+/**
+ * Expressions in value position that may name a function without calling
+ * it. Most turn out to be plain data; the graph builder keeps only those
+ * that resolve to a known function.
+ */
+function referencedExpressions(node) {
+  switch (node.type) {
+    case 'CallExpression':
+    case 'NewExpression':
+      return node.arguments ?? []
+    case 'ObjectExpression':
+      return (node.properties ?? []).filter(p => p.type === 'Property' && !p.method).map(p => p.value)
+    case 'AssignmentExpression':
+      return node.left?.type === 'MemberExpression' ? [node.right] : []
+    case 'ReturnStatement':
+      return node.argument ? [node.argument] : []
+    default:
+      return []
+  }
+}
+
+/**
+ * `module.exports = { a, b }`, `exports.a = a` and `export default { a }` at
+ * the top level list what the file exports — the module isn't using them.
+ */
+function isExportListing(node, ctx) {
+  if (ctx.scopeStack[ctx.scopeStack.length - 1] !== ctx.moduleId) return false
+
+  if (node.type === 'ExportDefaultDeclaration' && node.declaration?.type === 'ObjectExpression') {
+    ctx.exportObjects.add(node.declaration)
+  }
+  if (node.type === 'AssignmentExpression' && isExportsTarget(node.left)) {
+    if (node.right?.type === 'ObjectExpression') ctx.exportObjects.add(node.right)
+    return true
+  }
+  return ctx.exportObjects.has(node)
+}
+
+// module.exports, module.exports.a, exports.a
+function isExportsTarget(node) {
+  if (node?.type !== 'MemberExpression') return false
+  const { object, property } = node
+  if (object?.type === 'Identifier' && object.name === 'exports') return true
+  if (object?.type === 'Identifier' && object.name === 'module') return property?.name === 'exports'
+  return isExportsTarget(object)
+}
+
+function recordReference(expr, ctx) {
+  const target = unwrapBind(expr)
+  // save(x) with `x` a param or local passes that value, not a function named x
+  if (target?.type === 'Identifier' && boundToValue(target.name, ctx)) return
+  if (target?.type === 'Identifier' || (target?.type === 'MemberExpression' && !target.computed)) {
+    recordCall('reference', target, expr, ctx)
+  }
+}
+
+/**
+ * Whether the innermost scope binding `name` binds it to something other than
+ * a function. Names no open scope binds (imports, globals) are not.
+ */
+function boundToValue(name, ctx) {
+  for (let i = ctx.bindings.length - 1; i >= 0; i--) {
+    const isFunction = ctx.bindings[i].get(name)
+    if (isFunction !== undefined) return !isFunction
+  }
+  return false
+}
+
+/**
+ * The names a function (or the file, given its Program) binds itself — params,
+ * var/let/const, catch params, function and class declarations — each mapped
+ * to whether it's bound to a function. Block scopes are folded into their
+ * function; nested functions' bindings are their own.
+ *
+ * @returns {Map<string, boolean>}
+ */
+function scopeBindings(scope) {
+  const bindings = new Map()
+  for (const param of scope.params ?? []) {
+    for (const name of patternNames(param)) bindings.set(name, false)
+  }
+
+  const visit = (node) => {
+    if (Array.isArray(node)) return node.forEach(visit)
+    if (!node || typeof node !== 'object' || !node.type) return
+    if (node.type === 'FunctionDeclaration' && node.id) bindings.set(node.id.name, true)
+    if (node.type === 'ClassDeclaration' && node.id) bindings.set(node.id.name, false)
+    if (isFunctionNode(node) || node.type === 'ClassDeclaration' || node.type === 'ClassExpression') return
+
+    if (node.type === 'VariableDeclarator') {
+      const isFunction = node.id?.type === 'Identifier' && Boolean(node.init) && isFunctionNode(node.init)
+      for (const name of patternNames(node.id)) bindings.set(name, isFunction)
+    }
+    if (node.type === 'CatchClause') {
+      for (const name of patternNames(node.param)) bindings.set(name, false)
+    }
+
+    for (const key of Object.keys(node)) {
+      if (!SKIP_KEYS.has(key)) visit(node[key])
+    }
+  }
+  visit(scope.body)
+  return bindings
+}
+
+// Identifiers a param or declarator binds: x, { a, b: c }, [d, ...e], f = 1
+function patternNames(pattern) {
+  switch (pattern?.type) {
+    case 'Identifier': return [pattern.name]
+    case 'AssignmentPattern': return patternNames(pattern.left)
+    case 'RestElement': return patternNames(pattern.argument)
+    case 'TSParameterProperty': return patternNames(pattern.parameter)
+    case 'ArrayPattern': return pattern.elements.flatMap(element => patternNames(element))
+    case 'ObjectPattern': return pattern.properties.flatMap(p => patternNames(p.type === 'RestElement' ? p : p.value))
+    default: return []
+  }
+}
+
+// handler.bind(this) hands over `handler` just the same
+function unwrapBind(expr) {
+  if (
+    expr?.type === 'CallExpression' &&
+    expr.callee?.type === 'MemberExpression' &&
+    expr.callee.property?.type === 'Identifier' &&
+    expr.callee.property.name === 'bind'
+  ) {
+    return expr.callee.object
+  }
+  return expr
+}
+
+// --- Export extraction ---
 
 /**
- * Infer a module name from a relative file path.
- * "src/api/handlers/user.ts" -> "api"
- * "utils/format.js" -> "utils"
+ * What the file exports: function or class node -> the names it's exported
+ * under. Only top-level statements count. A name is followed to the function
+ * or class it's bound to, and through wrapper calls — `export default
+ * memo(Card)`, `export const save = wrap(async () => {})`.
+ *
+ *   export function a() {}  export const b = () => {}  export { c, d as e }
+ *   export default f        module.exports = f          module.exports = { g }
+ *   exports.h = h           export = f
+ *
+ * Functions listed in `export default { a }` are exported but can't be
+ * imported by name, so they get no name.
  */
-function inferModule(relPath) {
-  const parts = relPath.split('/')
-  // Skip 'src', 'lib', 'app' as top-level — go one deeper
-  const skip = new Set(['src', 'lib', 'app', 'source'])
-  for (const part of parts) {
-    if (!skip.has(part)) {
-      // Strip extension from final part
-      return part.replace(/\.[^.]+$/, '')
+function collectExports(ast) {
+  const exports = new Map()
+  const locals = new Map()
+  for (const statement of ast.body ?? []) {
+    for (const [name, node] of declaredBindings(statement.declaration ?? statement)) locals.set(name, node)
+  }
+
+  const add = (expr, name) => {
+    const node = exportedTarget(expr, locals)
+    if (!node) return
+    if (!exports.has(node)) exports.set(node, [])
+    if (name !== null) exports.get(node).push(name)
+  }
+
+  for (const statement of ast.body ?? []) {
+    switch (statement.type) {
+      case 'ExportNamedDeclaration':
+        // `export { a } from './b'` — the other file's export, see buildReexportMap
+        if (statement.source) break
+        for (const [name, node] of declaredBindings(statement.declaration)) add(node, name)
+        for (const spec of statement.specifiers ?? []) add(spec.local, moduleExportName(spec.exported))
+        break
+      case 'ExportDefaultDeclaration':
+        if (statement.declaration?.type === 'ObjectExpression') {
+          for (const prop of statement.declaration.properties) {
+            if (prop.type === 'Property') add(prop.value, null)
+          }
+        } else {
+          add(statement.declaration, 'default')
+        }
+        break
+      case 'TSExportAssignment':
+        add(statement.expression, 'default')
+        break
+      case 'ExpressionStatement':
+        collectCommonJsExport(statement.expression, add)
+        break
     }
   }
-  return basename(relPath).replace(/\.[^.]+$/, '')
+  return exports
+}
+
+// module.exports = f | { a, b: f, c() {} }, exports.a = f, module.exports.a = f
+function collectCommonJsExport(expr, add) {
+  if (expr?.type !== 'AssignmentExpression' || !isExportsTarget(expr.left)) return
+  const { left, right } = expr
+  const isModuleExports = left.object?.type === 'Identifier' && left.object.name === 'module'
+
+  if (!isModuleExports) {
+    // exports.a / module.exports.a
+    const name = memberKeyName(left.property)
+    if (name && !left.computed) add(right, name)
+  } else if (right?.type === 'ObjectExpression') {
+    for (const prop of right.properties) {
+      if (prop.type === 'Property' && !prop.computed) add(prop.value, memberKeyName(prop.key))
+    }
+  } else {
+    add(right, 'default')
+  }
+}
+
+// [name, function or class node] for each binding a declaration introduces
+function declaredBindings(decl) {
+  if (!decl) return []
+  if (decl.type === 'FunctionDeclaration' || decl.type === 'ClassDeclaration') {
+    return decl.id ? [[decl.id.name, decl]] : []
+  }
+  if (decl.type === 'VariableDeclaration') {
+    return decl.declarations
+      .filter(d => d.id?.type === 'Identifier' && d.init)
+      .map(d => [d.id.name, d.init])
+  }
+  return []
+}
+
+/**
+ * The function or class an exported expression stands for: itself, what a
+ * local name is bound to, or what a wrapper call wraps — an inline function,
+ * or a component (capitalized name) as in `memo(Card)`. Null for anything
+ * else: a value, an import, `createStore(reducer)`.
+ */
+function exportedTarget(expr, locals, depth = 0) {
+  if (!expr || depth > 4) return null
+  if (isFunctionNode(expr) || expr.type === 'ClassDeclaration' || expr.type === 'ClassExpression') return expr
+  if (expr.type === 'Identifier') return exportedTarget(locals.get(expr.name), locals, depth + 1)
+  if (expr.type === 'TSAsExpression' || expr.type === 'TSSatisfiesExpression') {
+    return exportedTarget(expr.expression, locals, depth + 1)
+  }
+  if (expr.type === 'CallExpression') {
+    const wrapped = expr.arguments?.find(arg =>
+      isFunctionNode(arg) || (arg.type === 'Identifier' && /^[A-Z]/.test(arg.name))
+    )
+    return exportedTarget(wrapped, locals, depth + 1)
+  }
+  return null
+}
+
+// `export { a as "b-c" }` names can be string literals
+function moduleExportName(node) {
+  return node?.type === 'Literal' ? String(node.value) : node?.name ?? null
+}
+
+// --- Event extraction ---
+
+/**
+ * bus.emit('user:created', ...) or bus.on('user:created', handler). Only
+ * string-literal event names are recorded; anything computed can't be paired.
+ */
+function recordEventSite(node, ctx) {
+  const method = extractCalleeName(node.callee)
+  const isEmit = ctx.eventMethods.emitters.includes(method)
+  const isSubscribe = ctx.eventMethods.subscribers.includes(method)
+  if (!isEmit && !isSubscribe) return
+
+  const eventName = literalString(node.arguments?.[0])
+  if (eventName === null) return
+  const line = node.loc?.start.line ?? 0
+
+  if (isEmit) {
+    ctx.events.emits.push({ from: ctx.scopeStack[ctx.scopeStack.length - 1], eventName, file: ctx.filePath, line })
+    return
+  }
+
+  const handler = unwrapBind(node.arguments[1])
+  if (isFunctionNode(handler)) {
+    // Its ID is only known once the walk reaches it
+    ctx.inlineHandlers.set(handler, { eventName, line })
+  } else if (handler?.type === 'Identifier' || (handler?.type === 'MemberExpression' && !handler.computed)) {
+    ctx.events.handlers.push({
+      eventName,
+      handlerId: null,
+      calleeName: extractCalleeName(handler),
+      calleeObject: extractCalleeObject(handler),
+      thisClass: ctx.thisClass,
+      file: ctx.filePath,
+      line,
+    })
+  }
 }
+
+function literalString(node) {
+  if (node?.type === 'Literal' && typeof node.value === 'string') return node.value
+  if (node?.type === 'TemplateLiteral' && node.expressions.length === 0) return node.quasis[0]?.value.cooked ?? null
+  return null
+}
+
+/**
+ * @typedef {Object} ClassInfo
+ * @property {string}      name       - Class name (or binding name for class expressions)
+ * @property {string|null} superName  - Name written after `extends`, if any
+ * @property {string[]}    exportNames - Names the file exports the class under
+ * @property {string}      file       - Absolute file path
+ * @property {string}      relPath
+ * @property {number}      line
+ * @property {Object|null} implicitConstructor - FunctionNode for the default constructor, when the class declares none
+ */
+
+/**
+ * @typedef {{ named: Map<string, { resolvedFile: string, importedName: string }>, star: string[] }} ReexportMap
+ */
+
+/**
+ * @typedef {Object} ParseDiagnostic
+ * @property {string} file        - Path relative to the project root
+ * @property {'failed'|'partial'} status - failed: the file is missing from the graph;
+ *   partial: it parsed only by accepting an invalid construct, so parts may be missing
+ * @property {string} message     - Parser (or read) error
+ * @property {number|null} line
+ * @property {number|null} column - 1-based
+ */
+
+/**
+ * @typedef {{ emits: import('../graph/event-linker.js').RawEmit[], handlers: import('../graph/event-linker.js').RawHandler[] }} FileEvents
+ */
@@ -1,9 +1,11 @@
 /**
- * Cyclomatic complexity calculator.
- * Counts decision points within a function's AST node.
+ * Complexity calculators.
  *
+ * Cyclomatic complexity counts decision points within a function's AST node.
  * Each of these adds 1 to the base complexity of 1:
  *   if / else if / ternary / ?? / && / || / case / catch / loops
+ *
+ * Cognitive complexity (below) weighs those by how deeply they are nested.
  */
 
 const BRANCH_TYPES = new Set([
@@ -55,3 +57,123 @@ function walk(node, _, increment) {
     }
   }
 }
+
+// --- Cognitive complexity ---
+
+/**
+ * SonarSource-style cognitive complexity, plus the deepest nesting reached.
+ *
+ *   +1            if, else if, else, ternary, switch, loops, catch,
+ *                 each run of like logical operators (a && b || c → 2),
+ *                 labelled break/continue, direct recursion
+ *   +nesting      added on top for if, ternary, switch, loops and catch
+ *
+ * A flat switch costs 1 however many cases it has; five nested loops cost
+ * 1+2+3+4+5. Nested functions are measured on their own, as above.
+ *
+ * @param {object} funcNode
+ * @param {string} [name]  the function's own name, to spot recursion
+ * @returns {{ cognitiveComplexity: number, maxNesting: number }}
+ */
+export function computeCognitiveComplexity(funcNode, name) {
+  const state = { score: 0, maxNesting: 0, name }
+  visit(funcNode.body ?? funcNode, 0, state)
+  return { cognitiveComplexity: state.score, maxNesting: state.maxNesting }
+}
+
+const NESTING_TYPES = new Set([
+  'ConditionalExpression',
+  'SwitchStatement',
+  'CatchClause',
+  'WhileStatement',
+  'DoWhileStatement',
+  'ForStatement',
+  'ForInStatement',
+  'ForOfStatement',
+])
+
+function visit(node, nesting, state) {
+  if (!node || typeof node !== 'object' || !node.type) return
+  if (isFunction(node)) return
+
+  if (node.type === 'IfStatement') return visitIf(node, nesting, state, false)
+
+  if (NESTING_TYPES.has(node.type)) {
+    state.score += 1 + nesting
+    state.maxNesting = Math.max(state.maxNesting, nesting + 1)
+    return visitChildren(node, nesting + 1, state)
+  }
+
+  if (node.type === 'LogicalExpression') {
+    const operands = []
+    state.score += operatorRuns(node, operands)
+    for (const operand of operands) visit(operand, nesting, state)
+    return
+  }
+
+  if ((node.type === 'BreakStatement' || node.type === 'ContinueStatement') && node.label) {
+    state.score += 1
+  }
+
+  if (node.type === 'CallExpression' && state.name && node.callee?.type === 'Identifier' && node.callee.name === state.name) {
+    state.score += 1
+  }
+
+  visitChildren(node, nesting, state)
+}
+
+// `else if` continues the chain: +1 with no nesting penalty, and its branches
+// sit at the same depth as the original `if`
+function visitIf(node, nesting, state, isElseIf) {
+  state.score += isElseIf ? 1 : 1 + nesting
+  state.maxNesting = Math.max(state.maxNesting, nesting + 1)
+
+  visit(node.test, nesting, state)
+  visit(node.consequent, nesting + 1, state)
+
+  const alt = node.alternate
+  if (!alt) return
+  if (alt.type === 'IfStatement') return visitIf(alt, nesting, state, true)
+  state.score += 1
+  visit(alt, nesting + 1, state)
+}
+
+/**
+ * Count runs of identical operators in a flattened logical expression and
+ * collect its non-logical operands. The parser drops parentheses, so
+ * `a && (b && c)` reads the same as `a && b && c` — close enough.
+ */
+function operatorRuns(node, operands) {
+  const operators = []
+  const flatten = (n) => {
+    if (n.type === 'LogicalExpression') {
+      flatten(n.left)
+      operators.push(n.operator)
+      flatten(n.right)
+    } else {
+      operands.push(n)
+    }
+  }
+  flatten(node)
+  return operators.filter((op, i) => i === 0 || op !== operators[i - 1]).length
+}
+
+function visitChildren(node, nesting, state) {
+  for (const key of Object.keys(node)) {
+    if (key === 'type' || key === 'loc' || key === 'range' || key === 'parent') continue
+    const child = node[key]
+    if (Array.isArray(child)) {
+      for (const item of child) visit(item, nesting, state)
+    } else {
+      visit(child, nesting, state)
+    }
+  }
+}
+
+function isFunction(node) {
+  return (
+    node.type === 'FunctionExpression' ||
+    node.type === 'ArrowFunctionExpression' ||
+    node.type === 'FunctionDeclaration'
+  )
+}
@@ -0,0 +1,143 @@
+/**
+ * Doc comments — the comment directly above each function, reduced to what
+ * a profile needs: a one-line summary and the @deprecated / @internal /
+ * @public tags.
+ *
+ * "Directly above" means nothing but whitespace, and no blank line, between
+ * the comment and the statement the function is declared in, so the comment above
+ * `export const save = async () => {}` or `static create() {}` belongs to
+ * the function, while the one above `run(() => {})` doesn't belong to the
+ * callback. A run of consecutive `//` lines counts as one comment, and lint
+ * directives (`// eslint-disable-next-line`) in between are looked past.
+ */
+
+// Nodes whose comment belongs to the function they declare or hold
+const DECLARING_TYPES = new Set([
+  'ExportNamedDeclaration', 'ExportDefaultDeclaration',
+  'VariableDeclaration', 'VariableDeclarator',
+  'ExpressionStatement', 'AssignmentExpression',
+  'MethodDefinition', 'PropertyDefinition', 'Property',
+  'TSAbstractMethodDefinition',
+])
+
+const SKIP_KEYS = new Set(['parent', 'loc', 'range', 'tokens', 'comments'])
+
+const DIRECTIVE = /^\s*(?:eslint|prettier-ignore|istanbul|c8|@ts-|tslint|global\s)/
+
+/**
+ * @typedef {Object} DocComment
+ * @property {string|null} summary    - First sentence of the description
+ * @property {string|null} deprecated - null unless @deprecated; its text otherwise ('' if none)
+ * @property {boolean}     internal   - @internal
+ * @property {boolean}     public     - @public
+ */
+
+/**
+ * @param {object} ast   Parsed with `comment: true`
+ * @param {string} code  The source the AST was parsed from
+ * @returns {Map<object, DocComment>}  function AST node -> its doc comment
+ */
+export function collectDocComments(ast, code) {
+  const docs = new Map()
+  const comments = ast.comments ?? []
+  if (comments.length === 0) return docs
+
+  const byEnd = new Map(comments.map(c => [c.range[1], c]))
+  const anchors = new Map()
+  collectAnchors(ast, null, anchors)
+
+  for (const [fn, start] of anchors) {
+    const text = leadingComment(start, code, byEnd)
+    if (text !== null) docs.set(fn, parseDoc(text))
+  }
+  return docs
+}
+
+// --- Internals ---
+
+/**
+ * Function node -> offset of the statement it's declared in. `anchor` is the
+ * start of the outermost declaring node above the current one, if any.
+ */
+function collectAnchors(node, anchor, anchors) {
+  if (!node || typeof node !== 'object') return
+
+  if (node.type === 'FunctionDeclaration' || node.type === 'FunctionExpression' || node.type === 'ArrowFunctionExpression') {
+    anchors.set(node, anchor ?? node.range[0])
+    anchor = null
+  } else if (DECLARING_TYPES.has(node.type)) {
+    anchor ??= node.range[0]
+  } else {
+    anchor = null
+  }
+
+  for (const key of Object.keys(node)) {
+    if (SKIP_KEYS.has(key)) continue
+    const child = node[key]
+    if (Array.isArray(child)) {
+      for (const item of child) {
+        if (item && typeof item === 'object' && item.type) collectAnchors(item, anchor, anchors)
+      }
+    } else if (child && typeof child === 'object' && child.type) {
+      collectAnchors(child, anchor, anchors)
+    }
+  }
+}
+
+/**
+ * Text of the comment ending on the line above `start`, or null. Consecutive line comments are joined; directives are skipped.
+ */
+function leadingComment(start, code, byEnd) {
+  const lines = []
+  let comment = commentBefore(start, code, byEnd)
+  while (comment) {
+    const isDirective = DIRECTIVE.test(comment.value)
+    if (comment.type === 'Block' && !isDirective) {
+      // A block comment ends the run — unless it's the first thing found
+      if (lines.length === 0) return comment.value
+      break
+    }
+    if (!isDirective) lines.unshift(comment.value)
+    comment = commentBefore(comment.range[0], code, byEnd)
+  }
+  return lines.length > 0 ? lines.join('\n') : null
+}
+
+// The comment ending right before `offset`, with at most one line break between
+function commentBefore(offset, code, byEnd) {
+  let i = offset
+  let newlines = 0
+  while (i > 0 && /\s/.test(code[i - 1])) {
+    if (code[i - 1] === '\n') newlines++
+    i--
+  }
+  if (newlines > 1) return null
+  return byEnd.get(i) ?? null
+}
+
+function parseDoc(text) {
+  // Strip the JSDoc gutter: "/**", leading " * " on each line
+  const lines = text.split('\n').map(line => line.replace(/^\s*\*? ?/, '').trimEnd())
+
+  const doc = { summary: null, deprecated: null, internal: false, public: false }
+  const description = []
+  let inTags = false
+
+  for (const line of lines) {
+    const tag = line.match(/^@(\w+)\s*(.*)$/)
+    if (tag) {
+      inTags = true
+      if (tag[1] === 'deprecated') doc.deprecated = tag[2].trim()
+      else if (tag[1] === 'internal') doc.internal = true
+      else if (tag[1] === 'public') doc.public = true
+    } else if (!inTags) {
+      description.push(line.trim())
+    }
+  }
+
+  // First paragraph, cut at its first sentence
+  const paragraph = description.join('\n').trim().split(/\n\s*\n/)[0].replace(/\s*\n\s*/g, ' ')
+  const sentence = paragraph.match(/^.+?[.!?](?=\s|$)/)?.[0] ?? paragraph
+  doc.summary = sentence || null
+  return doc
+}
@@ -5,27 +5,40 @@
  *   - Relative paths: './foo', '../bar/baz'
  *   - Extension inference: .js, .ts, .jsx, .tsx, /index variants
  *   - Named + default imports
+ *   - Re-exports (`export * from`, `export { a as b } from`, `export * as ns from`)
+ *   - Aliases: tsconfig `paths`/`baseUrl` and package.json `imports` (see path-aliases.js)
  *
  * Does NOT handle node_modules — external imports are marked as unresolvable.
  */
 
-import { existsSync } from 'fs'
+import { existsSync, statSync } from 'fs'
 import { resolve, dirname, join } from 'path'
+import { aliasCandidates } from './path-aliases.js'
 
 const EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs']
 
 /**
  * Given a file and an import specifier, return the absolute path of the
  * imported file (or null if it's external/unresolvable).
+ *
+ * @param {string} fromFile
+ * @param {string} specifier
+ * @param {import('./path-aliases.js').PathAliases} [aliases]
  */
-export function resolveImportPath(fromFile, specifier) {
-  if (!specifier.startsWith('.')) return null  // external module
+export function resolveImportPath(fromFile, specifier, aliases) {
+  if (specifier.startsWith('.')) return resolveFile(resolve(dirname(fromFile), specifier))
 
-  const dir = dirname(fromFile)
-  const base = resolve(dir, specifier)
+  // Aliased specifiers — anything that doesn't land on a real file is external
+  for (const base of aliasCandidates(specifier, aliases)) {
+    const file = resolveFile(base)
+    if (file) return file
+  }
+  return null
+}
 
-  // Try exact path first
-  if (existsSync(base)) return base
+function resolveFile(base) {
+  // Try exact path first (directories fall through to /index below)
+  if (existsSync(base) && !isDirectory(base)) return base
 
   // Try adding extensions
   for (const ext of EXTENSIONS) {
@@ -42,19 +55,33 @@ export function resolveImportPath(fromFile, specifier) {
   return null
 }
 
+function isDirectory(p) {
+  try { return statSync(p).isDirectory() } catch { return false }
+}
+
+// Resolve, noting the outcome so a cached parse can check it still holds
+function resolveRecorded(fromFile, specifier, aliases, resolutions) {
+  const resolvedFile = resolveImportPath(fromFile, specifier, aliases)
+  resolutions?.set(specifier, resolvedFile)
+  return resolvedFile
+}
+
 /**
  * Parse the import declarations from an AST and return a map of:
  *   localName -> { resolvedFile, exportedName }
  *
  * This lets us trace: if we see a call to `localName()`, we know it came
  * from `resolvedFile` and was exported as `exportedName`.
+ *
+ * If given, `resolutions` collects specifier -> resolvedFile (or null) for
+ * every specifier looked up.
  */
-export function buildImportMap(ast, fromFile) {
+export function buildImportMap(ast, fromFile, aliases, resolutions) {
   const map = new Map()
 
   for (const node of ast.body ?? []) {
     if (node.type === 'ImportDeclaration') {
-      const resolvedFile = resolveImportPath(fromFile, node.source.value)
+      const resolvedFile = resolveRecorded(fromFile, node.source.value, aliases, resolutions)
       if (!resolvedFile) continue
 
       for (const specifier of node.specifiers) {
@@ -89,7 +116,7 @@ export function buildImportMap(ast, fromFile) {
     ) {
       const arg = node.declarations[0].init.arguments?.[0]
       if (arg?.type !== 'Literal') continue
-      const resolvedFile = resolveImportPath(fromFile, arg.value)
+      const resolvedFile = resolveRecorded(fromFile, arg.value, aliases, resolutions)
       if (!resolvedFile) continue
 
       const decl = node.declarations[0]
@@ -112,3 +139,69 @@ export function buildImportMap(ast, fromFile) {
 
   return map
 }
+
+/**
+ * Parse the re-export declarations from an AST, so barrel files can be
+ * followed to the file that actually defines a name.
+ *
+ * Returns:
+ *   named: exportedName -> { resolvedFile, importedName }
+ *          importedName '*' marks a namespace re-export (export * as ns)
+ *   star:  resolvedFile[] from `export * from '...'`, in source order
+ *
+ * `export { a as b }` without a source is recorded too: it points back at
+ * this file when `a` is local, or at the import's origin when `a` was imported.
+ * `resolutions` is filled as in buildImportMap.
+ */
+export function buildReexportMap(ast, fromFile, importMap, aliases, resolutions) {
+  const named = new Map()
+  const star = []
+
+  for (const node of ast.body ?? []) {
+    if (node.type === 'ExportAllDeclaration') {
+      const resolvedFile = resolveRecorded(fromFile, node.source.value, aliases, resolutions)
+      if (!resolvedFile) continue
+      if (node.exported) {
+        // export * as ns from './foo'
+        named.set(exportName(node.exported), { resolvedFile, importedName: '*' })
+      } else {
+        star.push(resolvedFile)
+      }
+      continue
+    }
+
+    if (node.type !== 'ExportNamedDeclaration' || node.declaration) continue
+
+    if (node.source) {
+      // export { foo as bar } from './foo'
+      const resolvedFile = resolveRecorded(fromFile, node.source.value, aliases, resolutions)
+      if (!resolvedFile) continue
+      for (const specifier of node.specifiers) {
+        named.set(exportName(specifier.exported), {
+          resolvedFile,
+          importedName: exportName(specifier.local),
+        })
+      }
+      continue
+    }
+
+    // export { foo as bar } — foo is either imported or declared here
+    for (const specifier of node.specifiers) {
+      const localName = exportName(specifier.local)
+      const exported = exportName(specifier.exported)
+      const imported = importMap.get(localName)
+      if (imported) {
+        named.set(exported, { resolvedFile: imported.resolvedFile, importedName: imported.exportedName })
+      } else if (localName !== exported) {
+        named.set(exported, { resolvedFile: fromFile, importedName: localName })
+      }
+    }
+  }
+
+  return { named, star }
+}
+
+// Export names may be string literals: export { foo as "foo-bar" }
+function exportName(node) {
+  return node.type === 'Literal' ? String(node.value) : node.name
+}
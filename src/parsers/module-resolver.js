@@ -0,0 +1,204 @@
+/**
+ * Module resolver — decides which module each file belongs to.
+ *
+ * The first of these that applies wins:
+ *   1. `modules.map` in .sociograph.yml — glob -> module name, first match
+ *      wins. A glob matching a directory covers everything beneath it; each
+ *      `*` is captured and can be reused in the name as $1, $2…
+ *   2. The owning workspace package, in workspace mode
+ *   3. `modules.from: codeowners` — the file's first owner in CODEOWNERS
+ *      `modules.from: package`    — the nearest package.json below the root
+ *   4. The first `modules.depth` directories (default 1) of the path, after
+ *      any leading src/, lib/, app/ or source/
+ *
+ *   modules:
+ *     map:
+ *       'src/features/*': 'features/$1'   # src/features/billing/… -> features/billing
+ *       'src/shared':     shared
+ *     depth: 2
+ *     from: codeowners
+ *
+ * Rules are plain JSON (patterns kept as regex source) so they can be handed
+ * to worker threads and hashed into the parse cache key.
+ */
+
+import { readFileSync, existsSync } from 'fs'
+import { join, relative, dirname } from 'path'
+import { glob } from 'glob'
+
+const SKIP_DIRS = new Set(['src', 'lib', 'app', 'source'])
+const CODEOWNERS_PATHS = ['CODEOWNERS', '.github/CODEOWNERS', 'docs/CODEOWNERS']
+
+/**
+ * @typedef {Object} ModuleRules
+ * @property {{ source: string, name: string }[]} map      - Compiled `modules.map` globs, in order
+ * @property {number} depth
+ * @property {{ source: string, owner: string|null }[]} owners - CODEOWNERS rules, in file order
+ * @property {string} ownersPrefix - Path from the CODEOWNERS root to the analyzed root
+ * @property {{ name: string, relDir: string }[]} manifests - package.json files below the root
+ */
+
+/**
+ * @param {string} rootDir
+ * @param {{ map?: Record<string, string>, depth?: number, from?: 'codeowners'|'package'|null }} [config]
+ *   the `modules` section of .sociograph.yml
+ * @returns {Promise<ModuleRules>}
+ */
+export async function loadModuleRules(rootDir, config = {}) {
+  const rules = {
+    map: Object.entries(config.map ?? {}).map(([pattern, name]) => ({
+      source: `^${globSource(pattern.replace(/^\.?\//, '').replace(/\/$/, ''))}(?:/.*)?$`,
+      name: String(name),
+    })),
+    depth: Math.max(1, Number(config.depth) || 1),
+    owners: [],
+    ownersPrefix: '',
+    manifests: [],
+  }
+
+  if (config.from === 'codeowners') {
+    const found = findCodeowners(rootDir)
+    if (found) {
+      rules.owners = parseCodeowners(readFileSync(found.file, 'utf8'))
+      rules.ownersPrefix = relative(found.root, rootDir)
+    }
+  } else if (config.from === 'package') {
+    rules.manifests = await findManifests(rootDir)
+  }
+
+  return rules
+}
+
+/**
+ * @param {string} relPath        File path relative to the analyzed root
+ * @param {ModuleRules} [rules]
+ * @param {string|null} [packageName]  Owning workspace package, in workspace mode
+ * @returns {string}
+ */
+export function moduleForPath(relPath, rules, packageName = null) {
+  for (const { source, name } of rules?.map ?? []) {
+    const match = compiled(source).exec(relPath)
+    if (match) return name.replace(/\$(\d+)/g, (_, i) => match[Number(i)] ?? '')
+  }
+
+  if (packageName) return packageName
+
+  if (rules?.owners.length) {
+    const path = rules.ownersPrefix ? `${rules.ownersPrefix}/${relPath}` : relPath
+    // Last matching CODEOWNERS rule wins
+    for (let i = rules.owners.length - 1; i >= 0; i--) {
+      if (compiled(rules.owners[i].source).test(path)) {
+        if (rules.owners[i].owner) return rules.owners[i].owner
+        break
+      }
+    }
+  }
+
+  if (rules?.manifests.length) {
+    let best = null
+    for (const pkg of rules.manifests) {
+      const inside = relPath.startsWith(`${pkg.relDir}/`)
+      if (inside && (!best || pkg.relDir.length > best.relDir.length)) best = pkg
+    }
+    if (best) return best.name
+  }
+
+  return inferModule(relPath, rules?.depth ?? 1)
+}
+
+// --- Internals ---
+
+const regexCache = new Map()
+
+function compiled(source) {
+  if (!regexCache.has(source)) regexCache.set(source, new RegExp(source))
+  return regexCache.get(source)
+}
+
+/**
+ * The first `depth` directories after any leading src/lib/app/source.
+ * A file shallower than that names its own module (extension stripped).
+ *   "src/api/handlers/user.ts" -> "api" (depth 2: "api/handlers")
+ *   "utils/format.js"          -> "utils"
+ */
+function inferModule(relPath, depth) {
+  const parts = relPath.split('/')
+  let start = 0
+  while (start < parts.length - 1 && SKIP_DIRS.has(parts[start])) start++
+
+  const segments = parts.slice(start, start + depth)
+  if (start + segments.length === parts.length) {
+    segments[segments.length - 1] = segments[segments.length - 1].replace(/\.[^.]+$/, '')
+  }
+  return segments.join('/')
+}
+
+/**
+ * Glob -> regex source. `*` and `?` stay within a path segment (`*` is
+ * captured for $N substitution); `**` spans any number of them.
+ */
+function globSource(pattern) {
+  let source = ''
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i]
+    if (ch === '*' && pattern[i + 1] === '*') {
+      // "**/" may also match nothing at all
+      if (pattern[i + 2] === '/') { source += '(?:.*/)?'; i += 2 } else { source += '.*'; i++ }
+    } else if (ch === '*') {
+      source += '([^/]*)'
+    } else if (ch === '?') {
+      source += '[^/]'
+    } else {
+      source += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    }
+  }
+  return source
+}
+
+function findCodeowners(rootDir) {
+  for (let dir = rootDir; ; dir = dirname(dir)) {
+    for (const candidate of CODEOWNERS_PATHS) {
+      const file = join(dir, candidate)
+      if (existsSync(file)) return { file, root: dir }
+    }
+    if (existsSync(join(dir, '.git')) || dirname(dir) === dir) return null
+  }
+}
+
+/**
+ * CODEOWNERS patterns follow .gitignore rules: a leading or inner `/`
+ * anchors to the root, otherwise the pattern matches at any depth, and a
+ * directory matches everything beneath it.
+ */
+function parseCodeowners(text) {
+  const owners = []
+  for (const line of text.split('\n')) {
+    const trimmed = line.trim()
+    if (!trimmed || trimmed.startsWith('#')) continue
+    const [pattern, owner = null] = trimmed.split(/\s+/)
+
+    const anchored = pattern.replace(/\/$/, '').includes('/')
+    const body = globSource(pattern.replace(/^\//, '').replace(/\/$/, ''))
+    owners.push({
+      source: `^${anchored ? '' : '(?:.*/)?'}${body}${pattern.endsWith('/') ? '/.*' : '(?:/.*)?'}$`,
+      owner,
+    })
+  }
+  return owners
+}
+
+async function findManifests(rootDir) {
+  const files = await glob('**/package.json', { cwd: rootDir, ignore: ['**/node_modules/**'] })
+  const manifests = []
+  for (const file of files) {
+    const relDir = dirname(file)
+    // The root manifest would own everything — leave that to depth inference
+    if (relDir === '.') continue
+    let name = null
+    try {
+      name = JSON.parse(readFileSync(join(rootDir, file), 'utf8')).name
+    } catch { /* unnamed or unreadable */ }
+    manifests.push({ name: name ?? relDir, relDir: relDir.split('\\').join('/') })
+  }
+  return manifests
+}
@@ -0,0 +1,148 @@
+/**
+ * Parse cache — persists walkFile results so unchanged files aren't
+ * re-parsed on every run.
+ *
+ * Cache files: <rootDir>/.sociograph/parse-cache/<ab>/<key>.json
+ * One entry per file, keyed by a hash of its contents, its path relative to
+ * the project root, the parser version and the walk options that shape the
+ * result (workspace packages, module rules, event methods). Paths are stored relative to
+ * the root, so `diff` snapshots checked out in a temporary worktree hit the
+ * same entries as `analyze`.
+ *
+ * Import resolution depends on which other files exist, not just on the
+ * file's own contents. Each entry records what every import specifier
+ * resolved to; an entry whose specifiers now resolve differently (a file was
+ * added, removed or an alias changed) is treated as a miss.
+ *
+ * Entries are never pruned — delete the directory to reclaim space.
+ */
+
+import { readFileSync, writeFileSync, mkdirSync } from 'fs'
+import { createHash } from 'crypto'
+import { join, relative } from 'path'
+import { version as ESTREE_VERSION } from '@typescript-eslint/typescript-estree'
+import { resolveImportPath } from './import-resolver.js'
+
+// Bump whenever walkFile's output changes shape or meaning
+const CACHE_VERSION = 10  // 2: raw calls carry a column; 3: '<module>' nodes; 4: exports; 5: 'instantiate' calls; 6: doc comments; 7: implicit constructors; 8: file nodes measure top-level statements only; 9: no references to params and locals; 10: file nodes leave out exported and function-valued declarations and count only their own lines
+
+/**
+ * Cache key for a file, or null if it can't be read (let the walker report it).
+ *
+ * @param {string} file      Absolute path
+ * @param {string} rootDir
+ * @param {{ aliases?: object }} walkOptions  everything but aliases goes into the key
+ * @returns {string|null}
+ */
+export function cacheKey(file, rootDir, walkOptions) {
+  // Aliases only affect import resolution, which is checked on read instead
+  const { aliases, ...shaping } = walkOptions
+  let source
+  try {
+    source = readFileSync(file)
+  } catch {
+    return null
+  }
+  return createHash('sha1')
+    .update(`${CACHE_VERSION}\0${ESTREE_VERSION}\0${relative(rootDir, file)}\0`)
+    .update(JSON.stringify(shaping))
+    .update('\0')
+    .update(source)
+    .digest('hex')
+}
+
+/**
+ * Read a cached walk result, if present and its imports still resolve the same.
+ *
+ * @param {string} cacheDir
+ * @param {string} key
+ * @param {string} file      Absolute path of the file the entry is for
+ * @param {string} rootDir
+ * @param {import('./path-aliases.js').PathAliases} [aliases]
+ * @returns {object|null}  walkFile's result
+ */
+export function readParseCache(cacheDir, key, file, rootDir, aliases) {
+  let entry
+  try {
+    entry = JSON.parse(readFileSync(entryPath(cacheDir, key), 'utf8'))
+  } catch {
+    return null
+  }
+
+  const abs = p => p === null ? null : join(rootDir, p)
+  for (const [specifier, resolvedFile] of entry.resolutions) {
+    if (resolveImportPath(file, specifier, aliases) !== abs(resolvedFile)) return null
+  }
+  return fromEntry(entry, rootDir)
+}
+
+/**
+ * Write a walk result to the cache (best-effort — silently ignores errors).
+ *
+ * @param {string} cacheDir
+ * @param {string} key
+ * @param {string} rootDir
+ * @param {object} data      walkFile's result
+ */
+export function writeParseCache(cacheDir, key, rootDir, data) {
+  try {
+    const path = entryPath(cacheDir, key)
+    mkdirSync(join(path, '..'), { recursive: true })
+    writeFileSync(path, JSON.stringify(toEntry(data, rootDir)), 'utf8')
+  } catch { /* best effort */ }
+}
+
+// --- Internals ---
+
+function entryPath(cacheDir, key) {
+  return join(cacheDir, key.slice(0, 2), `${key}.json`)
+}
+
+// Absolute paths become root-relative, Maps become entry arrays
+function toEntry(data, rootDir) {
+  const rel = p => p === null ? null : relative(rootDir, p)
+  return {
+    functions:   data.functions.map(fn => ({ ...fn, file: rel(fn.file) })),
+    calls:       data.calls.map(call => ({ ...call, file: rel(call.file) })),
+    classes:     data.classes.map(cls => ({
+      ...cls,
+      file: rel(cls.file),
+      implicitConstructor: cls.implicitConstructor && { ...cls.implicitConstructor, file: rel(cls.implicitConstructor.file) },
+    })),
+    importMap:   [...data.importMap].map(([name, imp]) => [name, { ...imp, resolvedFile: rel(imp.resolvedFile) }]),
+    reexports: {
+      named: [...data.reexports.named].map(([name, exp]) => [name, { ...exp, resolvedFile: rel(exp.resolvedFile) }]),
+      star:  data.reexports.star.map(rel),
+    },
+    events: {
+      emits:    data.events.emits.map(e => ({ ...e, file: rel(e.file) })),
+      handlers: data.events.handlers.map(h => ({ ...h, file: rel(h.file) })),
+    },
+    resolutions: [...data.resolutions].map(([specifier, file]) => [specifier, rel(file)]),
+    diagnostics: data.diagnostics,
+  }
+}
+
+function fromEntry(entry, rootDir) {
+  const abs = p => p === null ? null : join(rootDir, p)
+  return {
+    functions:   entry.functions.map(fn => ({ ...fn, file: abs(fn.file) })),
+    calls:       entry.calls.map(call => ({ ...call, file: abs(call.file) })),
+    classes:     entry.classes.map(cls => ({
+      ...cls,
+      file: abs(cls.file),
+      implicitConstructor: cls.implicitConstructor && { ...cls.implicitConstructor, file: abs(cls.implicitConstructor.file) },
+    })),
+    importMap:   new Map(entry.importMap.map(([name, imp]) => [name, { ...imp, resolvedFile: abs(imp.resolvedFile) }])),
+    reexports: {
+      named: new Map(entry.reexports.named.map(([name, exp]) => [name, { ...exp, resolvedFile: abs(exp.resolvedFile) }])),
+      star:  entry.reexports.star.map(abs),
+    },
+    events: {
+      emits:    entry.events.emits.map(e => ({ ...e, file: abs(e.file) })),
+      handlers: entry.events.handlers.map(h => ({ ...h, file: abs(h.file) })),
+    },
+    resolutions: new Map(entry.resolutions.map(([specifier, file]) => [specifier, abs(file)])),
+    diagnostics: entry.diagnostics,
+  }
+}
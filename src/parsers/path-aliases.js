@@ -0,0 +1,266 @@
+/**
+ * Path aliases — reads the project's alias configuration once so the import
+ * resolver can map non-relative specifiers onto real files.
+ *
+ * Sources (all read from the analyzed root):
+ *   - tsconfig.json / jsconfig.json `compilerOptions.paths` and `baseUrl`,
+ *     following `extends` chains (relative files and node_modules packages)
+ *   - package.json `imports` ("#internal/*" subpath imports)
+ *
+ * The result is plain JSON so it can be handed to worker threads.
+ */
+
+import { readFileSync, existsSync, statSync } from 'fs'
+import { resolve, dirname, join } from 'path'
+
+const CONFIG_FILES = ['tsconfig.json', 'jsconfig.json']
+const MAX_EXTENDS_DEPTH = 10
+
+// Condition keys tried, in order, when a package.json import target is an object
+const CONDITIONS = ['source', 'import', 'node', 'module', 'default', 'require']
+
+/**
+ * @typedef {Object} AliasRule
+ * @property {string}   prefix   - Text before the '*' (or the whole pattern)
+ * @property {string}   suffix   - Text after the '*'
+ * @property {boolean}  wildcard - Whether the pattern contains '*'
+ * @property {string[]} targets  - Absolute target patterns; '*' is substituted
+ */
+
+/**
+ * @typedef {Object} PathAliases
+ * @property {AliasRule[]}  paths    - tsconfig `paths`, most specific first
+ * @property {string|null}  baseUrl  - Absolute tsconfig `baseUrl`
+ * @property {AliasRule[]}  imports  - package.json `imports`, most specific first
+ * @property {AliasRule[]}  packages - Sibling workspace packages (see workspaces.js)
+ */
+
+/**
+ * @param {string} rootDir
+ * @returns {PathAliases}
+ */
+export function loadPathAliases(rootDir) {
+  const aliases = { paths: [], baseUrl: null, imports: [], packages: [] }
+
+  const configFile = CONFIG_FILES.map(f => join(rootDir, f)).find(f => existsSync(f))
+  if (configFile) {
+    const { paths, pathsBase, baseUrl } = readCompilerPaths(configFile, 0)
+    aliases.baseUrl = baseUrl
+    if (paths) aliases.paths = buildAliasRules(paths, baseUrl ?? pathsBase)
+  }
+
+  const pkgFile = join(rootDir, 'package.json')
+  if (existsSync(pkgFile)) {
+    const imports = readJson(pkgFile)?.imports
+    if (imports && typeof imports === 'object') {
+      aliases.imports = buildAliasRules(mapValues(imports, pickTargets), rootDir)
+    }
+  }
+
+  return aliases
+}
+
+/**
+ * Candidate absolute paths (before extension inference) for a non-relative
+ * specifier, in the order they should be tried.
+ *
+ * @param {string} specifier
+ * @param {PathAliases|undefined} aliases
+ * @returns {string[]}
+ */
+export function aliasCandidates(specifier, aliases) {
+  if (!aliases) return []
+
+  if (specifier.startsWith('#')) return applyRules(specifier, aliases.imports)
+
+  const candidates = applyRules(specifier, aliases.paths)
+  candidates.push(...applyRules(specifier, aliases.packages ?? []))
+  if (aliases.baseUrl) candidates.push(resolve(aliases.baseUrl, specifier))
+  return candidates
+}
+
+// --- tsconfig ---
+
+/**
+ * Walk a tsconfig `extends` chain. The nearest config that sets `paths`
+ * or `baseUrl` wins, and each is resolved relative to the file defining it.
+ */
+function readCompilerPaths(configFile, depth) {
+  const config = readJson(configFile) ?? {}
+  const dir = dirname(configFile)
+  const own = config.compilerOptions ?? {}
+
+  let inherited = { paths: null, pathsBase: null, baseUrl: null }
+  if (depth < MAX_EXTENDS_DEPTH) {
+    const parents = Array.isArray(config.extends) ? config.extends : [config.extends]
+    // Later entries in an extends array override earlier ones
+    for (const parent of parents) {
+      const parentFile = typeof parent === 'string' ? resolveExtends(parent, dir) : null
+      if (!parentFile) continue
+      const p = readCompilerPaths(parentFile, depth + 1)
+      inherited = {
+        paths:     p.paths ?? inherited.paths,
+        pathsBase: p.paths ? p.pathsBase : inherited.pathsBase,
+        baseUrl:   p.baseUrl ?? inherited.baseUrl,
+      }
+    }
+  }
+
+  return {
+    paths:     own.paths ?? inherited.paths,
+    pathsBase: own.paths ? dir : inherited.pathsBase,
+    baseUrl:   typeof own.baseUrl === 'string' ? resolve(dir, own.baseUrl) : inherited.baseUrl,
+  }
+}
+
+function resolveExtends(spec, fromDir) {
+  if (spec.startsWith('.') || spec.startsWith('/')) {
+    const base = resolve(fromDir, spec)
+    return [base, `${base}.json`].find(isFile) ?? null
+  }
+
+  // Package: "@tsconfig/node20/tsconfig.json" or "@company/tsconfig"
+  for (let dir = fromDir; ; dir = dirname(dir)) {
+    const base = join(dir, 'node_modules', spec)
+    const hit = [base, `${base}.json`, join(base, 'tsconfig.json')].find(isFile)
+    if (hit) return hit
+    if (dirname(dir) === dir) return null
+  }
+}
+
+// --- Rules ---
+
+/**
+ * Turn a { pattern: target | target[] } map into AliasRules. Targets are
+ * resolved against baseDir.
+ *
+ * @param {Record<string, string|string[]>} patterns
+ * @param {string} baseDir
+ * @returns {AliasRule[]}
+ */
+export function buildAliasRules(patterns, baseDir) {
+  const rules = []
+  for (const [pattern, targets] of Object.entries(patterns)) {
+    const list = (Array.isArray(targets) ? targets : [targets]).filter(t => typeof t === 'string')
+    if (list.length === 0) continue
+    const star = pattern.indexOf('*')
+    rules.push({
+      prefix:   star === -1 ? pattern : pattern.slice(0, star),
+      suffix:   star === -1 ? '' : pattern.slice(star + 1),
+      wildcard: star !== -1,
+      targets:  list.map(t => resolve(baseDir, t)),
+    })
+  }
+  return sortAliasRules(rules)
+}
+
+/**
+ * Exact patterns first, then the longest prefix — the same precedence TypeScript uses.
+ *
+ * @param {AliasRule[]} rules
+ * @returns {AliasRule[]}
+ */
+export function sortAliasRules(rules) {
+  return rules.sort((a, b) => (a.wildcard - b.wildcard) || (b.prefix.length - a.prefix.length))
+}
+
+function applyRules(specifier, rules) {
+  for (const rule of rules) {
+    if (!rule.wildcard) {
+      if (specifier === rule.prefix) return [...rule.targets]
+      continue
+    }
+    if (
+      specifier.length >= rule.prefix.length + rule.suffix.length &&
+      specifier.startsWith(rule.prefix) &&
+      specifier.endsWith(rule.suffix)
+    ) {
+      const captured = specifier.slice(rule.prefix.length, specifier.length - rule.suffix.length)
+      return rule.targets.map(t => t.replace('*', captured))
+    }
+  }
+  return []
+}
+
+/** package.json import/export targets may be strings, arrays, or condition objects. */
+export function pickTargets(value) {
+  if (typeof value === 'string') return [value]
+  if (Array.isArray(value)) return value.flatMap(pickTargets)
+  if (value && typeof value === 'object') {
+    const key = CONDITIONS.find(k => k in value) ?? Object.keys(value)[0]
+    return key ? pickTargets(value[key]) : []
+  }
+  return []
+}
+
+function mapValues(obj, fn) {
+  return Object.fromEntries(Object.entries(obj).map(([k, v]) => [k, fn(v)]))
+}
+
+// --- JSON with comments ---
+
+function readJson(file) {
+  try {
+    return JSON.parse(stripJsonComments(readFileSync(file, 'utf8')))
+  } catch {
+    return null
+  }
+}
+
+/**
+ * tsconfig files allow comments and trailing commas. Strip both, leaving
+ * string contents alone — path patterns like "src/*" look like comment openers.
+ */
+function stripJsonComments(text) {
+  return scanOutsideStrings(scanOutsideStrings(text, skipComment), skipTrailingComma)
+}
+
+// Returns the index to resume from when text[i] starts a comment, else -1
+function skipComment(text, i) {
+  if (text[i] !== '/') return -1
+  if (text[i + 1] === '/') {
+    const end = text.indexOf('\n', i)
+    return end === -1 ? text.length : end
+  }
+  if (text[i + 1] === '*') {
+    const end = text.indexOf('*/', i + 2)
+    return end === -1 ? text.length : end + 2
+  }
+  return -1
+}
+
+// Returns i + 1 when text[i] is a comma directly before '}' or ']', else -1
+function skipTrailingComma(text, i) {
+  if (text[i] !== ',') return -1
+  let j = i + 1
+  while (j < text.length && /\s/.test(text[j])) j++
+  return text[j] === '}' || text[j] === ']' ? i + 1 : -1
+}
+
+function scanOutsideStrings(text, skip) {
+  let out = ''
+  let inString = false
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i]
+
+    if (inString) {
+      out += ch
+      if (ch === '\\') out += text[++i] ?? ''
+      else if (ch === '"') inString = false
+      continue
+    }
+
+    const resume = skip(text, i)
+    if (resume !== -1) { i = resume - 1; continue }
+
+    if (ch === '"') inString = true
+    out += ch
+  }
+
+  return out
+}
+
+function isFile(p) {
+  try { return statSync(p).isFile() } catch { return false }
+}
@@ -0,0 +1,120 @@
+/**
+ * Single-file components — pulls the JavaScript out of .vue, .svelte and
+ * .astro files so the AST walker can treat them like any other module.
+ *
+ * Rather than cutting the script blocks out, everything around them is
+ * blanked to spaces with newlines kept. Lines and columns in the resulting
+ * code match the original file exactly, so function line ranges (and the
+ * git hunks mapped onto them) need no offset bookkeeping.
+ *
+ * Script sources:
+ *   - <script>, <script setup lang="ts">, <script context="module"> …
+ *   - Astro frontmatter (the leading --- fenced block)
+ *
+ * Capitalized tags in the markup (<UserCard />, and <user-card> in Vue) are
+ * returned too, so the component can get render edges to what it uses.
+ */
+
+import { extname } from 'path'
+
+export const COMPONENT_EXTENSIONS = ['.vue', '.svelte', '.astro']
+
+// Attribute values may themselves contain '>' (generic="T extends Map<K, V>")
+const SCRIPT_BLOCK = /<script\b((?:[^>"']|"[^"]*"|'[^']*')*)>([\s\S]*?)<\/script\s*>/gi
+const STYLE_BLOCK  = /<style\b(?:[^>"']|"[^"]*"|'[^']*')*>[\s\S]*?<\/style\s*>/gi
+const HTML_COMMENT = /<!--[\s\S]*?-->/g
+const ASTRO_FRONTMATTER = /^(\s*---\r?\n)([\s\S]*?)\r?\n---/
+const COMPONENT_TAG = /<([A-Z][\w$]*(?:\.[\w$]+)*|[a-z][\w]*(?:-[\w]+)+)[\s/>]/g
+const SCRIPT_TYPES = new Set(['', 'module', 'text/javascript', 'application/javascript', 'text/typescript', 'ts'])
+
+/**
+ * @param {string} filePath
+ * @returns {boolean}
+ */
+export function isComponentFile(filePath) {
+  return COMPONENT_EXTENSIONS.includes(extname(filePath))
+}
+
+/**
+ * @param {string} source    Full component file contents
+ * @param {string} filePath
+ * @returns {{ code: string, templateTags: { name: string, object: string|null, line: number }[] }}
+ */
+export function extractComponentScripts(source, filePath) {
+  const scripts = []  // [start, end) offsets of script content
+
+  if (extname(filePath) === '.astro') {
+    const fm = ASTRO_FRONTMATTER.exec(source)
+    if (fm) scripts.push([fm.index + fm[1].length, fm.index + fm[1].length + fm[2].length])
+  }
+
+  for (const match of source.matchAll(SCRIPT_BLOCK)) {
+    if (!isScriptType(match[1])) continue
+    // Content starts right after `<script` + attributes + `>`
+    const start = match.index + '<script'.length + match[1].length + 1
+    scripts.push([start, start + match[2].length])
+  }
+
+  // Markup is whatever isn't script, style or comment
+  const hidden = [
+    ...scripts,
+    ...[...source.matchAll(STYLE_BLOCK)].map(m => [m.index, m.index + m[0].length]),
+    ...[...source.matchAll(HTML_COMMENT)].map(m => [m.index, m.index + m[0].length]),
+  ]
+  const markup = blank(source, hidden, false)
+
+  return {
+    code: blank(source, scripts, true),
+    templateTags: findComponentTags(markup, extname(filePath) === '.vue'),
+  }
+}
+
+// --- Internals ---
+
+function isScriptType(attrs) {
+  const type = /\btype\s*=\s*["']([^"']*)["']/i.exec(attrs)?.[1] ?? ''
+  return SCRIPT_TYPES.has(type.toLowerCase())
+}
+
+/**
+ * Replace characters with spaces (keeping newlines). With keepInside, the
+ * given ranges survive and everything else is blanked; otherwise the ranges
+ * themselves are blanked.
+ */
+function blank(source, ranges, keepInside) {
+  const inside = new Uint8Array(source.length)
+  for (const [start, end] of ranges) inside.fill(1, start, end)
+
+  let out = ''
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i]
+    const keep = keepInside ? inside[i] === 1 : inside[i] === 0
+    out += keep || ch === '\n' ? ch : ' '
+  }
+  return out
+}
+
+function findComponentTags(markup, kebabCase) {
+  const tags = []
+  let line = 1
+  let scanned = 0
+
+  for (const match of markup.matchAll(COMPONENT_TAG)) {
+    for (; scanned < match.index; scanned++) if (markup[scanned] === '\n') line++
+
+    let name = match[1]
+    if (name.includes('-')) {
+      // <user-card> is <UserCard> in Vue; elsewhere it's a custom element
+      if (!kebabCase) continue
+      name = name.replace(/(^|-)(\w)/g, (_, __, c) => c.toUpperCase())
+    }
+
+    const parts = name.split('.')
+    tags.push({
+      name: parts[parts.length - 1],
+      object: parts.length === 2 ? parts[0] : null,
+      line,
+    })
+  }
+  return tags
+}
@@ -0,0 +1,149 @@
+/**
+ * Workspaces — detects npm/yarn/pnpm monorepo packages under a root.
+ *
+ * Sources:
+ *   - package.json `workspaces` (array, or yarn's { packages: [...] })
+ *   - pnpm-workspace.yaml `packages`
+ *
+ * Each package becomes a set of alias rules so bare imports of a sibling
+ * (`@acme/billing`, `@acme/billing/invoices`) resolve to its source files
+ * rather than being treated as external.
+ */
+
+import { readFileSync, existsSync } from 'fs'
+import { join, relative, dirname } from 'path'
+import { glob } from 'glob'
+import { load } from 'js-yaml'
+import { buildAliasRules, sortAliasRules, pickTargets } from './path-aliases.js'
+
+/**
+ * @typedef {Object} WorkspacePackage
+ * @property {string} name    - package.json `name`
+ * @property {string} dir     - Absolute package directory
+ * @property {string} relDir  - Directory relative to the analyzed root ('' for the root itself)
+ * @property {Record<string, string[]>} rules - Import pattern -> targets relative to dir
+ */
+
+/**
+ * @param {string} rootDir
+ * @returns {Promise<WorkspacePackage[]>}  empty when rootDir is not a workspace root
+ */
+export async function detectWorkspaces(rootDir) {
+  const patterns = workspacePatterns(rootDir)
+  if (patterns.length === 0) return []
+
+  const include = patterns.filter(p => !p.startsWith('!'))
+  const exclude = patterns.filter(p => p.startsWith('!')).map(p => `${trimSlash(p.slice(1))}/package.json`)
+
+  const manifests = await glob(include.map(p => `${trimSlash(p)}/package.json`), {
+    cwd: rootDir,
+    absolute: true,
+    ignore: ['**/node_modules/**', ...exclude],
+  })
+
+  const packages = []
+  for (const manifest of manifests.sort()) {
+    const pkg = readJson(manifest)
+    if (!pkg?.name) continue
+    const dir = dirname(manifest)
+    packages.push({ name: pkg.name, dir, relDir: relative(rootDir, dir), manifest: pkg })
+  }
+
+  return packages.map(({ manifest, ...pkg }) => ({ ...pkg, rules: entryRules(pkg, manifest) }))
+}
+
+/**
+ * Alias rules for every workspace package, ready for PathAliases.packages.
+ *
+ * @param {WorkspacePackage[]} packages
+ * @returns {import('./path-aliases.js').AliasRule[]}
+ */
+export function workspaceAliasRules(packages) {
+  return sortAliasRules(packages.flatMap(pkg => buildAliasRules(pkg.rules, pkg.dir)))
+}
+
+/**
+ * The workspace package owning a project-relative path, or null.
+ * Nested packages win over their parents (longest directory match).
+ *
+ * @param {string} relPath
+ * @param {{ name: string, relDir: string }[]} packages
+ * @returns {string|null}
+ */
+export function packageForPath(relPath, packages) {
+  let best = null
+  for (const pkg of packages ?? []) {
+    const inside = pkg.relDir === '' || relPath === pkg.relDir || relPath.startsWith(`${pkg.relDir}/`)
+    if (inside && (!best || pkg.relDir.length > best.relDir.length)) best = pkg
+  }
+  return best?.name ?? null
+}
+
+// --- Internals ---
+
+function workspacePatterns(rootDir) {
+  const patterns = []
+
+  const pkg = readJson(join(rootDir, 'package.json'))
+  const ws = pkg?.workspaces
+  if (Array.isArray(ws)) patterns.push(...ws)
+  else if (Array.isArray(ws?.packages)) patterns.push(...ws.packages)
+
+  const pnpmFile = join(rootDir, 'pnpm-workspace.yaml')
+  if (existsSync(pnpmFile)) {
+    try {
+      const yaml = load(readFileSync(pnpmFile, 'utf8'))
+      if (Array.isArray(yaml?.packages)) patterns.push(...yaml.packages)
+    } catch { /* malformed — ignore */ }
+  }
+
+  return patterns.filter(p => typeof p === 'string')
+}
+
+/**
+ * Where a package's imports should land. Source locations are tried before
+ * the published entry points, because `main`/`exports` usually point into a
+ * build directory that isn't analyzed.
+ */
+function entryRules(pkg, manifest) {
+  const { exports } = manifest
+  const hasSubpaths = exports && typeof exports === 'object' && Object.keys(exports).some(k => k.startsWith('.'))
+  // `exports` is either a subpath map { ".": ..., "./x": ... } or the "." target itself
+  const rootExport = hasSubpaths ? exports['.'] : exports
+
+  const root = [
+    manifest.source,
+    'src/index',
+    'index',
+    ...pickTargets(rootExport),
+    manifest.module,
+    manifest.main,
+  ].filter(t => typeof t === 'string')
+
+  const rules = {
+    [pkg.name]: root,
+    [`${pkg.name}/*`]: ['src/*', '*'],
+  }
+
+  // Explicit subpath exports: "./utils": "./src/utils.ts"
+  if (hasSubpaths) {
+    for (const [key, value] of Object.entries(exports)) {
+      if (!key.startsWith('./') || key === './package.json') continue
+      rules[`${pkg.name}/${key.slice(2)}`] = pickTargets(value)
+    }
+  }
+
+  return rules
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(readFileSync(file, 'utf8'))
+  } catch {
+    return null
+  }
+}
+
+function trimSlash(p) {
+  return p.replace(/\/+$/, '')
+}
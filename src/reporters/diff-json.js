@@ -14,7 +14,7 @@
  */
 export function report(diffResult, options = {}) {
   const { verbose = false } = options
-  const { beforeRef, afterRef, diffs, summary } = diffResult
+  const { beforeRef, afterRef, diffs, newCycles, summary, diagnostics } = diffResult
 
   const output = diffs.map(d => {
     const entry = {
@@ -45,6 +45,8 @@ export function report(diffResult, options = {}) {
       timestamp: new Date().toISOString(),
     },
     summary,
+    diagnostics: diagnostics ?? { before: [], after: [] },
+    newCycles: newCycles ?? { functions: [], modules: [] },
     diffs: output,
   }, null, 2)
 }
@@ -17,6 +17,8 @@ const ARCHETYPE_COLORS = {
   'The Crisis Point': pc.red,
   'The Codependent':  (s) => pc.magenta(s),
   'The Bridge':       pc.cyan,
+  'The Hot Seat':     pc.red,
+  'The Entangled':    pc.red,
 }
 
 function colorArchetype(label) {
@@ -48,9 +50,28 @@ export function report(diffResult, options = {}) {
   if (summary.added     > 0) parts.push(pc.blue(`${summary.added} new`))
   if (summary.removed   > 0) parts.push(pc.dim(`${summary.removed} removed`))
   if (summary.unchanged > 0) parts.push(pc.dim(`${summary.unchanged} unchanged`))
+  if (summary.newCycles > 0) parts.push(pc.red(`${summary.newCycles} new ${summary.newCycles === 1 ? 'cycle' : 'cycles'}`))
   emit('  ' + (parts.length ? parts.join(pc.dim('  ·  ')) : pc.dim('no notable changes')))
+  const unparsed = diffResult.diagnostics?.after.length ?? 0
+  if (unparsed > 0) {
+    emit('  ' + pc.yellow(`${unparsed} ${unparsed === 1 ? 'file' : 'files'} not fully parsed at ${afterRef}`))
+  }
   emit()
 
+  // ── New cycles ─────────────────────────────────────────────────────────
+  const { newCycles } = diffResult
+  if (newCycles && summary.newCycles > 0) {
+    for (const cycle of newCycles.modules) {
+      emit(`  🔁  ${pc.bold('module cycle')}  ${pc.red(cycle.modules.join(' ⇄ '))}`)
+    }
+    for (const cycle of newCycles.functions) {
+      const where = cycle.crossModule ? pc.red(cycle.modules.join(', ')) : pc.dim(cycle.modules.join(', '))
+      emit(`  🔁  ${pc.bold(`call cycle of ${cycle.members.length}`)}  ${where}`)
+      emit(`       ${pc.dim(truncate(cycle.names.join(' · '), WIDTH - 8))}`)
+    }
+    emit()
+  }
+
   const notable = diffs.filter(d => {
     if (verbose) return true
     // In non-verbose mode, skip new functions with no archetypes and neutral changes
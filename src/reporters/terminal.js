@@ -8,15 +8,22 @@
 import pc from 'picocolors'
 import { archetypeCounts, getByArchetype } from '../analyzers/classifier.js'
 import { ALL_ARCHETYPES } from '../analyzers/archetypes.js'
-import { computeStats } from '../analyzers/stats.js'
+import { computeStats, averageByModule } from '../analyzers/stats.js'
 import { detectClusters } from '../graph/cluster-detector.js'
+import { findMismatches } from '../graph/community-detector.js'
+import { detectCycles } from '../graph/cycle-detector.js'
+import { computePublicApi } from '../analyzers/public-api.js'
 
 const WIDTH = 72
 
 /**
  * @param {import('../graph/call-graph.js').CallGraph} graph
  * @param {Map<string, import('../analyzers/classifier.js').Classification[]>} classifications
- * @param {{ path: string }} options
+ * @param {{ path: string, top?: number, splitRenders?: boolean, api?: boolean, communities?: import('../graph/community-detector.js').CommunityResult|null }} options
+ *   splitRenders — report JSX render edges apart from fi/fo in function blocks
+ *   api — add the per-module public API report (see public-api.js)
+ *   communities — Louvain communities: CLUSTERS uses them (with modularity) in place
+ *   of label propagation, followed by the module vs. community mismatch report
  */
 export function report(graph, classifications, options = {}) {
   const lines = []
@@ -36,9 +43,30 @@ export function report(graph, classifications, options = {}) {
   emit(
     '  ',
     dim(`${summary.functions} functions`), '  ·  ',
+    summary.entryPoints > 0 ? dim(`${summary.entryPoints} ${summary.entryPoints === 1 ? 'entry point' : 'entry points'}`) + pc.dim('  ·  ') : '',
     dim(`${summary.calls} calls`), '  ·  ',
+    summary.references > 0 ? dim(`${summary.references} references`) + pc.dim('  ·  ') : '',
+    summary.events > 0 ? dim(`${summary.events} event links`) + pc.dim('  ·  ') : '',
+    summary.renders > 0 ? dim(`${summary.renders} renders`) + pc.dim('  ·  ') : '',
+    summary.instantiations > 0 ? dim(`${summary.instantiations} instantiations`) + pc.dim('  ·  ') : '',
+    summary.dynamic > 0 ? dim(`${summary.dynamic} dynamic`) + pc.dim('  ·  ') : '',
     dim(`${summary.resolved} resolved`), '  ·  ',
     dim(`${summary.crossModule} cross-module`),
+    graph.packages.length > 0
+      ? pc.dim('  ·  ') + dim(`${graph.packages.length} packages, ${summary.crossPackage} cross-package`)
+      : '',
+    graph.tests
+      ? pc.dim('  ·  ') + dim(`${graph.testReach.size} reached by tests`)
+      : '',
+    graph.callCounts
+      ? pc.dim('  ·  ') + dim(`${[...graph.callCounts.values()].filter(n => n > 0).length} ran ${RUN_SOURCE[graph.callCountsFrom]}`)
+      : '',
+    graph.profile
+      ? pc.dim('  ·  ') + dim(`${Math.round(graph.profile.duration)} ms profiled, ${graph.getFunctionNodes().filter(n => graph.isHot(n.id)).length} hot`)
+      : '',
+    graph.diagnostics.length > 0
+      ? pc.dim('  ·  ') + pc.yellow(`${graph.diagnostics.length} ${graph.diagnostics.length === 1 ? 'file' : 'files'} not fully parsed`)
+      : '',
   )
   emit('  ' + pc.dim('─'.repeat(WIDTH - 2)))
   emit()
@@ -65,7 +93,7 @@ export function report(graph, classifications, options = {}) {
       const show = matches.slice(0, top)
       for (const { nodeId, classification } of show) {
         const node = graph.getNode(nodeId)
-        emitFunctionBlock(emit, node, graph, classification)
+        emitFunctionBlock(emit, node, graph, classification, options)
       }
 
       if (matches.length > top) {
@@ -91,7 +119,21 @@ export function report(graph, classifications, options = {}) {
 
   // ── Clusters ─────────────────────────────────────────────────────────────
 
-  emitClusters(emit, graph, detectClusters(graph))
+  const communities = options.communities ?? null
+  emitClusters(emit, graph, detectClusters(graph, { communities: communities?.communities }), communities)
+  if (communities) emitMismatches(emit, graph, communities, top)
+
+  // ── Cycles ───────────────────────────────────────────────────────────────
+
+  emitCycles(emit, graph, detectCycles(graph), top)
+
+  // ── Packages (workspace mode) ────────────────────────────────────────────
+
+  emitPackageCoupling(emit, graph, top)
+
+  // ── Public API (--api) ───────────────────────────────────────────────────
+
+  if (options.api) emitPublicApi(emit, graph, top)
 
   // ── Social Health ────────────────────────────────────────────────────────
 
@@ -144,8 +186,21 @@ export function report(graph, classifications, options = {}) {
     pc.bold(avgComplexity.toFixed(1)), '  ', complexityLabel
   )
 
-  // Cross-module coupling
-  const couplingRate = summary.calls > 0 ? summary.crossModule / summary.calls : 0
+  // Maintainability (0–100, higher is better)
+  const avgMaintainability = stats.maintainability?.mean ?? 100
+  const maintainabilityLabel = avgMaintainability < 50
+    ? pc.red('hard to maintain')
+    : avgMaintainability < 65
+      ? pc.yellow('moderate')
+      : pc.green('healthy')
+  emit(
+    '  ', pad('Maintainability', 18), bar(avgMaintainability, 100), '  ',
+    pc.bold(avgMaintainability.toFixed(0)), '  ', maintainabilityLabel
+  )
+  emitModuleMaintainability(emit, graph, top)
+
+  // Cross-module coupling — of resolved edges, the only ones that can cross
+  const couplingRate = summary.resolved > 0 ? summary.crossModule / summary.resolved : 0
   const couplingLabel = couplingRate > 0.5
     ? pc.red('high coupling across module boundaries')
     : couplingRate > 0.25
@@ -156,9 +211,23 @@ export function report(graph, classifications, options = {}) {
     pc.bold(`${Math.round(couplingRate * 100)}%`), '  ', couplingLabel
   )
 
+  // Cross-package coupling (workspace mode)
+  if (graph.packages.length > 0) {
+    const packageRate = summary.resolved > 0 ? summary.crossPackage / summary.resolved : 0
+    const packageLabel = packageRate > 0.3
+      ? pc.red('packages lean heavily on each other')
+      : packageRate > 0.15
+        ? pc.yellow('moderate')
+        : pc.green('well-separated')
+    emit(
+      '  ', pad('Cross-package', 18), bar(packageRate, 1), '  ',
+      pc.bold(`${Math.round(packageRate * 100)}%`), '  ', packageLabel
+    )
+  }
+
   // ── Top Risks ────────────────────────────────────────────────────────────
 
-  const risks = computeRisks(graph, classifications)
+  const risks = computeRisks(graph, classifications, stats)
 
   if (risks.length > 0) {
     emit()
@@ -183,20 +252,48 @@ export function report(graph, classifications, options = {}) {
 
 // ── Section helpers ──────────────────────────────────────────────────────────
 
-function emitFunctionBlock(emit, node, graph, classification) {
+// Least maintainable modules first, as a line under the Maintainability bar
+function emitModuleMaintainability(emit, graph, top) {
+  const byModule = [...averageByModule(graph, 'maintainability')]
+  if (byModule.length < 2) return
+
+  const lowest = byModule
+    .sort((a, b) => a[1].mean - b[1].mean)
+    .slice(0, top)
+    .map(([module, { mean }]) => `${module} ${mean.toFixed(0)}`)
+  emit('  ', pad('', 18), pc.dim(`lowest: ${lowest.join(' · ')}`))
+}
+
+function emitFunctionBlock(emit, node, graph, classification, options = {}) {
   if (!node) return
 
   const name    = pc.bold(pc.white(pad(node.name, 28)))
   const loc     = pc.dim(`${node.relPath}:${node.line}`)
   const conf    = pc.dim(`${Math.round(classification.confidence * 100)}%`)
-  const metrics = [
-    `fi=${graph.fanIn(node.id)}`,
-    `fo=${graph.fanOut(node.id)}`,
-    `cx=${node.complexity}`,
-  ].join('  ')
-
-  emit('     ', name, '  ', loc)
-  emit('     ', pc.dim(metrics), '  ', conf)
+
+  const fi = graph.fanIn(node.id)
+  const fo = graph.fanOut(node.id)
+  const metrics = []
+  if (options.splitRenders) {
+    const rendersIn  = graph.fanIn(node.id, ['render'])
+    const rendersOut = graph.fanOut(node.id, ['render'])
+    metrics.push(`fi=${fi - rendersIn}`, `fo=${fo - rendersOut}`)
+    if (rendersIn > 0)  metrics.push(`rendered-by=${rendersIn}`)
+    if (rendersOut > 0) metrics.push(`renders=${rendersOut}`)
+  } else {
+    metrics.push(`fi=${fi}`, `fo=${fo}`)
+  }
+  metrics.push(`cx=${node.complexity}`, `cog=${node.cognitiveComplexity}`, `nest=${node.maxNesting}`)
+  if (graph.tests) metrics.push(`tests=${graph.testReach.get(node.id)?.transitive.length ?? 0}`)
+  if (graph.callCounts) metrics.push(`runs=${graph.runCount(node.id)}`)
+  if (graph.profile) {
+    const { self, total } = graph.timeShare(node.id)
+    metrics.push(`self=${percent(self)}`, `total=${percent(total)}`)
+  }
+
+  emit('     ', name, '  ', loc, node.doc?.deprecated != null ? '  ' + pc.red('deprecated') : '')
+  if (node.doc?.summary) emit('     ', pc.italic(pc.dim(pad(node.doc.summary, WIDTH - 5))))
+  emit('     ', pc.dim(metrics.join('  ')), '  ', conf)
   for (const reason of classification.reasons) {
     emit('     ', pc.dim('• '), pc.dim(reason))
   }
@@ -287,7 +384,7 @@ function emitCompactArchetype(emit, graph, classifications, label, emoji, descri
 
 // ── Cluster display ──────────────────────────────────────────────────────────
 
-function emitClusters(emit, graph, clusters) {
+function emitClusters(emit, graph, clusters, communities) {
   if (clusters.length === 0) return
 
   const multiCount = clusters.filter(c => c.isMultiModule).length
@@ -296,6 +393,7 @@ function emitClusters(emit, graph, clusters) {
   emit(
     '  ', pc.bold('🧩  CLUSTERS'),
     '  ', pc.dim(`(${clusters.length} communities`),
+    communities ? pc.dim(` · modularity ${communities.modularity.toFixed(2)}`) : '',
     multiCount > 0 ? pc.dim(' · ') + pc.yellow(`${multiCount} cross-module`) : '',
     pc.dim(')')
   )
@@ -311,7 +409,8 @@ function emitClusters(emit, graph, clusters) {
       ? pc.yellow(`⚠️  ${moduleStr}`)
       : pc.dim(moduleStr)
 
-    emit('  ', label, '  ', pc.dim(`(${cluster.size} functions)`))
+    const id = cluster.community !== null ? pc.dim(`#${cluster.community}  `) : ''
+    emit('  ', id, label, '  ', pc.dim(`(${cluster.size} functions)`))
 
     const hubNames = cluster.hubs
       .map(id => graph.getNode(id)?.name ?? id)
@@ -329,9 +428,167 @@ function emitClusters(emit, graph, clusters) {
   emit('  ' + pc.dim('─'.repeat(WIDTH - 2)))
 }
 
+// ── Module vs. community ─────────────────────────────────────────────────────
+
+function emitMismatches(emit, graph, communities, top) {
+  const mismatches = findMismatches(graph, communities)
+  if (mismatches.length === 0) return
+
+  emit()
+  emit('  ', pc.bold('🧭  MODULE VS. COMMUNITY'), '  ', pc.dim(`(${mismatches.length} functions)`))
+  emit('  ', pc.dim('Functions that cluster with another module than the directory they live in.'))
+  emit()
+
+  for (const { id, community, communityModule } of mismatches.slice(0, top * 3)) {
+    const node = graph.getNode(id)
+    emit(
+      '     ', pad(node.name, 28), '  ', pc.dim(`${node.relPath}:${node.line}`), '  ',
+      pc.yellow(`→ ${communityModule}`), pc.dim(` (#${community})`)
+    )
+  }
+  if (mismatches.length > top * 3) emit('     ', pc.dim(`… and ${mismatches.length - top * 3} more`))
+
+  emit()
+  emit('  ' + pc.dim('─'.repeat(WIDTH - 2)))
+}
+
+// ── Cycles ───────────────────────────────────────────────────────────────────
+
+function emitCycles(emit, graph, cycles, top) {
+  if (cycles.functions.length === 0 && cycles.modules.length === 0) return
+
+  const crossCount = cycles.functions.filter(c => c.crossModule).length
+
+  emit()
+  emit(
+    '  ', pc.bold('🔁  CYCLES'),
+    '  ', pc.dim(`(${cycles.functions.length} call ${cycles.functions.length === 1 ? 'cycle' : 'cycles'}`),
+    crossCount > 0 ? pc.dim(' · ') + pc.yellow(`${crossCount} cross-module`) : '',
+    cycles.modules.length > 0 ? pc.dim(' · ') + pc.red(`${cycles.modules.length} module ${cycles.modules.length === 1 ? 'cycle' : 'cycles'}`) : '',
+    pc.dim(')')
+  )
+  emit('  ', pc.dim('Functions and modules that reach each other in a loop — none can change alone.'))
+
+  if (cycles.modules.length > 0) {
+    emit()
+    for (const cycle of cycles.modules.slice(0, top)) {
+      emit('     ', pc.red(cycle.modules.join(' ⇄ ')), '  ', pc.dim(`(${cycle.edges} edges)`))
+    }
+    if (cycles.modules.length > top) emit('     ', pc.dim(`… and ${cycles.modules.length - top} more module cycles`))
+  }
+
+  for (const cycle of cycles.functions.slice(0, top)) {
+    emit()
+    const label = cycle.crossModule ? pc.yellow(`⚠️  ${cycle.modules.join(', ')}`) : pc.dim(cycle.modules.join(', '))
+    emit('  ', label, '  ', pc.dim(`(${cycle.nodeIds.length} functions)`))
+
+    const names = cycle.nodeIds.slice(0, 6).map(id => graph.getNode(id)?.name ?? id)
+    const more = cycle.nodeIds.length > 6 ? ` … +${cycle.nodeIds.length - 6}` : ''
+    emit('     ', pc.dim(names.join(' · ') + more))
+  }
+  if (cycles.functions.length > top) {
+    emit()
+    emit('     ', pc.dim(`… and ${cycles.functions.length - top} more call cycles`))
+  }
+
+  emit()
+  emit('  ' + pc.dim('─'.repeat(WIDTH - 2)))
+}
+
+// ── Package coupling ─────────────────────────────────────────────────────────
+
+function emitPackageCoupling(emit, graph, top) {
+  if (graph.packages.length === 0) return
+
+  // "from → to" -> call count, over resolved cross-package edges
+  const pairs = new Map()
+  for (const edge of graph.edges) {
+    if (!edge.crossPackage) continue
+    const key = `${graph.getNode(edge.from).packageName} → ${graph.getNode(edge.to).packageName}`
+    pairs.set(key, (pairs.get(key) ?? 0) + 1)
+  }
+
+  emit()
+  emit(
+    '  ', pc.bold('📦  PACKAGES'),
+    '  ', pc.dim(`(${graph.packages.length} packages · ${pairs.size} dependencies between them)`)
+  )
+  emit('  ', pc.dim('Calls that cross workspace package boundaries.'))
+
+  if (pairs.size === 0) {
+    emit('     ', pc.dim('no cross-package calls found'))
+  } else {
+    emit()
+    const sorted = [...pairs.entries()].sort((a, b) => b[1] - a[1])
+    for (const [pair, count] of sorted.slice(0, top * 2)) {
+      emit('     ', pad(pair, 48), '  ', pc.dim(`${count} call${count === 1 ? '' : 's'}`))
+    }
+    if (sorted.length > top * 2) {
+      emit('     ', pc.dim(`… and ${sorted.length - top * 2} more package pairs`))
+    }
+  }
+
+  emit()
+  emit('  ' + pc.dim('─'.repeat(WIDTH - 2)))
+}
+
+// ── Public API ───────────────────────────────────────────────────────────────
+
+function emitPublicApi(emit, graph, top) {
+  const modules = computePublicApi(graph)
+  const exported = modules.reduce((n, m) => n + m.exported.length, 0)
+  const leaks = modules.reduce((n, m) => n + m.leaks.length, 0)
+
+  emit()
+  emit(
+    '  ', pc.bold('🚪  PUBLIC API'),
+    '  ', pc.dim(`(${modules.length} modules · ${exported} exported`),
+    leaks > 0 ? pc.dim(' · ') + pc.yellow(`${leaks} leaked`) : '',
+    pc.dim(')')
+  )
+  emit('  ', pc.dim('What each module exports, who outside it calls that, and what it leaks.'))
+
+  const names = ids => [...new Set(ids.map(id => graph.getNode(id)?.module ?? id))].join(', ')
+
+  for (const api of modules.slice(0, top * 2)) {
+    emit()
+    emit(
+      '  ', pc.bold(api.module), '  ',
+      pc.dim(`${api.exported.length} exported · ${api.usedExports} used outside`),
+      api.leaks.length > 0 ? pc.dim(' · ') + pc.yellow(`${api.leaks.length} leaked`) : '',
+    )
+
+    for (const { id, callers } of api.exported.filter(e => e.callers.length > 0).slice(0, top)) {
+      const node = graph.getNode(id)
+      emit(
+        '     ', pc.dim('→ '), pad(node.name, 28), '  ',
+        pc.dim(`${callers.length} caller${callers.length === 1 ? '' : 's'} from ${names(callers)}`)
+      )
+    }
+    for (const { id, callers } of api.leaks.slice(0, top)) {
+      const node = graph.getNode(id)
+      emit(
+        '     ', pc.yellow('⚠ '), pad(node.name, 28), '  ',
+        pc.dim(`${node.relPath}:${node.line}`), '  ',
+        pc.yellow(`not exported, called from ${names(callers)}`)
+      )
+    }
+    const hidden = Math.max(0, api.usedExports - top) + Math.max(0, api.leaks.length - top)
+    if (hidden > 0) emit('     ', pc.dim(`… and ${hidden} more`))
+  }
+
+  if (modules.length > top * 2) {
+    emit()
+    emit('     ', pc.dim(`… and ${modules.length - top * 2} more modules`))
+  }
+
+  emit()
+  emit('  ' + pc.dim('─'.repeat(WIDTH - 2)))
+}
+
 // ── Risk computation ─────────────────────────────────────────────────────────
 
-function computeRisks(graph, classifications) {
+function computeRisks(graph, classifications, stats) {
   const risks = []
 
   // Single points of failure
@@ -340,11 +597,12 @@ function computeRisks(graph, classifications) {
     const node = graph.getNode(nodeId)
     if (!node) continue
     const fi = graph.fanIn(nodeId)
+    const exposed = exposure(graph, nodeId)
     risks.push({
       name: node.name,
       location: `${node.relPath}:${node.line}`,
-      reason: `${fi} dependents — removing or breaking this will cascade broadly`,
-      score: classification.confidence * fi,
+      reason: `${fi} dependents — removing or breaking this will cascade broadly${exposed ? `, and ${exposed}` : ''}`,
+      score: classification.confidence * fi * (exposed ? 2 : 1),
     })
   }
 
@@ -363,11 +621,12 @@ function computeRisks(graph, classifications) {
     const node = graph.getNode(nodeId)
     if (!node) continue
     if (risks.some(r => r.name === node.name)) continue  // already listed
+    const exposed = exposure(graph, nodeId)
     risks.push({
       name: node.name,
       location: `${node.relPath}:${node.line}`,
-      reason: `complexity ${node.complexity}, ${node.params} params — prime candidate for decomposition`,
-      score: node.complexity * node.params,
+      reason: `complexity ${node.complexity}, ${node.params} params — prime candidate for decomposition${exposed ? `, and ${exposed}` : ''}`,
+      score: node.complexity * node.params * (exposed ? 2 : 1),
     })
   }
 
@@ -396,11 +655,13 @@ function computeRisks(graph, classifications) {
   for (const { nodeId, classification } of crisisPoints.slice(0, 2)) {
     const node = graph.getNode(nodeId)
     if (!node || risks.some(r => r.name === node.name)) continue
+    const exposed = exposure(graph, nodeId)
     risks.push({
       name: node.name,
       location: `${node.relPath}:${node.line}`,
-      reason: classification.reasons[0],
-      score: classification.confidence * 100,
+      reason: classification.reasons[0] + (exposed ? ` — and ${exposed}` : ''),
+      // A fire magnet with nothing to catch the next fire goes first
+      score: classification.confidence * 100 + (exposed ? 1000 : 0),
     })
   }
 
@@ -434,9 +695,55 @@ function computeRisks(graph, classifications) {
     }
   }
 
+  // Hot seats — performance work and dependents collide
+  const hotSeats = getByArchetype(classifications, 'The Hot Seat')
+  for (const { nodeId } of hotSeats.slice(0, 2)) {
+    const node = graph.getNode(nodeId)
+    if (!node || risks.some(r => r.name === node.name)) continue
+    const fi = graph.fanIn(nodeId)
+    const { self, total } = graph.timeShare(nodeId)
+    risks.push({
+      name: node.name,
+      location: `${node.relPath}:${node.line}`,
+      reason: `${percent(total)} of CPU time runs through it and ${fi} functions depend on it — optimise with care`,
+      score: fi * (1 + Math.max(self * 4, total)) * 2,
+    })
+  }
+
+  // Deprecated but still leaned on — the migration hasn't happened
+  const deprecatedThreshold = Math.max(3, stats.fanIn?.p75 ?? 0)
+  const stillUsed = graph.getFunctionNodes()
+    .filter(node => node.doc?.deprecated != null && graph.fanIn(node.id) >= deprecatedThreshold)
+    .sort((a, b) => graph.fanIn(b.id) - graph.fanIn(a.id))
+    .slice(0, 2)
+  for (const node of stillUsed) {
+    if (risks.some(r => r.name === node.name)) continue
+    const fi = graph.fanIn(node.id)
+    const note = node.doc.deprecated ? ` (${node.doc.deprecated})` : ''
+    risks.push({
+      name: node.name,
+      location: `${node.relPath}:${node.line}`,
+      reason: `deprecated${note} but still has ${fi} dependents`,
+      score: fi * 5,
+    })
+  }
+
   return risks.sort((a, b) => b.score - a.score).slice(0, 5)
 }
 
+// Where graph.callCounts came from, as the end of a sentence
+const RUN_SOURCE = { trace: 'in the trace', coverage: 'under coverage' }
+
+/**
+ * Why a regression here would go unnoticed, or null: no test reaches it, or
+ * it never ran in the trace / under coverage. Risks that have one weigh double.
+ */
+function exposure(graph, nodeId) {
+  if (graph.isUntested(nodeId)) return 'no test reaches it'
+  if (graph.isUnexecuted(nodeId)) return `it never ran ${RUN_SOURCE[graph.callCountsFrom]}`
+  return null
+}
+
 // ── Utilities ────────────────────────────────────────────────────────────────
 
 function bar(value, max, width = 10) {
@@ -455,4 +762,9 @@ function pad(str, length) {
 
 function dim(s) { return pc.dim(s) }
 
+// A 0–1 share of profiled time
+function percent(share) {
+  return `${(share * 100).toFixed(share < 0.1 ? 1 : 0)}%`
+}
+
 function clamp(v) { return Math.min(1, Math.max(0, v)) }
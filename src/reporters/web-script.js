@@ -14,28 +14,67 @@ export function getAppScript() {
     'The Ghost':        '#4b5563',
     'The Crisis Point': '#dc2626',
     'The Codependent':  '#ec4899',
+    'The Hot Seat':     '#fb7185',
+    'The Entangled':    '#e11d48',
     __normal__:         '#3b82f6',
   }
 
+  // One colour per community, cycled
+  const COMMUNITY_COLORS = [
+    '#60a5fa', '#f472b6', '#34d399', '#fbbf24', '#a78bfa', '#f87171',
+    '#22d3ee', '#a3e635', '#fb923c', '#e879f9', '#2dd4bf', '#facc15',
+  ]
+  let colorBy = 'archetype'
+
   function nodeColor(d) {
+    if (colorBy === 'community') {
+      const community = DATA.communities[d.id]
+      return community >= 0 ? COMMUNITY_COLORS[community % COMMUNITY_COLORS.length] : COLORS.__normal__
+    }
     return d.archetypes.length > 0
       ? (COLORS[d.archetypes[0].label] ?? COLORS.__normal__)
       : COLORS.__normal__
   }
 
+  // '<module>' says nothing on its own — show whose top-level code it is
+  function displayName(d) {
+    return d.kind === 'module' ? d.relPath.split('/').pop() + ' (top level)' : d.name
+  }
+
+  // Sized by CPU time share when profiled, by connections otherwise
   function nodeRadius(d) {
+    if (meta.profiled) return Math.max(4, Math.min(26, 4 + Math.sqrt(d.cpu ? d.cpu.total : 0) * 22))
     return Math.max(4, Math.min(22, 4 + Math.sqrt(d.fanIn + d.fanOut) * 1.8))
   }
 
+  function percent(share) {
+    return (share * 100).toFixed(share < 0.1 ? 1 : 0) + '%'
+  }
+
   // ── Bootstrap ───────────────────────────────────────────
-  const { nodes, edges, meta, modules, summary } = DATA
+  const { nodes, edges, meta, modules, summary, diagnostics } = DATA
 
   // Toolbar stats
   document.getElementById('toolbar-title').innerHTML =
     'SOCIOGRAPH &nbsp;' + '<span>' + (meta.path || '.') + '</span>'
+  const renderEdgeCount = meta.splitRenders ? edges.filter(e => e.kind === 'render').length : 0
   document.getElementById('toolbar-stats').textContent =
-    nodes.length + ' nodes · ' + edges.length + ' edges' +
-    (meta.truncated ? '  (top ' + nodes.length + ' of ' + meta.totalFunctions + ')' : '')
+    nodes.length + ' nodes · ' + (edges.length - renderEdgeCount) + ' edges' +
+    (meta.splitRenders ? ' · ' + renderEdgeCount + ' renders' : '') +
+    (meta.truncated ? '  (top ' + nodes.length + ' of ' + meta.totalFunctions + ')' : '') +
+    (meta.modularity !== null ? ' · modularity ' + meta.modularity.toFixed(2) : '') +
+    (diagnostics.length ? ' · ' + diagnostics.length + ' files not fully parsed' : '')
+
+  // Render edges counted apart — reveal their profile metrics
+  if (meta.splitRenders) {
+    document.querySelectorAll('.render-metric').forEach(el => { el.style.display = '' })
+  }
+  if (meta.runsFrom) {
+    document.querySelectorAll('.trace-metric').forEach(el => { el.style.display = '' })
+  }
+  if (meta.profiled) {
+    document.querySelectorAll('.profile-metric').forEach(el => { el.style.display = '' })
+  }
 
   // ── Build archetype filter buttons ─────────────────────
   const archetypeCounts = {}
@@ -169,13 +208,13 @@ export function getAppScript() {
   const edgeSel = edgeGroup.selectAll('.edge')
     .data(edges)
     .join('line')
-    .attr('class', d => 'edge' + (d.crossModule ? ' cross-module' : ''))
+    .attr('class', d => 'edge' + (d.crossModule ? ' cross-module' : '') + (d.kind !== 'call' ? ' ' + d.kind : '') + (d.cycle ? ' cycle' : ''))
 
   // ── Nodes ────────────────────────────────────────────────
   const nodeWrap = nodeGroup.selectAll('.node-wrap')
     .data(nodes)
     .join('g')
-    .attr('class', 'node-wrap')
+    .attr('class', d => 'node-wrap' + (d.kind === 'module' ? ' entry-point' : d.runs === 0 ? ' unexecuted' : '') + (d.cycle ? ' in-cycle ' + d.cycle : ''))
     .call(d3.drag()
       .on('start', (e, d) => { if (!e.active) simulation.alphaTarget(0.2).restart(); d.fx = d.x; d.fy = d.y })
       .on('drag',  (e, d) => { d.fx = e.x; d.fy = e.y })
@@ -201,7 +240,10 @@ export function getAppScript() {
     .attr('class', 'node-label')
     .attr('dx', d => nodeRadius(d) + 3)
     .attr('dy', '0.35em')
-    .text(d => d.name.length > 22 ? d.name.slice(0, 21) + '…' : d.name)
+    .text(d => {
+      const name = displayName(d)
+      return name.length > 22 ? name.slice(0, 21) + '…' : name
+    })
 
   // ── Tick ─────────────────────────────────────────────────
   function ticked() {
@@ -262,9 +304,26 @@ export function getAppScript() {
     const profile = document.getElementById('profile')
     profile.classList.add('visible')
 
-    document.getElementById('profile-name').textContent = d.name
+    document.getElementById('profile-name').textContent = displayName(d)
     document.getElementById('profile-location').textContent =
-      d.relPath + ':' + d.line
+      d.relPath + ':' + d.line + (d.exported ? ' · exported' : '') + (d.runs === 0 && d.kind !== 'module' ? ' · never ran' : '')
+
+    // Doc comment: tags, then the summary line
+    const docEl = document.getElementById('profile-doc')
+    docEl.innerHTML = ''
+    if (d.doc) {
+      const tags = []
+      if (d.doc.deprecated !== null) tags.push(['deprecated', d.doc.deprecated ? 'deprecated: ' + d.doc.deprecated : 'deprecated'])
+      if (d.doc.internal) tags.push(['internal', 'internal'])
+      if (d.doc.public) tags.push(['public', 'public'])
+      for (const [cls, text] of tags) {
+        const tag = document.createElement('span')
+        tag.className = 'doc-tag ' + cls
+        tag.textContent = text
+        docEl.appendChild(tag)
+      }
+      if (d.doc.summary) docEl.appendChild(document.createTextNode(d.doc.summary))
+    }
 
     // Archetypes
     const badgeContainer = document.getElementById('profile-archetypes')
@@ -272,7 +331,9 @@ export function getAppScript() {
     const reasonContainer = document.getElementById('archetype-reasons')
     reasonContainer.innerHTML = ''
 
-    if (d.archetypes.length === 0) {
+    if (d.kind === 'module') {
+      badgeContainer.innerHTML = '<span style="color:var(--text-dim);font-size:11px">Entry point — code run when the file loads</span>'
+    } else if (d.archetypes.length === 0) {
       badgeContainer.innerHTML = '<span style="color:var(--text-dim);font-size:11px">No archetype — normal function</span>'
     } else {
       for (const a of d.archetypes) {
@@ -297,10 +358,21 @@ export function getAppScript() {
     // Metrics
     document.getElementById('m-fanin').textContent    = d.fanIn
     document.getElementById('m-fanout').textContent   = d.fanOut
+    if (meta.splitRenders) {
+      document.getElementById('m-renderin').textContent  = d.renderIn
+      document.getElementById('m-renderout').textContent = d.renderOut
+    }
     document.getElementById('m-cx').textContent       = d.complexity
+    document.getElementById('m-cog').textContent      = d.cognitiveComplexity
+    document.getElementById('m-nest').textContent     = d.maxNesting
     document.getElementById('m-loc').textContent      = d.linesOfCode
     document.getElementById('m-params').textContent   = d.params
     document.getElementById('m-module').textContent   = d.module || '—'
+    if (meta.runsFrom) document.getElementById('m-runs').textContent = d.runs ?? '—'
+    if (meta.profiled) {
+      document.getElementById('m-cpu-self').textContent  = d.cpu ? percent(d.cpu.self) : '—'
+      document.getElementById('m-cpu-total').textContent = d.cpu ? percent(d.cpu.total) : '—'
+    }
 
     // Git metrics
     const gitSection = document.getElementById('profile-git')
@@ -318,6 +390,33 @@ export function getAppScript() {
       gitSection.style.display = 'none'
     }
 
+    // Test reach (only with a test layer)
+    const testSection = document.getElementById('profile-tests')
+    if (d.testReach && d.kind !== 'module') {
+      testSection.style.display = ''
+      document.getElementById('t-direct').textContent     = d.testReach.direct.length
+      document.getElementById('t-transitive').textContent = d.testReach.transitive.length
+      const fileList = document.getElementById('t-files')
+      fileList.innerHTML = ''
+      if (d.testReach.transitive.length === 0) {
+        fileList.innerHTML = '<div class="test-file untested">no test reaches it</div>'
+      }
+      for (const file of d.testReach.transitive.slice(0, 6)) {
+        const item = document.createElement('div')
+        item.className = 'test-file'
+        item.textContent = (d.testReach.direct.includes(file) ? '→ ' : '⋯ ') + file
+        fileList.appendChild(item)
+      }
+      if (d.testReach.transitive.length > 6) {
+        const more = document.createElement('div')
+        more.className = 'test-file'
+        more.textContent = '+ ' + (d.testReach.transitive.length - 6) + ' more'
+        fileList.appendChild(more)
+      }
+    } else {
+      testSection.style.display = 'none'
+    }
+
     // Connections
     const callerList = document.getElementById('caller-list')
     const calleeList = document.getElementById('callee-list')
@@ -366,6 +465,11 @@ export function getAppScript() {
   document.getElementById('btn-zoom-out').addEventListener('click', () =>
     svg.transition().call(zoom.scaleBy, 0.7))
   document.getElementById('btn-fit').addEventListener('click', fitView)
+  document.getElementById('btn-colour').addEventListener('click', function () {
+    colorBy = colorBy === 'archetype' ? 'community' : 'archetype'
+    this.title = colorBy === 'archetype' ? 'Colour by community' : 'Colour by archetype'
+    circles.attr('fill', d => nodeColor(d))
+  })
 
   function fitView() {
     const visNodes = nodes.filter(n => !isNaN(n.x))
@@ -182,6 +182,21 @@ html, body {
   color: var(--text-muted);
 }
 
+#profile-doc {
+  font-size: 12px;
+  font-style: italic;
+  color: var(--text-muted);
+  margin-top: 6px;
+}
+#profile-doc:empty { display: none; }
+#profile-doc .doc-tag {
+  font-style: normal;
+  font-size: 10px;
+  margin-right: 6px;
+  color: var(--text-muted);
+}
+#profile-doc .doc-tag.deprecated { color: #f87171; }
+
 #profile-archetypes {
   display: flex;
   flex-wrap: wrap;
@@ -233,11 +248,21 @@ html, body {
 .metric-label { font-size: 10px; color: var(--text-muted); text-transform: uppercase; letter-spacing: 0.05em; }
 .metric-value { font-size: 15px; font-weight: 600; color: var(--text); }
 
-#profile-git {
+#profile-git, #profile-tests {
   padding: 12px 16px;
   border-bottom: 1px solid var(--border);
 }
 
+.test-file {
+  font-size: 11px;
+  color: var(--text-muted);
+  padding: 2px 0;
+  overflow: hidden;
+  white-space: nowrap;
+  text-overflow: ellipsis;
+}
+.test-file.untested { color: #f87171; }
+
 .git-label {
   font-size: 10px;
   color: var(--text-muted);
@@ -308,6 +333,12 @@ html, body {
 }
 
 .edge.cross-module { stroke: rgba(255,255,255,0.14); }
+.edge.reference { stroke-dasharray: 3 3; }
+.edge.event { stroke: rgba(251,191,36,0.25); stroke-dasharray: 1 3; }
+.edge.render { stroke: rgba(96,165,250,0.22); }
+.edge.instantiate { stroke: rgba(52,211,153,0.25); stroke-dasharray: 6 2; }
+.edge.dynamic { stroke: rgba(251,146,60,0.3); stroke-dasharray: 1 3; }
+.edge.cycle { stroke: rgba(244,63,94,0.45); stroke-width: 1.5; }
 
 .node-circle {
   stroke: rgba(255,255,255,0.2);
@@ -316,6 +347,13 @@ html, body {
   cursor: pointer;
 }
 
+.entry-point .node-circle { stroke: rgba(255,255,255,0.6); stroke-dasharray: 2 2; }
+/* Never ran in the trace / under coverage */
+.unexecuted .node-circle { fill-opacity: 0.35; stroke: rgba(248,113,113,0.7); stroke-dasharray: 1 2; }
+/* In a call cycle; brighter when it crosses modules */
+.in-cycle .node-circle { stroke: rgba(244,63,94,0.55); stroke-width: 1.5; }
+.in-cycle.cross .node-circle { stroke: rgba(244,63,94,0.95); stroke-width: 2; }
+
 .node-label {
   fill: rgba(255,255,255,0.65);
   font-size: 9px;
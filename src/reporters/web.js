@@ -10,6 +10,7 @@
 
 import { getStyles } from './web-styles.js'
 import { getAppScript } from './web-script.js'
+import { detectCycles } from '../graph/cycle-detector.js'
 
 // How many nodes to display before truncating (progressive caps by codebase size)
 const NODE_CAPS = [
@@ -37,11 +38,14 @@ function importance(node, graph, classificationList) {
 }
 
 /**
- * Detect communities via a simple greedy module-based fallback.
- * We try graphology-communities-louvain if available; otherwise assign
- * community = module name (string, which we'll stable-index).
+ * Community id per node, for colouring: the Louvain communities when given
+ * (the same ids the terminal report shows), otherwise one per module.
  */
-async function detectCommunities(nodes) {
+function communityIds(nodes, communities) {
+  if (communities) {
+    return Object.fromEntries(nodes.map(node => [node.id, communities.communities.get(node.id) ?? -1]))
+  }
+
   // Build a simple module → integer index map
   const moduleIndex = new Map()
   let nextIdx = 0
@@ -75,11 +79,24 @@ function serializeGitMetrics(gitMetrics, nodeIds) {
   return out
 }
 
+/**
+ * Fan-in/out for the payload. With splitRenders, JSX render edges are
+ * counted apart as renderIn/renderOut instead of inside fanIn/fanOut.
+ */
+function fanCounts(node, graph, splitRenders) {
+  const fanIn  = graph.fanIn(node.id)
+  const fanOut = graph.fanOut(node.id)
+  if (!splitRenders) return { fanIn, fanOut }
+  const renderIn  = graph.fanIn(node.id, ['render'])
+  const renderOut = graph.fanOut(node.id, ['render'])
+  return { fanIn: fanIn - renderIn, fanOut: fanOut - renderOut, renderIn, renderOut }
+}
+
 /**
  * Build the full graph payload for the web reporter.
  */
 export async function buildGraphPayload(graph, classifications, options = {}) {
-  const { gitMetrics, path: displayPath = '.' } = options
+  const { gitMetrics, path: displayPath = '.', splitRenders = false, communities: louvain = null } = options
 
   const allNodes = graph.getAllNodes()
   const cap = nodeCap(allNodes.length)
@@ -95,6 +112,8 @@ export async function buildGraphPayload(graph, classifications, options = {}) {
   const kept = scored.slice(0, cap).map(s => s.node)
   const keptIds = new Set(kept.map(n => n.id))
 
+  const { byNode: cycleOf } = detectCycles(graph)
+
   // Build node list — field names must match what web-script.js expects
   const nodes = kept.map(node => {
     const cls = classifications.get(node.id) ?? []
@@ -102,14 +121,26 @@ export async function buildGraphPayload(graph, classifications, options = {}) {
     return {
       id:          node.id,
       name:        node.name,
+      kind:        node.kind,
+      exported:    node.exported ?? false,
+      doc:         node.doc ?? null,
       relPath:     node.relPath,   // script uses d.relPath
       module:      node.module,
       line:        node.line,
-      fanIn:       graph.fanIn(node.id),
-      fanOut:      graph.fanOut(node.id),
+      ...fanCounts(node, graph, splitRenders),
       complexity:  node.complexity,
+      cognitiveComplexity: node.cognitiveComplexity,
+      maxNesting:  node.maxNesting,
       linesOfCode: node.linesOfCode,  // script uses d.linesOfCode
       params:      node.params,
+      // Test files reaching it (null without a test layer)
+      testReach:   graph.tests ? (graph.testReach.get(node.id) ?? { direct: [], transitive: [] }) : null,
+      // Times it ran in the trace or under coverage (null without either)
+      runs:        graph.runCount(node.id),
+      // Shares of profiled CPU time, { self, total } (null without profiles)
+      cpu:         graph.timeShare(node.id),
+      // In a call cycle: null, 'module' (within one) or 'cross' (across modules)
+      cycle:       cycleOf.has(node.id) ? (cycleOf.get(node.id).crossModule ? 'cross' : 'module') : null,
       archetypes:  cls.map(c => ({
         label:       c.label,
         emoji:       c.emoji,
@@ -136,10 +167,14 @@ export async function buildGraphPayload(graph, classifications, options = {}) {
     .map(e => ({
       source:      e.from,
       target:      e.to,
+      kind:        e.kind,
+      strategy:    e.strategy,
       crossModule: e.crossModule,
+      // Both ends in the same call cycle
+      cycle:       e.from !== e.to && cycleOf.has(e.from) && cycleOf.get(e.from) === cycleOf.get(e.to),
     }))
 
-  const communities = await detectCommunities(kept)
+  const communities = communityIds(kept, louvain)
 
   const git = serializeGitMetrics(gitMetrics, keptIds)
 
@@ -158,12 +193,17 @@ export async function buildGraphPayload(graph, classifications, options = {}) {
       renderedFunctions: kept.length,
       totalEdges:        graph.edges.length,
       truncated,
+      splitRenders,
+      runsFrom:          graph.callCountsFrom,
+      profiled:          graph.profile !== null,
+      modularity:        louvain?.modularity ?? null,
     },
     nodes,
     edges,
     communities,
     git,
     archetypeCounts,
+    diagnostics: graph.diagnostics,
   }
 }
 
@@ -195,6 +235,7 @@ export async function report(graph, classifications, options = {}) {
     <svg id="graph"></svg>
     <div id="graph-controls">
       <button class="graph-btn" id="btn-fit" title="Fit view">⊡</button>
+      <button class="graph-btn" id="btn-colour" title="Colour by community">◐</button>
       <button class="graph-btn" id="btn-zoom-in" title="Zoom in">+</button>
       <button class="graph-btn" id="btn-zoom-out" title="Zoom out">−</button>
     </div>
@@ -208,6 +249,7 @@ export async function report(graph, classifications, options = {}) {
       <div id="profile-header">
         <div id="profile-name"></div>
         <div id="profile-location"></div>
+        <div id="profile-doc"></div>
       </div>
       <div id="profile-archetypes"></div>
       <div class="archetype-reasons">
@@ -216,10 +258,17 @@ export async function report(graph, classifications, options = {}) {
       <div id="profile-metrics">
         <div class="metric-item"><div class="metric-label">Fan-in</div><div class="metric-value" id="m-fanin">—</div></div>
         <div class="metric-item"><div class="metric-label">Fan-out</div><div class="metric-value" id="m-fanout">—</div></div>
+        <div class="metric-item render-metric" style="display:none"><div class="metric-label">Rendered by</div><div class="metric-value" id="m-renderin">—</div></div>
+        <div class="metric-item render-metric" style="display:none"><div class="metric-label">Renders</div><div class="metric-value" id="m-renderout">—</div></div>
         <div class="metric-item"><div class="metric-label">Complexity</div><div class="metric-value" id="m-cx">—</div></div>
+        <div class="metric-item"><div class="metric-label">Cognitive</div><div class="metric-value" id="m-cog">—</div></div>
+        <div class="metric-item"><div class="metric-label">Nesting</div><div class="metric-value" id="m-nest">—</div></div>
         <div class="metric-item"><div class="metric-label">Lines</div><div class="metric-value" id="m-loc">—</div></div>
         <div class="metric-item"><div class="metric-label">Params</div><div class="metric-value" id="m-params">—</div></div>
         <div class="metric-item"><div class="metric-label">Module</div><div class="metric-value" id="m-module">—</div></div>
+        <div class="metric-item trace-metric" style="display:none"><div class="metric-label">Runs</div><div class="metric-value" id="m-runs">—</div></div>
+        <div class="metric-item profile-metric" style="display:none"><div class="metric-label">CPU self</div><div class="metric-value" id="m-cpu-self">—</div></div>
+        <div class="metric-item profile-metric" style="display:none"><div class="metric-label">CPU total</div><div class="metric-value" id="m-cpu-total">—</div></div>
       </div>
       <div id="profile-git">
         <div class="git-label">Git History</div>
@@ -230,6 +279,12 @@ export async function report(graph, classifications, options = {}) {
         <div class="git-row"><span>Last seen</span><strong id="g-last">—</strong></div>
         <div class="fix-bar-bg"><div class="fix-bar-fill" id="g-fix-bar" style="width:0%"></div></div>
       </div>
+      <div id="profile-tests" style="display:none">
+        <div class="git-label">Test Reach</div>
+        <div class="git-row"><span>Test files calling it</span><strong id="t-direct">—</strong></div>
+        <div class="git-row"><span>Test files reaching it</span><strong id="t-transitive">—</strong></div>
+        <div id="t-files"></div>
+      </div>
       <div id="profile-connections">
         <div class="conn-section">
           <div class="conn-label" id="caller-header">CALLERS</div>
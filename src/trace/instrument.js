@@ -0,0 +1,132 @@
+/**
+ * Instrument — rewrites a JS source so every function reports its calls to
+ * the trace runtime (see register.js).
+ *
+ * Each function body runs inside `__sociograph.run(id, () => body)`, which
+ * records an edge from whichever traced function is current to `id` and
+ * makes `id` current for the body — across awaits too, since the runtime
+ * keeps it in AsyncLocalStorage. An arrow keeps `this`, `arguments`, `super`
+ * and `new.target` as they were; async bodies get an async arrow. Generators
+ * can't yield from inside an arrow, so they only record that they were
+ * called.
+ *
+ * A function's id is "relPath:line" of where the parser says it starts, the
+ * same line the AST walker gives its FunctionNode. Insertions never add a
+ * line break, so line numbers (and stack traces) stay as they were.
+ */
+
+import { parse } from '@typescript-eslint/typescript-estree'
+import { relative, isAbsolute, dirname, sep } from 'path'
+import { fileURLToPath } from 'url'
+
+const MARKER = '/*sociograph-traced*/'
+const RUNTIME = 'globalThis.__sociograph'
+const TRACER_DIR = dirname(fileURLToPath(import.meta.url))
+// Plain JS only: anything compiled on the fly (TS, JSX) would need source maps to line up
+const TRACEABLE = /\.[cm]?js$/
+
+/**
+ * The path to record a file under, relative to the traced root — or null
+ * if it isn't traced (outside the root, in node_modules, not plain JS).
+ *
+ * @param {string} file     Absolute path
+ * @param {string} rootDir
+ * @returns {string|null}
+ */
+export function tracedPath(file, rootDir) {
+  if (!TRACEABLE.test(file) || file.startsWith(TRACER_DIR + sep)) return null
+  const rel = relative(rootDir, file)
+  if (!rel || rel.startsWith('..') || isAbsolute(rel)) return null
+  const parts = rel.split(sep)
+  return parts.includes('node_modules') ? null : parts.join('/')
+}
+
+/**
+ * @param {string} code
+ * @param {string} relPath  Path relative to the traced root
+ * @returns {string}  the instrumented source, or `code` unchanged if it doesn't parse
+ */
+export function instrumentSource(code, relPath) {
+  if (code.includes(MARKER)) return code
+
+  let ast
+  try {
+    ast = parse(code, { loc: true, range: true, jsx: false, comment: false })
+  } catch {
+    return code
+  }
+
+  const inserts = []
+  collectInserts(ast, relPath, inserts)
+  if (inserts.length === 0) return code
+
+  // Back to front, so earlier offsets stay valid. Text inserted later at the
+  // same offset lands in front: outer functions go first so an inner one's
+  // closing ends up inside, and an empty body's closing before its opening.
+  inserts.sort((a, b) => b.at - a.at || a.depth - b.depth || b.closing - a.closing)
+  let out = code
+  for (const { at, text } of inserts) out = out.slice(0, at) + text + out.slice(at)
+  // A hashbang has to stay on the first line
+  const hashbang = out.startsWith('#!') ? out.indexOf('\n') + 1 || out.length : 0
+  return out.slice(0, hashbang) + MARKER + out.slice(hashbang)
+}
+
+// --- Internals ---
+
+function collectInserts(node, relPath, inserts, depth = 0) {
+  if (!node || typeof node !== 'object') return
+
+  if (isFunction(node) && node.body) {
+    const id = JSON.stringify(`${relPath}:${node.loc.start.line}`)
+    const arrow = node.async ? 'async () =>' : '() =>'
+    const { body } = node
+
+    if (node.generator) {
+      const { at, lead } = bodyStart(body)
+      inserts.push({ at, text: `${lead}${RUNTIME}.enter(${id});`, depth, closing: false })
+    } else if (body.type === 'BlockStatement') {
+      const { at, lead } = bodyStart(body)
+      inserts.push({ at, text: `${lead}return ${RUNTIME}.run(${id}, ${arrow} {`, depth, closing: false })
+      inserts.push({ at: body.range[1] - 1, text: '})', depth, closing: true })
+    } else {
+      // (a) => expr
+      inserts.push({ at: body.range[0], text: `${RUNTIME}.run(${id}, ${arrow} (`, depth, closing: false })
+      inserts.push({ at: body.range[1], text: '))', depth, closing: true })
+    }
+    depth++
+  }
+
+  for (const key of Object.keys(node)) {
+    if (key === 'parent' || key === 'loc' || key === 'range') continue
+    const child = node[key]
+    if (Array.isArray(child)) {
+      for (const item of child) {
+        if (item && typeof item === 'object' && item.type) collectInserts(item, relPath, inserts, depth)
+      }
+    } else if (child && typeof child === 'object' && child.type) {
+      collectInserts(child, relPath, inserts, depth)
+    }
+  }
+}
+
+function isFunction(node) {
+  return (
+    node.type === 'FunctionDeclaration' ||
+    node.type === 'FunctionExpression' ||
+    node.type === 'ArrowFunctionExpression'
+  )
+}
+
+// After the opening brace and any directive prologue ('use strict' must stay
+// first). A directive may end without a semicolon, so text after one leads
+// with its own.
+function bodyStart(body) {
+  let at = body.range[0] + 1
+  let lead = ''
+  for (const statement of body.body) {
+    if (!statement.directive) break
+    at = statement.range[1]
+    lead = ';'
+  }
+  return { at, lead }
+}
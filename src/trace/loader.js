@@ -0,0 +1,25 @@
+/**
+ * ESM load hook for traced processes — instruments the project's ES modules.
+ * Registered by register.js; runs on Node's loader thread.
+ */
+
+import { fileURLToPath } from 'url'
+import { instrumentSource, tracedPath } from './instrument.js'
+
+let rootDir = null
+
+export async function initialize(data) {
+  rootDir = data.rootDir
+}
+
+export async function load(url, context, nextLoad) {
+  const result = await nextLoad(url, context)
+  // CommonJS comes back without source and goes through register.js's _compile hook
+  if (result.format !== 'module' || result.source == null || !url.startsWith('file:')) return result
+
+  const relPath = tracedPath(fileURLToPath(url), rootDir)
+  if (!relPath) return result
+
+  const source = typeof result.source === 'string' ? result.source : new TextDecoder().decode(result.source)
+  return { ...result, source: instrumentSource(source, relPath) }
+}
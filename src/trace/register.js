@@ -0,0 +1,69 @@
+/**
+ * Trace preload — loaded into every traced Node process through
+ * `NODE_OPTIONS=--import` (see trace-runner.js).
+ *
+ * Installs the runtime instrumented code reports to, instruments the
+ * project's modules as they load — ES modules through a load hook
+ * (loader.js), CommonJS by wrapping Module.prototype._compile — and on exit
+ * writes what it counted to a fragment file of its own.
+ *
+ * Only Node's own module loading is covered: runners that evaluate modules
+ * themselves (Jest, Vitest) bypass both hooks.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks'
+import Module, { register } from 'module'
+import { writeFileSync } from 'fs'
+import { join } from 'path'
+import { threadId } from 'worker_threads'
+import { instrumentSource, tracedPath } from './instrument.js'
+
+const rootDir = process.env.SOCIOGRAPH_TRACE_ROOT
+const fragmentDir = process.env.SOCIOGRAPH_TRACE_DIR
+
+if (rootDir && fragmentDir && !globalThis.__sociograph) install()
+
+function install() {
+  // The traced function currently running, carried across awaits
+  const current = new AsyncLocalStorage()
+  // function id -> calls
+  const calls = new Map()
+  // "caller\0callee" -> calls
+  const edges = new Map()
+
+  const record = (id) => {
+    calls.set(id, (calls.get(id) ?? 0) + 1)
+    const caller = current.getStore()
+    if (caller) {
+      const key = `${caller}\0${id}`
+      edges.set(key, (edges.get(key) ?? 0) + 1)
+    }
+  }
+
+  globalThis.__sociograph = {
+    run(id, body) {
+      record(id)
+      return current.run(id, body)
+    },
+    enter: record,
+  }
+
+  register('./loader.js', import.meta.url, { data: { rootDir } })
+
+  const compile = Module.prototype._compile
+  Module.prototype._compile = function (content, filename) {
+    const relPath = tracedPath(filename, rootDir)
+    return compile.call(this, relPath ? instrumentSource(content, relPath) : content, filename)
+  }
+
+  process.on('exit', () => {
+    if (calls.size === 0) return
+    const fragment = {
+      calls: Object.fromEntries(calls),
+      edges: [...edges].map(([key, count]) => [...key.split('\0'), count]),
+    }
+    try {
+      writeFileSync(join(fragmentDir, `${process.pid}-${threadId}.json`), JSON.stringify(fragment))
+    } catch { /* best effort */ }
+  })
+}
@@ -0,0 +1,106 @@
+/**
+ * Trace runner — `sociograph trace -- <command>`.
+ *
+ * Runs the command with the trace preload (register.js) in NODE_OPTIONS, so
+ * it and every Node process it starts — `npm test` and the test runner it
+ * spawns alike — count the calls between the project's functions. Each
+ * process writes its own fragment; they're summed into one trace file:
+ *
+ *   {
+ *     "version": 1,
+ *     "rootDir": "/abs/project",
+ *     "command": "npm test",
+ *     "processes": 2,
+ *     "calls": { "src/db.js:12": 340, ... },          // "relPath:line" -> times called
+ *     "edges": [["src/api.js:8", "src/db.js:12", 310], ...]   // caller, callee, times
+ *   }
+ *
+ * graph-builder merges it into the static graph (see trace-linker.js).
+ */
+
+import { spawnSync } from 'child_process'
+import { mkdtempSync, readdirSync, readFileSync, writeFileSync, mkdirSync, rmSync } from 'fs'
+import { tmpdir } from 'os'
+import { join, dirname } from 'path'
+
+export const TRACE_VERSION = 1
+
+/**
+ * @param {string}   rootDir  Absolute path; only files under it are traced
+ * @param {string[]} command  e.g. ['npm', 'test']
+ * @param {{ out: string }} options  where to write the trace file
+ * @returns {{ status: number, processes: number, functions: number, edges: number }}
+ *   status — the command's exit code
+ */
+export function runTrace(rootDir, command, { out }) {
+  const fragmentDir = mkdtempSync(join(tmpdir(), 'sociograph-trace-'))
+  const preload = new URL('./register.js', import.meta.url).href
+
+  const result = spawnSync(command[0], command.slice(1), {
+    stdio: 'inherit',
+    shell: process.platform === 'win32',
+    env: {
+      ...process.env,
+      NODE_OPTIONS: [process.env.NODE_OPTIONS, `--import=${preload}`].filter(Boolean).join(' '),
+      SOCIOGRAPH_TRACE_ROOT: rootDir,
+      SOCIOGRAPH_TRACE_DIR: fragmentDir,
+    },
+  })
+
+  const trace = mergeFragments(fragmentDir)
+  rmSync(fragmentDir, { recursive: true, force: true })
+
+  mkdirSync(dirname(out), { recursive: true })
+  writeFileSync(out, JSON.stringify({ version: TRACE_VERSION, rootDir, command: command.join(' '), ...trace }), 'utf8')
+
+  if (result.error) process.stderr.write(`Could not run ${command[0]}: ${result.error.message}\n`)
+  return {
+    status: result.status ?? 1,
+    processes: trace.processes,
+    functions: Object.keys(trace.calls).length,
+    edges: trace.edges.length,
+  }
+}
+
+/**
+ * Read a trace file written by runTrace.
+ *
+ * @param {string} path
+ * @returns {{ version: number, rootDir: string, command: string, processes: number, calls: Object<string, number>, edges: [string, string, number][] }}
+ */
+export function readTrace(path) {
+  const trace = JSON.parse(readFileSync(path, 'utf8'))
+  if (trace.version !== TRACE_VERSION) {
+    throw new Error(`${path}: unsupported trace version ${trace.version} — re-run \`sociograph trace\``)
+  }
+  return trace
+}
+
+// --- Internals ---
+
+function mergeFragments(fragmentDir) {
+  const calls = {}
+  const edges = new Map()
+  let processes = 0
+
+  for (const name of readdirSync(fragmentDir)) {
+    let fragment
+    try {
+      fragment = JSON.parse(readFileSync(join(fragmentDir, name), 'utf8'))
+    } catch {
+      continue // a process died mid-write
+    }
+    processes++
+    for (const [id, count] of Object.entries(fragment.calls)) calls[id] = (calls[id] ?? 0) + count
+    for (const [from, to, count] of fragment.edges) {
+      const key = `${from}\0${to}`
+      edges.set(key, (edges.get(key) ?? 0) + count)
+    }
+  }
+
+  return {
+    processes,
+    calls,
+    edges: [...edges].map(([key, count]) => [...key.split('\0'), count]),
+  }
+}
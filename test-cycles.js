@@ -0,0 +1,156 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs'
+import { tmpdir } from 'os'
+import { join, dirname } from 'path'
+import { buildGraph } from './src/graph/graph-builder.js'
+import { detectCycles } from './src/graph/cycle-detector.js'
+import { computeDiff } from './src/diff/diff-classifier.js'
+
+// Build a graph from { relPath: source } in a scratch directory
+async function graphOf(files) {
+  const rootDir = mkdtempSync(join(tmpdir(), 'sociograph-cycles-'))
+  try {
+    for (const [relPath, source] of Object.entries(files)) {
+      mkdirSync(dirname(join(rootDir, relPath)), { recursive: true })
+      writeFileSync(join(rootDir, relPath), source)
+    }
+    return await buildGraph(rootDir)
+  } finally {
+    rmSync(rootDir, { recursive: true, force: true })
+  }
+}
+
+const MUTUAL = {
+  'src/parse/index.js': `
+    export function isEven(n) { return n === 0 ? true : isOdd(n - 1) }
+    export function isOdd(n) { return n === 0 ? false : isEven(n - 1) }
+  `,
+}
+
+const CROSS_MODULE = {
+  'src/orders/index.js': `
+    import { charge } from '../billing/index.js'
+    export function place(order) { return charge(order) }
+    export function retry(order) { return order.attempts < 3 ? charge(order) : order }
+  `,
+  'src/billing/index.js': `
+    import { retry } from '../orders/index.js'
+    export function charge(order) { return order.declined ? retry(order) : order }
+  `,
+}
+
+test('mutual recursion is one cycle within its module', async () => {
+  const { functions, modules, byNode } = detectCycles(await graphOf(MUTUAL))
+  assert.equal(functions.length, 1)
+  assert.deepEqual(functions[0].nodeIds, ['src/parse/index.js::isEven', 'src/parse/index.js::isOdd'])
+  assert.equal(functions[0].crossModule, false)
+  assert.equal(modules.length, 0)
+  assert.equal(byNode.get('src/parse/index.js::isOdd'), functions[0])
+})
+
+test('a cycle through two modules is cross-module, and so are the modules', async () => {
+  const { functions, modules } = detectCycles(await graphOf(CROSS_MODULE))
+  assert.equal(functions.length, 1)
+  // place calls into the loop but isn't part of it
+  assert.deepEqual(functions[0].nodeIds, ['src/billing/index.js::charge', 'src/orders/index.js::retry'])
+  assert.equal(functions[0].crossModule, true)
+  assert.deepEqual(functions[0].modules, ['billing', 'orders'])
+  assert.deepEqual(modules.map(c => c.modules), [['billing', 'orders']])
+})
+
+test('a module cycle needs no function cycle', async () => {
+  // orders -> billing -> orders, but log never calls back into charge
+  const { functions, modules } = detectCycles(await graphOf({
+    'src/orders/index.js': `
+      import { charge } from '../billing/index.js'
+      export function place(order) { return charge(order) }
+      export function log(order) { return order.id }
+    `,
+    'src/billing/index.js': `
+      import { log } from '../orders/index.js'
+      export function charge(order) { log(order); return order }
+    `,
+  }))
+  assert.equal(functions.length, 0)
+  assert.deepEqual(modules, [{ modules: ['billing', 'orders'], edges: 2 }])
+})
+
+test('self-recursion is not a cycle', async () => {
+  const graph = await graphOf({
+    'src/math/index.js': `export function fact(n) { return n <= 1 ? 1 : n * fact(n - 1) }`,
+  })
+  assert.ok(graph.edges.some(e => e.from === e.to && e.resolved))
+  const { functions, modules } = detectCycles(graph)
+  assert.equal(functions.length, 0)
+  assert.equal(modules.length, 0)
+})
+
+test('event edges do not close a cycle', async () => {
+  const graph = await graphOf({
+    'src/a/index.js': `
+      export function ping(bus) { bus.emit('pong') }
+      export function wireA(bus) { bus.on('ping', ping) }
+    `,
+    'src/b/index.js': `
+      export function pong(bus) { bus.emit('ping') }
+      export function wireB(bus) { bus.on('pong', pong) }
+    `,
+  })
+  const events = graph.edges.filter(e => e.kind === 'event').map(e => `${e.from} -> ${e.to}`).sort()
+  assert.deepEqual(events, [
+    'src/a/index.js::ping -> src/b/index.js::pong',
+    'src/b/index.js::pong -> src/a/index.js::ping',
+  ])
+  const { functions, modules } = detectCycles(graph)
+  assert.equal(functions.length, 0)
+  assert.equal(modules.length, 0)
+})
+
+// --- New cycles in a diff ---
+
+function diffCycles(beforeGraph, afterGraph) {
+  const snapshot = graph => {
+    const { functions, modules } = detectCycles(graph)
+    return { functions, modules }
+  }
+  const nodes = graph => new Map(graph.getFunctionNodes().map(n => [n.id, { ...n, archetypes: [] }]))
+  return computeDiff(nodes(beforeGraph), nodes(afterGraph), 'before', 'after', {
+    before: snapshot(beforeGraph),
+    after: snapshot(afterGraph),
+  })
+}
+
+test('a cycle the PR closes is new', async () => {
+  const before = await graphOf({
+    ...CROSS_MODULE,
+    'src/billing/index.js': `export function charge(order) { return order }`,
+  })
+  const result = diffCycles(before, await graphOf(CROSS_MODULE))
+  assert.equal(result.newCycles.functions.length, 1)
+  assert.deepEqual(result.newCycles.functions[0].names, ['charge', 'retry'])
+  assert.deepEqual(result.newCycles.modules.map(c => c.members), [['billing', 'orders']])
+  assert.equal(result.summary.newCycles, 2)
+})
+
+test('a cycle that already existed is not new, even once it grows', async () => {
+  const grown = {
+    'src/parse/index.js': `
+      export function isEven(n) { return n === 0 ? true : isOdd(n - 1) }
+      export function isOdd(n) { return n === 0 ? false : check(n - 1) }
+      function check(n) { return isEven(n) }
+    `,
+  }
+  const before = await graphOf(MUTUAL)
+  const after = await graphOf(grown)
+  assert.equal(diffCycles(before, before).summary.newCycles, 0)
+  assert.equal(detectCycles(after).functions[0].nodeIds.length, 3)
+  assert.equal(diffCycles(before, after).summary.newCycles, 0)
+})
+
+test('no cycle snapshots, no new cycles', async () => {
+  const graph = await graphOf(CROSS_MODULE)
+  const nodes = new Map(graph.getFunctionNodes().map(n => [n.id, { ...n, archetypes: [] }]))
+  const result = computeDiff(nodes, nodes, 'a', 'b')
+  assert.deepEqual(result.newCycles, { functions: [], modules: [] })
+})
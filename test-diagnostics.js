@@ -0,0 +1,46 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { execFileSync } from 'child_process'
+import { buildGraph } from './src/graph/graph-builder.js'
+import { formatDiagnostic } from './src/parsers/ast-walker.js'
+import { resolve } from 'path'
+
+const rootDir = resolve('./test-fixture/diagnostics')
+const graph = await buildGraph(rootDir)
+
+// Run the CLI on the fixture, returning its exit status and stderr
+function analyze(...flags) {
+  try {
+    execFileSync(process.execPath, ['src/index.js', rootDir, '--no-git', '--no-cache', ...flags], { stdio: 'pipe' })
+    return { status: 0, stderr: '' }
+  } catch (err) {
+    return { status: err.status, stderr: err.stderr.toString() }
+  }
+}
+
+test('a file that fails to parse is reported, not silently dropped', () => {
+  const [failed] = graph.diagnostics.filter(d => d.status === 'failed')
+  assert.equal(failed.file, 'broken.js')
+  assert.equal(failed.line, 2)
+  assert.equal(graph.getNode('broken.js::unfinished'), undefined)
+})
+
+test('a file that only parses as an invalid AST is partial, and keeps its functions', () => {
+  const [partial] = graph.diagnostics.filter(d => d.status === 'partial')
+  assert.equal(partial.file, 'partial.js')
+  assert.equal(partial.line, 3)
+  assert.ok(graph.getNode('partial.js::pairs'))
+  assert.match(formatDiagnostic(partial), /^partial\.js:3:\d+ {2}partial — /)
+})
+
+test('files that parse cleanly have no diagnostic', () => {
+  assert.deepEqual(graph.diagnostics.map(d => d.file), ['broken.js', 'partial.js'])
+})
+
+test('--strict fails the run when any file is not fully parsed', () => {
+  assert.equal(analyze().status, 0)
+  const { status, stderr } = analyze('--strict')
+  assert.equal(status, 1)
+  assert.match(stderr, /2 file\(s\) not fully parsed \(--strict\)/)
+  assert.match(stderr, /broken\.js:2:\d+ {2}failed/)
+})
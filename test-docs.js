@@ -0,0 +1,52 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { stripVTControlCharacters } from 'util'
+import { buildGraph } from './src/graph/graph-builder.js'
+import { classify } from './src/analyzers/classifier.js'
+import { report } from './src/reporters/terminal.js'
+import { resolve } from 'path'
+
+const graph = await buildGraph(resolve('./test-fixture'))
+
+function docOf(id) {
+  return graph.getNode(`docs/pricing.js::${id}`).doc
+}
+
+// --- Doc comments ---
+
+test('a JSDoc block gives its first sentence and its tags', () => {
+  assert.deepEqual(docOf('formatPrice'), {
+    summary: 'Formats a price for display.',
+    deprecated: 'use formatMoney',
+    internal: false,
+    public: false,
+  })
+  assert.deepEqual(docOf('roundCents'), { summary: null, deprecated: null, internal: true, public: false })
+})
+
+test('a run of line comments counts, past a lint directive', () => {
+  assert.equal(docOf('formatMoney').summary, 'Formats money with its currency sign')
+})
+
+test('a comment a blank line away belongs to nothing', () => {
+  assert.equal(docOf('undocumented'), null)
+})
+
+test('methods get their own comments, and a bare @deprecated is still one', () => {
+  assert.equal(docOf('Ledger.open').public, true)
+  assert.equal(docOf('Ledger.total').deprecated, '')
+})
+
+test('a comment above a statement is not its callback\'s', () => {
+  assert.match(docOf('run').summary, /^Runs the formatter/)
+  assert.equal(docOf('run><anonymous>'), null)
+})
+
+// --- Deprecation ---
+
+test('a deprecated function still widely called is a top risk', () => {
+  const output = stripVTControlCharacters(report(graph, classify(graph), { path: 'test-fixture' }))
+  assert.match(output, /formatPrice.*\n.*deprecated \(use formatMoney\) but still has 4 dependents/)
+  // Deprecated too, but nobody calls it
+  assert.doesNotMatch(output, /total.*\n.*deprecated/)
+})
@@ -0,0 +1,15 @@
+export function hash(password) {
+  return password.split('').reverse().join('')
+}
+
+export function verify(user, password) {
+  return user.hash === hash(password)
+}
+
+export function login(user, password) {
+  return verify(user, password) ? { user, token: hash(user.id) } : null
+}
+
+export function logout(session, password) {
+  return verify(session.user, password) ? null : session
+}
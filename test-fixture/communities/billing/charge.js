@@ -0,0 +1,15 @@
+export function tax(amount) {
+  return amount * 0.2
+}
+
+export function price(item) {
+  return item.amount + tax(item.amount)
+}
+
+export function charge(item) {
+  return { total: price(item), tax: tax(item.amount) }
+}
+
+export function refund(item) {
+  return -price(item) - tax(item.amount)
+}
@@ -0,0 +1,7 @@
+// Filed under billing, but all it talks to is auth
+import { hash, verify, login } from '../auth/session.js'
+
+export function issueToken(user, password) {
+  if (!verify(user, password)) return null
+  return login(user, password)?.token ?? hash(user.id)
+}
@@ -0,0 +1,4 @@
+// A syntax error: the file can't be parsed at all
+export function unfinished(a {
+  return a
+}
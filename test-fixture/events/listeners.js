@@ -0,0 +1,11 @@
+import { sendWelcome } from '../notifications/welcome.js'
+
+export function wire(bus) {
+  bus.on('user:created', sendWelcome)
+  bus.once('user:created', (user) => user.id)
+  bus.subscribe('audit:signup', sendWelcome)
+}
+
+export function wireCustom(bus) {
+  bus.hear('user:created', sendWelcome)
+}
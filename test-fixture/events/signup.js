@@ -0,0 +1,11 @@
+// Emitters — paired with subscribers by string-literal event name only
+
+export function register(bus, user) {
+  bus.emit('user:created', user)
+  bus.announce('user:created', user)
+  return user
+}
+
+export function audit(bus, kind) {
+  bus.publish(`audit:${kind}`)
+}
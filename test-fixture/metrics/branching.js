@@ -0,0 +1,43 @@
+// Functions with known cyclomatic and cognitive scores (see complexity.js)
+
+export function flatSwitch(kind) {
+  switch (kind) {
+    case 'a': return 1
+    case 'b': return 2
+    case 'c': return 3
+    default: return 0
+  }
+}
+
+export function nestedLoops(grid) {
+  let hits = 0
+  for (const row of grid) {
+    for (const cell of row) {
+      if (cell) hits++
+    }
+  }
+  return hits
+}
+
+export function ifChain(n) {
+  if (n < 0) return 'negative'
+  else if (n === 0) return 'zero'
+  else return 'positive'
+}
+
+export function logicRuns(a, b, c) {
+  const either = a && b || c
+  const all = a && b && c
+  return either && all
+}
+
+export function factorial(n) {
+  return n <= 1 ? 1 : n * factorial(n - 1)
+}
+
+export function keepTruthy(items) {
+  return items.filter(item => {
+    if (item) return true
+    return false
+  })
+}
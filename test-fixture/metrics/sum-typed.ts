@@ -0,0 +1,3 @@
+export function sumTyped(a: number, b: number): number {
+  return a + b
+}
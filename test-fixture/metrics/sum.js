@@ -0,0 +1,15 @@
+export function sum(a, b) {
+  return a + b
+}
+
+export function summarize(rows) {
+  const totals = {}
+  for (const row of rows) {
+    if (!row || row.skip) continue
+    totals[row.key] = (totals[row.key] ?? 0) + row.amount * (row.rate ?? 1)
+    if (totals[row.key] > 1000) {
+      totals[row.key] = Math.round(totals[row.key] / 10) * 10
+    }
+  }
+  return Object.entries(totals).sort((a, b) => b[1] - a[1])
+}
@@ -0,0 +1,3 @@
+export function sendWelcome(user) {
+  return `Welcome, ${user.name}`
+}
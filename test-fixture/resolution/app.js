@@ -0,0 +1,9 @@
+import { Account, Session } from './models.js'
+
+export function openAccount(owner) {
+  return new Account(owner)
+}
+
+export function startSession() {
+  return new Session()
+}
@@ -0,0 +1,15 @@
+// Wiring at the top level — the file's <module> node owns these calls
+
+export function route(path, handler) {
+  return [path, handler]
+}
+
+export function listen(port) {
+  return port
+}
+
+const PORT = process.env.PORT ?? 8080
+route('/health', listen)
+listen(PORT)
+
+export { listen as start }
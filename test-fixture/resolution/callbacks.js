@@ -0,0 +1,27 @@
+// Functions handed over rather than called: as arguments, on properties,
+// bound, returned. A qualified name (config.onTick) is someone else's.
+
+function onTick(tick) {
+  return tick
+}
+
+function onDone() {
+  return true
+}
+
+function cleanup() {
+  return null
+}
+
+export function startTimer(timer, config) {
+  timer.every(1000, onTick)
+  timer.handlers = { done: onDone }
+  timer.cleanup = cleanup.bind(timer)
+  return config.onTick
+}
+
+export function makeTicker() {
+  return onTick
+}
+
+export default { onTick, onDone, cleanup }
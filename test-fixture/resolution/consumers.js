@@ -0,0 +1,31 @@
+// Each import below reaches its target a different way
+import { capitalize, slug } from './lib/index.js'
+import { truncateText } from '@/resolution/lib/index.js'
+import { capitalize as shout } from '#lib/strings.js'
+import Ledger from './ledger.js'
+import strings from './lib/strings.js'
+
+export function titleOf(post) {
+  return capitalize(post.title)
+}
+
+export function permalinkOf(post) {
+  return slug(post.title)
+}
+
+export function excerptOf(post) {
+  return truncateText(post.body, 140)
+}
+
+export function headlineOf(post) {
+  return shout(post.title)
+}
+
+export function openLedger(entries) {
+  return new Ledger(entries)
+}
+
+// strings.js has no default export — this must not land on any of its functions
+export function misuse(post) {
+  return strings(post)
+}
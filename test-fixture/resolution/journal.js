@@ -0,0 +1,16 @@
+// No export statements — what an importer asks for is found by name. The
+// nested `append` further down belongs to rotate and must not stand in for
+// the top-level one.
+
+function append(entry) {
+  return [entry]
+}
+
+function rotate(entries) {
+  function append(entry) {
+    return entries.concat(entry)
+  }
+  return append
+}
+
+Object.assign(module.exports, { append, rotate })
@@ -0,0 +1,9 @@
+export default class Ledger {
+  constructor(entries) {
+    this.entries = entries
+  }
+
+  total() {
+    return this.entries.length
+  }
+}
@@ -0,0 +1,3 @@
+// Barrel: everything from strings, and slug's default under a name
+export * from './strings.js'
+export { default as slug } from './slug.js'
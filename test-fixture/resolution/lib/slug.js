@@ -0,0 +1,3 @@
+export default function makeSlug(str) {
+  return str.toLowerCase().replace(/\s+/g, '-')
+}
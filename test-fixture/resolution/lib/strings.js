@@ -0,0 +1,7 @@
+export function capitalize(str) {
+  return str.charAt(0).toUpperCase() + str.slice(1)
+}
+
+export function truncateText(str, max) {
+  return str.length > max ? str.slice(0, max) : str
+}
@@ -0,0 +1,13 @@
+// Classes constructed from app.js — one with a constructor, one without
+
+export class Account {
+  constructor(owner) {
+    this.owner = owner
+  }
+}
+
+export class Session {
+  touch() {
+    return Date.now()
+  }
+}
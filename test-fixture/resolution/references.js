@@ -0,0 +1,27 @@
+// Functions handed around by name. A parameter that shares its name with a
+// nested function elsewhere is still just the parameter, and of two nested
+// functions with one name, each parent returns its own.
+
+class Repository {
+  store(record) {
+    return record
+  }
+}
+
+export class UserStore extends Repository {
+  store(record) {
+    bus.emit('user:stored', record)
+    return super.store(record)
+  }
+}
+
+export function wireUp(notify) {
+  const record = () => notify
+  const onStored = () => record()
+  return onStored
+}
+
+export function unwire(notify) {
+  const onStored = () => notify(null)
+  return onStored
+}
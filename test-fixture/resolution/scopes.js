@@ -0,0 +1,12 @@
+// Same-named functions in different scopes each keep their own ID, and
+// same-named siblings are numbered within their parent only
+
+export function loadRows(rows) {
+  const parse = (row) => row.trim()
+  return rows.map(parse).filter(row => row).map(row => row.toUpperCase())
+}
+
+export function saveRows(rows) {
+  const parse = (row) => JSON.stringify(row)
+  return rows.map(parse).filter(row => row)
+}
@@ -0,0 +1,41 @@
+// this.x() and super.x() walk the class hierarchy, and stay unresolved rather
+// than land on an unrelated class's method of the same name
+
+class Shape {
+  area() {
+    return 0
+  }
+
+  label() {
+    return 'shape'
+  }
+
+  describe() {
+    return `${this.label()}: ${this.area()}`
+  }
+}
+
+export class Square extends Shape {
+  constructor(side) {
+    super()
+    this.side = side
+  }
+
+  area() {
+    return this.side * this.side
+  }
+
+  label() {
+    return `square ${super.label()}`
+  }
+
+  summary() {
+    return this.describe() + this.perimeter()
+  }
+}
+
+export class Circle {
+  perimeter() {
+    return 2 * Math.PI
+  }
+}
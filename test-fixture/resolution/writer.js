@@ -0,0 +1,5 @@
+import { append } from './journal.js'
+
+export function record(entry) {
+  return append(entry)
+}
@@ -0,0 +1,23 @@
+// Three `persist` methods name-based resolution can't tell apart
+
+export interface Repository {
+  persist(record: object): string
+}
+
+export class UserRepository implements Repository {
+  persist(record: object): string {
+    return `user ${JSON.stringify(record)}`
+  }
+}
+
+export class OrderRepository implements Repository {
+  persist(record: object): string {
+    return `order ${JSON.stringify(record)}`
+  }
+}
+
+export class AuditTrail {
+  persist(entry: string): string {
+    return entry
+  }
+}
@@ -0,0 +1,17 @@
+import { UserRepository, type Repository } from './repositories'
+
+export function storeUser(users: UserRepository) {
+  return users.persist({})
+}
+
+export function storeAny(repo: Repository) {
+  return repo.persist({})
+}
+
+export function stamp(date: Date) {
+  return date.toISOString()
+}
+
+export function storeLoose(thing: any) {
+  return thing.persist({})
+}
@@ -0,0 +1,7 @@
+import { Button } from './kit.jsx'
+
+export default class Legacy extends React.Component {
+  render() {
+    return <Button />
+  }
+}
@@ -0,0 +1,14 @@
+import { UserCard } from './UserCard.jsx'
+import * as kit from './kit.jsx'
+import Legacy from './Legacy.jsx'
+
+export function Page({ users }) {
+  return (
+    <main>
+      {users.map(user => <UserCard user={user} />)}
+      <kit.Button />
+      <Legacy />
+      <section />
+    </main>
+  )
+}
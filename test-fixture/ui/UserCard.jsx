@@ -0,0 +1,7 @@
+export function UserCard({ user }) {
+  return <Avatar src={user.avatar} />
+}
+
+function Avatar({ src }) {
+  return <img src={src} />
+}
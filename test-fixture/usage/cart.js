@@ -0,0 +1,26 @@
+export function addItem(cart, item) {
+  cart.items.push(item)
+  return cart
+}
+
+export function total(cart) {
+  return sum(cart.items.map(item => item.price))
+}
+
+function sum(prices) {
+  return prices.reduce((a, b) => a + b, 0)
+}
+
+export function checkout(cart) {
+  return { cart, amount: total(cart) }
+}
+
+// Nothing in the codebase calls this — only the tests do
+export function clear(cart) {
+  cart.items = []
+  return cart
+}
+
+export function refund(cart) {
+  return -total(cart)
+}
@@ -0,0 +1,14 @@
+import { test } from 'node:test'
+import { addItem, total, clear } from './cart.js'
+
+function filled() {
+  return addItem({ items: [] }, { price: 2 })
+}
+
+test('total adds up the items', () => {
+  total(filled())
+})
+
+test('clear empties the cart', () => {
+  clear(filled())
+})
@@ -0,0 +1,5 @@
+import { charge } from './index.js'
+
+export function invoice(order) {
+  return charge(order.total)
+}
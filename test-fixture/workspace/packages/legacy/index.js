@@ -0,0 +1,4 @@
+// A namesake, so only workspace resolution can tell which charge is meant
+export function charge(amount) {
+  return amount
+}
@@ -0,0 +1,7 @@
+import { charge } from '@acme/billing'
+import { invoice } from '@acme/billing/invoices'
+
+export function checkout(order) {
+  invoice(order)
+  return charge(order.total)
+}
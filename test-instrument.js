@@ -0,0 +1,128 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { AsyncLocalStorage } from 'async_hooks'
+import { runInNewContext } from 'vm'
+import { instrumentSource } from './src/trace/instrument.js'
+
+// Instrument `code` as lib.js, run it as a sloppy-mode script against a
+// runtime that counts like register.js's, and hand back the script's
+// completion value with the calls and caller/callee pairs it recorded
+async function traced(code) {
+  const instrumented = instrumentSource(code, 'lib.js')
+  assert.equal(instrumented.split('\n').length, code.split('\n').length, 'line count changed')
+
+  const current = new AsyncLocalStorage()
+  const calls = {}
+  const pairs = new Set()
+  const record = (id) => {
+    calls[id] = (calls[id] ?? 0) + 1
+    const caller = current.getStore()
+    if (caller) pairs.add(`${caller} -> ${id}`)
+  }
+  const __sociograph = {
+    run(id, body) {
+      record(id)
+      return current.run(id, body)
+    },
+    enter: record,
+  }
+
+  const value = await runInNewContext(instrumented, { __sociograph })
+  return { value, calls, pairs: [...pairs].sort(), instrumented }
+}
+
+test('a directive prologue stays first in the body', async () => {
+  const { value, calls } = await traced([
+    'function bare() {',
+    '  "use strict"',
+    '  return this === undefined',
+    '}',
+    "function terminated() { 'use strict'; return this === undefined }",
+    'function* gen() {',
+    '  "use strict"',
+    '  yield this === undefined',
+    '}',
+    'bare() && terminated() && gen().next().value',
+  ].join('\n'))
+  assert.equal(value, true)
+  assert.deepEqual(calls, { 'lib.js:1': 1, 'lib.js:5': 1, 'lib.js:6': 1 })
+})
+
+test('an expression-bodied arrow can still return an object literal', async () => {
+  const { value, calls } = await traced([
+    'const point = (x) => ({ x, y: x * 2 })',
+    'const p = point(3)',
+    'p.x + "," + p.y',
+  ].join('\n'))
+  assert.equal(value, '3,6')
+  assert.deepEqual(calls, { 'lib.js:1': 1 })
+})
+
+test('generators still yield, and record the call', async () => {
+  const { value, calls, pairs } = await traced([
+    'function* count(n) {',
+    '  for (let i = 0; i < n; i++) yield i',
+    '}',
+    'function sum() {',
+    '  let total = 0',
+    '  for (const i of count(4)) total += i',
+    '  return total',
+    '}',
+    'sum()',
+  ].join('\n'))
+  assert.equal(value, 6)
+  assert.deepEqual(calls, { 'lib.js:1': 1, 'lib.js:4': 1 })
+  assert.deepEqual(pairs, ['lib.js:4 -> lib.js:1'])
+})
+
+test('a hashbang stays on the first line', async () => {
+  const code = [
+    '#!/usr/bin/env node',
+    'function main() {',
+    '  return 42',
+    '}',
+    'main()',
+  ].join('\n')
+  const { value, calls, instrumented } = await traced(code)
+  assert.ok(instrumented.startsWith('#!/usr/bin/env node\n'))
+  assert.equal(value, 42)
+  assert.deepEqual(calls, { 'lib.js:2': 1 })
+})
+
+test('nested functions closing on the same offset keep their own bodies', async () => {
+  const { value, calls, pairs } = await traced([
+    'const add = (x) =>',
+    '  (y) => x + y',
+    'const thunk = () => function () { return 7 }',
+    'function empty() {}',
+    'function main() {',
+    '  empty()',
+    '  return add(1)(2) * thunk()()',
+    '}',
+    'main()',
+  ].join('\n'))
+  assert.equal(value, 21)
+  assert.deepEqual(calls, { 'lib.js:1': 1, 'lib.js:2': 1, 'lib.js:3': 2, 'lib.js:4': 1, 'lib.js:5': 1 })
+  assert.deepEqual(pairs, ['lib.js:5 -> lib.js:1', 'lib.js:5 -> lib.js:2', 'lib.js:5 -> lib.js:3', 'lib.js:5 -> lib.js:4'])
+})
+
+test('the caller carries across an await', async () => {
+  const { value, pairs } = await traced([
+    'function helper() {',
+    '  return 5',
+    '}',
+    'async function load() {',
+    '  await null',
+    '  return helper()',
+    '}',
+    'load()',
+  ].join('\n'))
+  assert.equal(value, 5)
+  assert.deepEqual(pairs, ['lib.js:4 -> lib.js:1'])
+})
+
+test('instrumenting twice changes nothing, and unparseable code is left alone', () => {
+  const once = instrumentSource('function f() { return 1 }', 'lib.js')
+  assert.equal(instrumentSource(once, 'lib.js'), once)
+  assert.equal(instrumentSource('function (', 'lib.js'), 'function (')
+})
@@ -0,0 +1,101 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { buildGraph } from './src/graph/graph-builder.js'
+import { resolve } from 'path'
+
+const rootDir = resolve('./test-fixture')
+const graph = await buildGraph(rootDir)
+
+function metricsOf(id) {
+  const { complexity, cognitiveComplexity, maxNesting, halsteadVolume, halsteadDifficulty, halsteadEffort, maintainability, linesOfCode } = graph.getNode(id)
+  return { complexity, cognitiveComplexity, maxNesting, halsteadVolume, halsteadDifficulty, halsteadEffort, maintainability, linesOfCode }
+}
+
+// --- File nodes ---
+
+test('Vue, Svelte and Astro files become component nodes, their default export', () => {
+  for (const id of ['components/Counter.vue::Counter', 'components/Badge.svelte::Badge', 'components/Card.astro::Card']) {
+    const component = graph.getNode(id)
+    assert.equal(component.kind, 'component')
+    assert.deepEqual(component.exportNames, ['default'])
+  }
+})
+
+test('functions in script blocks keep their lines in the file', () => {
+  assert.equal(graph.getNode('components/Counter.vue::increment').line, 13)
+  assert.equal(graph.getNode('components/Badge.svelte::shout').line, 4)
+  assert.equal(graph.getNode('components/Card.astro::heading').line, 4)
+})
+
+test('components used in markup are rendered by the component', () => {
+  const renders = graph.edges
+    .filter(e => e.kind === 'render' && e.from.startsWith('components/'))
+    .map(e => `${e.from} -> ${e.to}`)
+    .sort()
+  assert.deepEqual(renders, [
+    'components/Badge.svelte::Badge -> components/Counter.vue::Counter',
+    'components/Card.astro::Card -> components/Badge.svelte::Badge',
+    'components/Counter.vue::Counter -> components/CounterLabel.vue::CounterLabel',
+  ])
+})
+
+test('a component is measured on its own top-level code, not its declarations', () => {
+  const component = graph.getNode('components/Counter.vue::Counter')
+  assert.equal(component.kind, 'component')
+  assert.equal(component.linesOfCode, 4)
+  assert.equal(component.complexity, 3)
+  // The same statements as a plain module measure just the same
+  assert.deepEqual(metricsOf(component.id), metricsOf('components/counter-setup.js::<module>'))
+})
+
+// --- Cognitive complexity ---
+
+function scores(name) {
+  const { complexity, cognitiveComplexity, maxNesting } = graph.getNode(`metrics/branching.js::${name}`)
+  return { complexity, cognitiveComplexity, maxNesting }
+}
+
+test('a flat switch costs one however many cases it has', () => {
+  assert.deepEqual(scores('flatSwitch'), { complexity: 5, cognitiveComplexity: 1, maxNesting: 1 })
+})
+
+test('nesting adds to each structure inside another', () => {
+  assert.deepEqual(scores('nestedLoops'), { complexity: 4, cognitiveComplexity: 6, maxNesting: 3 })
+})
+
+test('else if and else cost one each, without nesting', () => {
+  assert.deepEqual(scores('ifChain'), { complexity: 3, cognitiveComplexity: 3, maxNesting: 1 })
+})
+
+test('each run of like logical operators costs one', () => {
+  assert.deepEqual(scores('logicRuns'), { complexity: 6, cognitiveComplexity: 4, maxNesting: 0 })
+})
+
+test('direct recursion costs one', () => {
+  assert.deepEqual(scores('factorial'), { complexity: 2, cognitiveComplexity: 2, maxNesting: 1 })
+})
+
+test('a nested function is scored on its own', () => {
+  assert.equal(scores('keepTruthy').cognitiveComplexity, 0)
+  assert.equal(scores('keepTruthy><anonymous>').cognitiveComplexity, 1)
+})
+
+// --- Halstead and maintainability ---
+
+test('Halstead metrics count operators and operands', () => {
+  // operators return and +, operands a and b twice each
+  const { halsteadVolume, halsteadDifficulty, halsteadEffort, maintainability } = graph.getNode('metrics/sum.js::sum')
+  assert.deepEqual({ halsteadVolume, halsteadDifficulty, halsteadEffort }, { halsteadVolume: 12, halsteadDifficulty: 2, halsteadEffort: 24 })
+  assert.equal(maintainability, 81.9)
+})
+
+test('type annotations add nothing', () => {
+  assert.deepEqual(metricsOf('metrics/sum-typed.ts::sumTyped'), metricsOf('metrics/sum.js::sum'))
+})
+
+test('bigger, branchier functions are less maintainable', () => {
+  const summarize = graph.getNode('metrics/sum.js::summarize')
+  assert.ok(summarize.halsteadVolume > 12)
+  assert.ok(summarize.maintainability < graph.getNode('metrics/sum.js::sum').maintainability)
+  assert.ok(summarize.maintainability >= 0 && summarize.maintainability <= 100)
+})
@@ -0,0 +1,148 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { buildGraph } from './src/graph/graph-builder.js'
+import { loadConfig } from './src/ci/config.js'
+import { detectCommunities, findMismatches } from './src/graph/community-detector.js'
+import { classify } from './src/analyzers/classifier.js'
+import { report } from './src/reporters/terminal.js'
+import { buildGraphPayload } from './src/reporters/web.js'
+import { stripVTControlCharacters } from 'util'
+import { resolve, join } from 'path'
+
+const workspaceRoot = resolve('./test-fixture/workspace')
+
+function edge(graph, from, calleeName) {
+  return graph.edges.find(e => e.from === from && e.calleeName === calleeName)
+}
+
+function moduleOf(graph, id) {
+  return graph.getNode(id).module
+}
+
+// --- Workspaces ---
+
+test('workspace mode finds each package and makes it the module', async () => {
+  const graph = await buildGraph(workspaceRoot, { workspaces: true })
+  assert.deepEqual(graph.packages.map(p => [p.name, p.relDir]), [
+    ['@acme/billing', 'packages/billing'],
+    ['@acme/legacy', 'packages/legacy'],
+    ['@acme/orders', 'packages/orders'],
+  ])
+  const checkout = graph.getNode('packages/orders/src/checkout.js::checkout')
+  assert.equal(checkout.packageName, '@acme/orders')
+  assert.equal(checkout.module, '@acme/orders')
+})
+
+test('imports of a sibling package and its subpaths resolve to its source', async () => {
+  const graph = await buildGraph(workspaceRoot, { workspaces: true })
+  const from = 'packages/orders/src/checkout.js::checkout'
+
+  const charge = edge(graph, from, 'charge')
+  assert.equal(charge.to, 'packages/billing/src/index.js::charge')
+  assert.equal(charge.strategy, 'import')
+  assert.equal(charge.crossPackage, true)
+  assert.equal(edge(graph, from, 'invoice').to, 'packages/billing/src/invoices.js::invoice')
+
+  // Within a package nothing crosses
+  assert.equal(edge(graph, 'packages/billing/src/invoices.js::invoice', 'charge').crossPackage, false)
+  assert.equal(graph.summary().crossPackage, 2)
+})
+
+test('without workspace mode a sibling package is external', async () => {
+  const graph = await buildGraph(workspaceRoot)
+  assert.deepEqual(graph.packages, [])
+  assert.equal(edge(graph, 'packages/orders/src/checkout.js::checkout', 'charge').resolved, false)
+})
+
+// --- Module boundaries ---
+
+test('a modules.map glob names the module, with * captured as $1', async () => {
+  const graph = await buildGraph(workspaceRoot, { workspaces: true, modules: { map: { 'packages/*/src': 'svc-$1' } } })
+  assert.equal(moduleOf(graph, 'packages/billing/src/invoices.js::invoice'), 'svc-billing')
+  assert.equal(moduleOf(graph, 'packages/orders/src/checkout.js::checkout'), 'svc-orders')
+  // Outside every glob the workspace package still applies
+  assert.equal(moduleOf(graph, 'packages/legacy/index.js::charge'), '@acme/legacy')
+  assert.equal(edge(graph, 'packages/orders/src/checkout.js::checkout', 'charge').crossModule, true)
+})
+
+test('modules.depth keeps that many directories', async () => {
+  const graph = await buildGraph(workspaceRoot, { modules: { depth: 2 } })
+  assert.equal(moduleOf(graph, 'packages/billing/src/index.js::charge'), 'packages/billing')
+  assert.equal(moduleOf(graph, 'packages/legacy/index.js::charge'), 'packages/legacy')
+
+  const shallow = await buildGraph(workspaceRoot)
+  assert.equal(moduleOf(shallow, 'packages/billing/src/index.js::charge'), 'packages')
+})
+
+test('from: codeowners takes the owner of the last matching rule', async () => {
+  const graph = await buildGraph(workspaceRoot, { modules: { from: 'codeowners' } })
+  assert.equal(moduleOf(graph, 'packages/billing/src/index.js::charge'), '@acme/payments')
+  assert.equal(moduleOf(graph, 'packages/billing/src/invoices.js::invoice'), '@acme/finance')
+  assert.equal(moduleOf(graph, 'packages/orders/src/checkout.js::checkout'), '@acme/platform')
+})
+
+test('from: package takes the nearest package.json, without workspace mode', async () => {
+  const graph = await buildGraph(workspaceRoot, { modules: { from: 'package' } })
+  assert.equal(moduleOf(graph, 'packages/billing/src/invoices.js::invoice'), '@acme/billing')
+  assert.equal(moduleOf(graph, 'packages/legacy/index.js::charge'), '@acme/legacy')
+  assert.deepEqual(graph.packages, [])
+})
+
+test('.sociograph.yml modules settings merge over the defaults', () => {
+  const { modules } = loadConfig(join(workspaceRoot, '.sociograph.yml'))
+  assert.deepEqual(modules, { map: { 'packages/*/src': 'svc-$1' }, depth: 2, from: null })
+})
+
+// --- Communities ---
+
+const communityGraph = await buildGraph(resolve('./test-fixture/communities'))
+
+function membersOf({ communities }) {
+  const members = []
+  for (const [id, community] of communities) (members[community] ??= []).push(id)
+  return members.map(ids => ids.sort())
+}
+
+test('Louvain splits the graph into communities numbered by size', () => {
+  const result = detectCommunities(communityGraph)
+  assert.deepEqual(membersOf(result), [
+    ['auth/session.js::hash', 'auth/session.js::login', 'auth/session.js::logout', 'auth/session.js::verify', 'billing/tokens.js::issueToken'],
+    ['billing/charge.js::charge', 'billing/charge.js::price', 'billing/charge.js::refund', 'billing/charge.js::tax'],
+    ['billing/unused.js::noop'],
+  ])
+  assert.equal(result.count, 3)
+  assert.ok(result.modularity > 0.3)
+  // Seeded, so every run splits the same way
+  assert.deepEqual(detectCommunities(communityGraph), result)
+})
+
+test('a function clustering with another module is a mismatch', () => {
+  assert.deepEqual(findMismatches(communityGraph, detectCommunities(communityGraph)), [
+    { id: 'billing/tokens.js::issueToken', module: 'billing', community: 0, communityModule: 'auth' },
+  ])
+})
+
+test('with coChange, functions changed together pull into one community', () => {
+  const coCommits = (other, count) => ({ coCommits: new Map([[other, count]]) })
+  const gitMetrics = new Map([
+    ['billing/unused.js::noop', coCommits('billing/charge.js::charge', 4)],
+    ['billing/charge.js::charge', coCommits('billing/unused.js::noop', 4)],
+  ])
+  const result = detectCommunities(communityGraph, { gitMetrics, coChange: true })
+  assert.equal(result.count, 2)
+  assert.equal(result.communities.get('billing/unused.js::noop'), result.communities.get('billing/charge.js::charge'))
+  assert.equal(detectCommunities(communityGraph, { gitMetrics }).count, 3)
+})
+
+test('the terminal and web reports share community ids', async () => {
+  const result = detectCommunities(communityGraph)
+  const classifications = classify(communityGraph)
+  const output = stripVTControlCharacters(report(communityGraph, classifications, { path: 'communities', communities: result }))
+  assert.match(output, /CLUSTERS {2}\(2 communities · modularity \d\.\d\d/)
+  assert.match(output, /#1 {2}billing {2}\(4 functions\)/)
+  assert.match(output, /issueToken +billing\/tokens\.js:4 {2}→ auth \(#0\)/)
+
+  const payload = await buildGraphPayload(communityGraph, classifications, { communities: result })
+  assert.equal(payload.communities['billing/tokens.js::issueToken'], 0)
+  assert.equal(payload.communities['billing/charge.js::tax'], 1)
+})
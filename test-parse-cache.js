@@ -0,0 +1,111 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync, readdirSync } from 'fs'
+import { tmpdir } from 'os'
+import { join, dirname } from 'path'
+import { buildGraph } from './src/graph/graph-builder.js'
+
+// A scratch project and a cache directory, both removed after `fn`
+async function withProject(files, fn) {
+  const rootDir = mkdtempSync(join(tmpdir(), 'sociograph-cache-'))
+  const write = (relPath, source) => {
+    mkdirSync(dirname(join(rootDir, relPath)), { recursive: true })
+    writeFileSync(join(rootDir, relPath), source)
+  }
+  for (const [relPath, source] of Object.entries(files)) write(relPath, source)
+  const build = () => buildGraph(rootDir, { cacheDir: join(rootDir, '.sociograph', 'parse-cache') })
+  try {
+    await fn({ rootDir, write, build })
+  } finally {
+    rmSync(rootDir, { recursive: true, force: true })
+  }
+}
+
+function edgeList(graph) {
+  return graph.edges.filter(e => e.resolved).map(e => `${e.from} -> ${e.to}`).sort()
+}
+
+const PROJECT = {
+  'src/api/index.js': `
+    import { save } from '../db/index.js'
+    import { audit } from '../audit/index.js'
+    export function handle(req) { return save(req.body) }
+    export function track(req) { return audit(req) }
+  `,
+  'src/db/index.js': `
+    export function save(row) { return row }
+    export function remove(row) { return row }
+  `,
+  // Namesakes, so only import resolution can tell which function is meant
+  'src/legacy/index.js': `
+    export function save(row) { return row }
+    export function audit(req) { return req }
+  `,
+}
+
+test('an unchanged project reads back the same graph from the cache', async () => {
+  await withProject(PROJECT, async ({ rootDir, build }) => {
+    const first = await build()
+    assert.ok(readdirSync(join(rootDir, '.sociograph', 'parse-cache')).length > 0)
+    const second = await build()
+    assert.deepEqual(edgeList(second), edgeList(first))
+    assert.deepEqual([...second.nodes.keys()].sort(), [...first.nodes.keys()].sort())
+    assert.equal(second.getNode('src/db/index.js::save').file, join(rootDir, 'src/db/index.js'))
+  })
+})
+
+test('editing a file re-parses it', async () => {
+  await withProject(PROJECT, async ({ write, build }) => {
+    assert.ok(edgeList(await build()).includes('src/api/index.js::handle -> src/db/index.js::save'))
+
+    write('src/api/index.js', `
+      import { remove } from '../db/index.js'
+      export function handle(req) { return remove(req.body) }
+    `)
+    const edges = edgeList(await build())
+    assert.ok(edges.includes('src/api/index.js::handle -> src/db/index.js::remove'))
+    assert.ok(!edges.includes('src/api/index.js::handle -> src/db/index.js::save'))
+  })
+})
+
+test('a file an unchanged import now finds is picked up', async () => {
+  await withProject(PROJECT, async ({ write, build }) => {
+    const before = await build()
+    assert.ok(!edgeList(before).some(edge => edge.includes('audit/index.js')))
+
+    // src/api/index.js is untouched, so only the recorded resolution can notice
+    write('src/audit/index.js', `export function audit(req) { return req }`)
+    const after = await build()
+    assert.ok(edgeList(after).includes('src/api/index.js::track -> src/audit/index.js::audit'))
+  })
+})
+
+test('a file an import resolved to disappearing drops its edges', async () => {
+  await withProject({ ...PROJECT, 'src/audit/index.js': `export function audit(req) { return req }` }, async ({ rootDir, build }) => {
+    assert.ok(edgeList(await build()).includes('src/api/index.js::track -> src/audit/index.js::audit'))
+
+    rmSync(join(rootDir, 'src/audit'), { recursive: true })
+    const after = await build()
+    assert.ok(!edgeList(after).some(edge => edge.includes('audit/index.js')))
+    assert.equal(after.getNode('src/audit/index.js::audit'), undefined)
+  })
+})
+
+test('an import resolving to a different file is re-resolved', async () => {
+  // ./store resolves to store.js first, then to store/index.js once store.js is gone
+  const files = {
+    'src/app.js': `
+      import { save } from './store'
+      export function run(row) { return save(row) }
+    `,
+    'src/store.js': `export function save(row) { return row }`,
+    'src/legacy.js': `export function save(row) { return row }`,
+  }
+  await withProject(files, async ({ rootDir, write, build }) => {
+    assert.ok(edgeList(await build()).includes('src/app.js::run -> src/store.js::save'))
+
+    rmSync(join(rootDir, 'src/store.js'))
+    write('src/store/index.js', `export function save(row) { return [row] }`)
+    assert.ok(edgeList(await build()).includes('src/app.js::run -> src/store/index.js::save'))
+  })
+})
@@ -0,0 +1,282 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { buildGraph } from './src/graph/graph-builder.js'
+import { CallGraph } from './src/graph/call-graph.js'
+import { classify } from './src/analyzers/classifier.js'
+import { resolve } from 'path'
+
+const rootDir = resolve('./test-fixture')
+const graph = await buildGraph(rootDir)
+
+function edgesFrom(id, kind) {
+  return graph.edges.filter(e => e.from === id && e.kind === kind)
+}
+
+function target(fromId) {
+  const [edge] = edgesFrom(fromId, 'call')
+  return edge && { to: edge.to, strategy: edge.strategy }
+}
+
+// --- Classes ---
+
+test('methods are identified by their class', () => {
+  assert.equal(graph.getNode('resolution/shapes.js::Shape.area').className, 'Shape')
+  assert.equal(graph.getNode('resolution/shapes.js::Square.area').className, 'Square')
+  assert.equal(graph.getNode('resolution/shapes.js::Circle.perimeter').kind, 'method')
+})
+
+test('this.method() resolves on the class itself', () => {
+  const edges = edgesFrom('resolution/shapes.js::Shape.describe', 'call')
+  assert.deepEqual(edges.map(e => [e.to, e.strategy]), [
+    ['resolution/shapes.js::Shape.label', 'this'],
+    ['resolution/shapes.js::Shape.area', 'this'],
+  ])
+})
+
+test('this.method() finds an inherited method, super.method() the parent\'s', () => {
+  assert.equal(target('resolution/shapes.js::Square.label').to, 'resolution/shapes.js::Shape.label')
+  const [describe] = edgesFrom('resolution/shapes.js::Square.summary', 'call')
+  assert.equal(describe.to, 'resolution/shapes.js::Shape.describe')
+})
+
+test('this.method() the hierarchy lacks stays unresolved', () => {
+  const perimeter = edgesFrom('resolution/shapes.js::Square.summary', 'call').find(e => e.calleeName === 'perimeter')
+  assert.equal(perimeter.resolved, false)
+  assert.equal(graph.fanIn('resolution/shapes.js::Circle.perimeter'), 0)
+})
+
+test('new resolves to an explicit constructor', () => {
+  const [edge] = edgesFrom('resolution/app.js::openAccount', 'instantiate')
+  assert.equal(edge.to, 'resolution/models.js::Account.constructor')
+  assert.equal(edge.strategy, 'constructor')
+  assert.equal(graph.fanIn('resolution/models.js::Account.constructor'), 1)
+})
+
+test('new on a class without a constructor lands on its implicit one', () => {
+  const [edge] = edgesFrom('resolution/app.js::startSession', 'instantiate')
+  assert.equal(edge.to, 'resolution/models.js::Session.constructor')
+  const ctor = graph.getNode(edge.to)
+  assert.equal(ctor.implicit, true)
+  assert.equal(ctor.className, 'Session')
+  assert.equal(graph.fanIn(ctor.id), 1)
+})
+
+// --- Scope-path IDs ---
+
+test('nested functions are identified by their enclosing scopes', () => {
+  assert.equal(graph.getNode('resolution/scopes.js::loadRows>parse').line, 5)
+  assert.equal(graph.getNode('resolution/scopes.js::saveRows>parse').line, 10)
+  assert.equal(graph.getNode('resolution/scopes.js::loadRows>parse').scopePath, 'loadRows>parse')
+})
+
+test('same-named siblings are numbered within their parent', () => {
+  const anonymous = id => graph.getNode(`resolution/scopes.js::${id}`)?.line
+  assert.equal(anonymous('loadRows><anonymous>'), 6)
+  assert.equal(anonymous('loadRows><anonymous>#2'), 6)
+  assert.equal(anonymous('loadRows><anonymous>#3'), undefined)
+  // saveRows' count starts over rather than carrying on from loadRows'
+  assert.equal(anonymous('saveRows><anonymous>'), 11)
+})
+
+test('no two functions in the fixture share an ID', () => {
+  assert.deepEqual(graph.duplicates, [])
+})
+
+test('a function replacing another under the same ID is recorded', () => {
+  const replaced = new CallGraph()
+  replaced.addFunction({ id: 'a.js::f', name: 'f', line: 1 })
+  replaced.addFunction({ id: 'a.js::f', name: 'f', line: 7 })
+  assert.deepEqual(replaced.duplicates.map(({ id, kept, dropped }) => [id, kept.line, dropped.line]), [['a.js::f', 7, 1]])
+})
+
+test('an import found by name lands on the top-level function, not a nested namesake', () => {
+  assert.ok(graph.getNode('resolution/journal.js::rotate>append'))
+  assert.deepEqual(target('resolution/writer.js::record'),
+    { to: 'resolution/journal.js::append', strategy: 'import' })
+})
+
+// --- References ---
+
+function referencesFrom(id) {
+  return edgesFrom(id, 'reference').map(e => [e.to, e.strategy])
+}
+
+test('functions passed as arguments, stored on properties or bound are references', () => {
+  assert.deepEqual(referencesFrom('resolution/callbacks.js::startTimer'), [
+    ['resolution/callbacks.js::onTick', 'same-file'],
+    ['resolution/callbacks.js::onDone', 'same-file'],
+    ['resolution/callbacks.js::cleanup', 'same-file'],
+  ])
+})
+
+test('a returned function is a reference', () => {
+  assert.deepEqual(referencesFrom('resolution/callbacks.js::makeTicker'), [['resolution/callbacks.js::onTick', 'same-file']])
+})
+
+test('an export listing is not a reference, and neither is an unresolved name', () => {
+  assert.equal(graph.getNode('resolution/callbacks.js::<module>'), undefined)
+  assert.ok(graph.edges.every(e => e.kind !== 'reference' || e.resolved))
+  assert.equal(graph.fanIn('resolution/callbacks.js::onTick', ['reference']), 2)
+})
+
+test('a parameter passed on is not a reference to a same-named function', () => {
+  const references = graph.edges.filter(e => e.kind === 'reference' && e.from.startsWith('resolution/references.js::UserStore'))
+  assert.deepEqual(references, [])
+  assert.equal(graph.fanIn('resolution/references.js::wireUp>record'), 1)
+})
+
+test('a reference resolves to the function in its own scope', () => {
+  assert.deepEqual(edgesFrom('resolution/references.js::wireUp', 'reference').map(e => e.to),
+    ['resolution/references.js::wireUp>onStored'])
+  assert.deepEqual(edgesFrom('resolution/references.js::unwire', 'reference').map(e => e.to),
+    ['resolution/references.js::unwire>onStored'])
+})
+
+// --- Entry points ---
+
+const bootstrap = 'resolution/bootstrap.js::<module>'
+
+test('top-level calls belong to a <module> node, calls and references alike', () => {
+  assert.deepEqual(graph.edges.filter(e => e.from === bootstrap).map(e => [e.kind, e.to]), [
+    ['call', 'resolution/bootstrap.js::route'],
+    ['reference', 'resolution/bootstrap.js::listen'],
+    ['call', 'resolution/bootstrap.js::listen'],
+  ])
+})
+
+test('a file with nothing running at the top level has no <module> node', () => {
+  assert.equal(graph.getNode('resolution/scopes.js::<module>'), undefined)
+})
+
+test('a <module> node measures its own top-level lines and is no function', () => {
+  const node = graph.getNode(bootstrap)
+  assert.equal(node.kind, 'module')
+  assert.equal(node.exported, false)
+  // The PORT declaration, both calls and the export listing
+  assert.equal(node.linesOfCode, 4)
+  assert.equal(node.complexity, 2)
+
+  assert.ok(!graph.getFunctionNodes().includes(node))
+  // bootstrap.js, journal.js and counter-setup.js
+  assert.equal(graph.summary().entryPoints, 3)
+  assert.deepEqual(classify(graph).get(bootstrap), [])
+})
+
+// --- Events ---
+
+function eventEdges(events) {
+  return events.edges.filter(e => e.kind === 'event').map(e => [e.from, e.to, e.event, e.crossModule])
+}
+
+test('an emit is paired with every handler of its event, named or inline', () => {
+  assert.deepEqual(eventEdges(graph).filter(([from]) => from.startsWith('events/')), [
+    ['events/signup.js::register', 'notifications/welcome.js::sendWelcome', 'user:created', true],
+    ['events/signup.js::register', 'events/listeners.js::wire><anonymous>', 'user:created', false],
+  ])
+})
+
+test('a computed event name pairs with nothing', () => {
+  assert.deepEqual(edgesFrom('events/signup.js::audit', 'event'), [])
+})
+
+test('event method names are configurable', async () => {
+  const custom = await buildGraph(rootDir, { events: { emitters: ['announce'], subscribers: ['hear'] } })
+  assert.deepEqual(eventEdges(custom), [
+    ['events/signup.js::register', 'notifications/welcome.js::sendWelcome', 'user:created', true],
+  ])
+})
+
+// --- JSX renders ---
+
+function rendersFrom(id) {
+  return edgesFrom(id, 'render').map(e => [e.calleeName, e.to, e.strategy])
+}
+
+test('a component rendered in JSX gets a render edge', () => {
+  assert.deepEqual(rendersFrom('ui/UserCard.jsx::UserCard'), [['Avatar', 'ui/UserCard.jsx::Avatar', 'same-file']])
+  assert.deepEqual(rendersFrom('ui/Page.jsx::Page><anonymous>'), [['UserCard', 'ui/UserCard.jsx::UserCard', 'import']])
+})
+
+test('namespaced and class components resolve, host elements are skipped', () => {
+  assert.deepEqual(rendersFrom('ui/Page.jsx::Page'), [
+    ['Button', 'ui/kit.jsx::Button', 'namespace'],
+    ['Legacy', 'ui/Legacy.jsx::Legacy.render', 'class-render'],
+  ])
+})
+
+test('renders count apart from calls', () => {
+  assert.equal(graph.fanIn('ui/kit.jsx::Button'), 2)
+  assert.equal(graph.fanIn('ui/kit.jsx::Button', ['render']), 2)
+  assert.equal(graph.fanIn('ui/kit.jsx::Button', ['call']), 0)
+})
+
+// --- Typed resolution ---
+
+const typedRoot = resolve('./test-fixture/typed')
+const typed = await buildGraph(typedRoot, { typed: true })
+
+function callsFrom(built, id) {
+  return built.edges.filter(e => e.from === id).map(e => [e.to, e.strategy])
+}
+
+test('--typed resolves a member call through the receiver\'s declared type', () => {
+  assert.deepEqual(callsFrom(typed, 'services.ts::storeUser'), [['repositories.ts::UserRepository.persist', 'typed']])
+})
+
+test('--typed dispatches an interface call to every implementation', () => {
+  assert.deepEqual(callsFrom(typed, 'services.ts::storeAny'), [
+    ['repositories.ts::UserRepository.persist', 'typed-dispatch'],
+    ['repositories.ts::OrderRepository.persist', 'typed-dispatch'],
+  ])
+})
+
+test('--typed leaves library calls unresolved and untyped receivers to name matching', () => {
+  assert.deepEqual(callsFrom(typed, 'services.ts::stamp'), [[null, 'typed']])
+  assert.deepEqual(callsFrom(typed, 'services.ts::storeLoose'), [[null, null]])
+})
+
+test('without --typed the same calls are ambiguous', async () => {
+  const untyped = await buildGraph(typedRoot)
+  assert.deepEqual(callsFrom(untyped, 'services.ts::storeUser'), [[null, null]])
+  assert.deepEqual(callsFrom(untyped, 'services.ts::storeAny'), [[null, null]])
+})
+
+// --- Imports (barrels, aliases, default exports) ---
+
+test('export * from forwards named exports through a barrel', () => {
+  assert.deepEqual(target('resolution/consumers.js::titleOf'),
+    { to: 'resolution/lib/strings.js::capitalize', strategy: 'import' })
+})
+
+test('export { default as x } from names a default export', () => {
+  assert.deepEqual(target('resolution/consumers.js::permalinkOf'),
+    { to: 'resolution/lib/slug.js::makeSlug', strategy: 'import' })
+})
+
+test('a tsconfig @/ path alias resolves through the barrel', () => {
+  assert.deepEqual(target('resolution/consumers.js::excerptOf'),
+    { to: 'resolution/lib/strings.js::truncateText', strategy: 'import' })
+})
+
+test('a package.json #imports alias resolves', () => {
+  assert.deepEqual(target('resolution/consumers.js::headlineOf'),
+    { to: 'resolution/lib/strings.js::capitalize', strategy: 'import' })
+})
+
+test('new on a default-export class reaches its constructor', () => {
+  const [edge] = edgesFrom('resolution/consumers.js::openLedger', 'instantiate')
+  assert.equal(edge.to, 'resolution/ledger.js::Ledger.constructor')
+  assert.equal(edge.strategy, 'constructor')
+})
+
+test('a default import of a file without a default export resolves to nothing', () => {
+  const [edge] = edgesFrom('resolution/consumers.js::misuse', 'call')
+  assert.equal(edge.resolved, false)
+  assert.equal(edge.to, null)
+})
+
+test('only real exports are exported', () => {
+  assert.deepEqual(graph.getNode('resolution/lib/slug.js::makeSlug').exportNames, ['default'])
+  assert.deepEqual(graph.getNode('resolution/lib/strings.js::capitalize').exportNames, ['capitalize'])
+  assert.equal(graph.getNode('resolution/ledger.js::Ledger.total').exported, true)
+})
@@ -0,0 +1,165 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { buildGraph } from './src/graph/graph-builder.js'
+import { classify } from './src/analyzers/classifier.js'
+import { readFileSync, writeFileSync, mkdtempSync, rmSync } from 'fs'
+import { tmpdir } from 'os'
+import { resolve, join } from 'path'
+import { pathToFileURL } from 'url'
+
+const rootDir = resolve('./test-fixture/usage')
+
+function reasonsFor(graph, id, label) {
+  return classify(graph).get(id).find(c => c.label === label)?.reasons ?? []
+}
+
+// --- Test layer ---
+
+const tested = await buildGraph(rootDir, { tests: true })
+
+test('test files are parsed into a layer of their own, never as callers', async () => {
+  assert.ok([...tested.tests.nodes.keys()].includes('cart.test.js::filled'))
+  assert.ok([...tested.nodes.keys()].every(id => id.startsWith('cart.js::')))
+  // checkout and refund call total; the test calling it doesn't count
+  assert.equal(tested.fanIn('cart.js::total'), 2)
+  assert.equal(tested.fanIn('cart.js::clear'), 0)
+
+  const plain = await buildGraph(rootDir)
+  assert.equal(plain.tests, null)
+  assert.equal(plain.testReach.size, 0)
+  assert.deepEqual([...plain.nodes.keys()], [...tested.nodes.keys()])
+})
+
+test('test reach is direct from a test or its helpers, transitive beyond', () => {
+  const reach = name => tested.testReach.get(`cart.js::${name}`)
+  assert.deepEqual(reach('addItem'), { direct: ['cart.test.js'], transitive: ['cart.test.js'] })
+  assert.deepEqual(reach('total'), { direct: ['cart.test.js'], transitive: ['cart.test.js'] })
+  assert.deepEqual(reach('sum'), { direct: [], transitive: ['cart.test.js'] })
+  assert.equal(reach('checkout'), undefined)
+})
+
+test('only a test layer makes a function untested', async () => {
+  assert.equal(tested.isUntested('cart.js::refund'), true)
+  assert.equal(tested.isUntested('cart.js::sum'), false)
+  assert.ok(reasonsFor(tested, 'cart.js::refund', 'The Workhorse').includes('no test reaches it'))
+  assert.equal((await buildGraph(rootDir)).isUntested('cart.js::refund'), false)
+})
+
+test('a function only tests call is a Hermit that says so', () => {
+  assert.ok(reasonsFor(tested, 'cart.js::clear', 'The Hermit').includes('only called from tests (1 file)'))
+  assert.ok(!reasonsFor(tested, 'cart.js::refund', 'The Hermit').some(reason => reason.startsWith('only called from tests')))
+})
+
+// --- Coverage ---
+
+const covered = await buildGraph(rootDir, { coverage: join(rootDir, 'coverage-final.json') })
+
+test('Istanbul coverage gives each function its run count', () => {
+  assert.equal(covered.callCountsFrom, 'coverage')
+  assert.equal(covered.runCount('cart.js::sum'), 9)
+  assert.equal(covered.runCount('cart.js::sum><anonymous>'), 7)
+  assert.equal(covered.isUnexecuted('cart.js::refund'), true)
+  // node_modules entries match nothing
+  assert.equal(covered.callCounts.size, covered.nodes.size)
+  assert.equal(tested.runCount('cart.js::sum'), null)
+})
+
+test('with coverage, the Ghost is what barely ran, not what few call', () => {
+  assert.deepEqual(reasonsFor(covered, 'cart.js::total', 'The Ghost').slice(0, 2),
+    ['ran only 2 times under coverage', 'despite 2 callers'])
+  // One caller, but it ran nine times
+  assert.deepEqual(reasonsFor(covered, 'cart.js::sum', 'The Ghost'), [])
+  assert.equal(reasonsFor(tested, 'cart.js::sum', 'The Ghost')[0], 'only 1 caller')
+})
+
+test('V8 coverage counts add up across processes, leaving out the top level', async () => {
+  const source = readFileSync(join(rootDir, 'cart.js'), 'utf8')
+  const fn = (name, count) => ({
+    functionName: name,
+    ranges: [{ startOffset: source.indexOf(`function ${name}(`), endOffset: source.length, count }],
+    isBlockCoverage: true,
+  })
+  const script = (...functions) => ({
+    result: [{
+      scriptId: '1',
+      url: pathToFileURL(join(rootDir, 'cart.js')).href,
+      functions: [{ functionName: '', ranges: [{ startOffset: 0, endOffset: source.length, count: 1 }], isBlockCoverage: true }, ...functions],
+    }],
+  })
+
+  const dir = mkdtempSync(join(tmpdir(), 'sociograph-v8-'))
+  try {
+    writeFileSync(join(dir, 'coverage-1.json'), JSON.stringify(script(fn('total', 2), fn('refund', 0))))
+    writeFileSync(join(dir, 'coverage-2.json'), JSON.stringify(script(fn('total', 3))))
+    const graph = await buildGraph(rootDir, { coverage: dir })
+    assert.deepEqual([...graph.callCounts], [['cart.js::total', 5], ['cart.js::refund', 0]])
+  } finally {
+    rmSync(dir, { recursive: true, force: true })
+  }
+})
+
+// --- CPU profiles ---
+
+// A .cpuprofile of the main fixture: sendEmail calls logEvent, which recurses
+function cpuProfile(fixtureRoot) {
+  const frame = (id, functionName, url, lineNumber, children = []) =>
+    ({ id, callFrame: { functionName, scriptId: '0', url, lineNumber, columnNumber: 0 }, hitCount: 0, children })
+  const url = relPath => pathToFileURL(join(fixtureRoot, relPath)).href
+  return {
+    nodes: [
+      frame(1, '(root)', '', -1, [2, 3, 6, 7]),
+      frame(2, '(idle)', '', -1),
+      frame(3, 'sendEmail', url('services/email.js'), 4, [4]),
+      frame(4, 'logEvent', url('utils/logger.js'), 3, [5]),
+      frame(5, 'logEvent', url('utils/logger.js'), 3),
+      frame(6, 'readFileSync', 'node:fs', 40),
+      frame(7, 'gone', url('utils/removed.js'), 0),
+    ],
+    startTime: 0,
+    endTime: 150000,
+    // Each sample lasts until the next: idle 50ms, then 10, 20, 30, 40 and 0ms
+    samples: [2, 3, 4, 5, 6, 7],
+    timeDeltas: [0, 50000, 10000, 20000, 30000, 40000],
+  }
+}
+
+async function withProfiles(count, fn) {
+  const fixtureRoot = resolve('./test-fixture')
+  const dir = mkdtempSync(join(tmpdir(), 'sociograph-profile-'))
+  try {
+    for (let i = 1; i <= count; i++) writeFileSync(join(dir, `CPU.${i}.cpuprofile`), JSON.stringify(cpuProfile(fixtureRoot)))
+    await fn(await buildGraph(fixtureRoot, { profiles: [dir] }))
+  } finally {
+    rmSync(dir, { recursive: true, force: true })
+  }
+}
+
+test('profile time lands on functions, self and total, without idle time', async () => {
+  await withProfiles(1, (graph) => {
+    assert.equal(graph.profile.duration, 100)
+    // Recursion is counted once towards total
+    assert.deepEqual(graph.profile.times.get('utils/logger.js::logEvent'), { self: 50, total: 50 })
+    assert.deepEqual(graph.profile.times.get('services/email.js::sendEmail'), { self: 10, total: 60 })
+    assert.deepEqual(graph.timeShare('services/email.js::sendEmail'), { self: 0.1, total: 0.6 })
+    assert.equal(graph.timeShare('utils/logger.js::getEvents').total, 0)
+  })
+})
+
+test('several profiles add up to the same shares', async () => {
+  await withProfiles(2, (graph) => {
+    assert.equal(graph.profile.duration, 200)
+    assert.deepEqual(graph.timeShare('utils/logger.js::logEvent'), { self: 0.5, total: 0.5 })
+  })
+})
+
+test('a hot function many depend on is The Hot Seat', async () => {
+  await withProfiles(1, (graph) => {
+    assert.equal(graph.isHot('services/email.js::sendEmail'), true)
+    const reasons = reasonsFor(graph, 'utils/logger.js::logEvent', 'The Hot Seat')
+    assert.equal(reasons[0], '50% of CPU time in its own code, 50% under it')
+    assert.match(reasons[1], /^9 functions depend on this/)
+    // Hot, but with too few callers
+    assert.deepEqual(reasonsFor(graph, 'services/email.js::sendEmail', 'The Hot Seat'), [])
+  })
+  assert.equal(tested.timeShare('cart.js::sum'), null)
+})